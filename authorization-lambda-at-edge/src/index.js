@@ -5,142 +5,317 @@
 
 'use strict';
 
-// Import required libraries for JWT validation
+// Import required libraries for JWT validation and PKCE
+var crypto = require('crypto'); // For PKCE verifiers, challenges and OAuth state
 var jwt = require('jsonwebtoken'); // For decoding and verifying JWTs
 var jwkToPem = require('jwk-to-pem'); // For converting JWK to PEM format
 
 // These values are replaced at deploy time with your Cognito User Pool ID and JWKS
 var USERPOOLID = '##USERPOOLID##'; // Cognito User Pool ID
-var JWKS = '##JWKS##'; // Cognito User Pool's JSON Web Key Set (public keys)
+var JWKS = '##JWKS##'; // Cognito User Pool's JSON Web Key Set (public keys), used when the live JWKS cannot be fetched
 
-// Validate JWKS
-if (!JWKS) throw new Error('JWKS is not set');
-let keys;
+// AWS region where the Cognito User Pool resides, taken from the pool ID (e.g. us-east-1_AbCdEf123)
+var region = USERPOOLID.split('_')[0];
+// Expected JWT issuer string for this User Pool, which also serves its live JWKS
+var iss = 'https://cognito-idp.' + region + '.amazonaws.com/' + USERPOOLID;
+var jwksUrl = iss + '/.well-known/jwks.json';
+
+// How long fetched keys are trusted before they are fetched again
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// Viewer requests time out after 5 seconds, so a slow fetch falls back to the keys already held
+const JWKS_FETCH_TIMEOUT_MS = 1500;
+// Minimum gap between fetches, so tokens with made-up key IDs cannot make every request refetch
+const JWKS_MIN_REFETCH_MS = 5 * 1000;
+
+// Convert a JWKS document to PEMs for signature verification, keyed by key ID
+function toPems(jwks) {
+    var pems = {};
+    for (var i = 0; i < jwks.keys.length; i++) {
+        var key = jwks.keys[i];
+        pems[key.kid] = jwkToPem({ kty: key.kty, n: key.n, e: key.e });
+    }
+    return pems;
+}
+
+// Keys baked in at deploy time, kept as an offline fallback for when the live JWKS has never been fetched
+var fallbackPems = {};
 try {
-    keys = JSON.parse(JWKS).keys;
+    fallbackPems = toPems(JSON.parse(JWKS));
 } catch (e) {
-    throw new Error('Invalid JWKS: ' + JWKS);
+    console.log('No usable baked-in JWKS, relying on the live JWKS from ' + jwksUrl);
 }
 
-// AWS region where the Cognito User Pool resides
-var region = 'us-east-1';
-// Expected JWT issuer string for this User Pool
-var iss = 'https://cognito-idp.' + region + '.amazonaws.com/' + USERPOOLID;
+// Live keys fetched from the issuer, shared by every request this container handles
+const jwksCache = { pems: null, fetchedAt: 0, lastAttemptAt: 0, pending: null };
 
-// Convert JWKS to PEMs for signature verification
-var pems = {};
-for (var i = 0; i < keys.length; i++) {
-    // Convert each JWK to PEM and store by key ID
-    var key_id = keys[i].kid;
-    var modulus = keys[i].n;
-    var exponent = keys[i].e;
-    var key_type = keys[i].kty;
-    var jwk = { kty: key_type, n: modulus, e: exponent };
-    var pem = jwkToPem(jwk);
-    pems[key_id] = pem;
+// Fetch the live JWKS into the cache. Concurrent callers share one request; a failed fetch keeps the keys already held.
+function refreshJwks() {
+    if (!jwksCache.pending) {
+        jwksCache.lastAttemptAt = Date.now();
+        jwksCache.pending = fetch(jwksUrl, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) })
+            .then(response => {
+                if (!response.ok) throw new Error('JWKS request returned HTTP ' + response.status);
+                return response.json();
+            })
+            .then(jwks => {
+                jwksCache.pems = toPems(jwks);
+                jwksCache.fetchedAt = Date.now();
+                console.log('Fetched JWKS with key IDs:', Object.keys(jwksCache.pems).join(', '));
+            })
+            .catch(err => console.log('Failed to fetch JWKS from ' + jwksUrl + ':', err.message))
+            .finally(() => { jwksCache.pending = null; });
+    }
+    return jwksCache.pending;
 }
 
+// Get the PEM for a JWT key ID. Fetched keys are refreshed once their TTL has passed and refetched once for an
+// unknown key ID (Cognito rotated its keys); the baked-in keys are only used while no live JWKS has been fetched.
+// A request arriving while a fetch is in flight waits for it rather than checking against the older keys.
+async function getPem(kid) {
+    const canFetch = () => Date.now() - jwksCache.lastAttemptAt >= JWKS_MIN_REFETCH_MS;
+    if (jwksCache.pending) {
+        await jwksCache.pending;
+    } else if ((!jwksCache.pems || Date.now() - jwksCache.fetchedAt >= JWKS_CACHE_TTL_MS) && canFetch()) {
+        await refreshJwks();
+    } else if (jwksCache.pems && !jwksCache.pems[kid] && canFetch()) {
+        console.log('Unknown key ID ' + kid + ', refetching JWKS');
+        await refreshJwks();
+    }
+    const pems = jwksCache.pems || fallbackPems;
+    return pems[kid] || null;
+}
 
 // Cognito Hosted UI domain and client ID (replace with your values or set as env variables)
 const cognitoDomain = '##COGNITO_DOMAIN##';
 const clientId = '##COGNITO_CLIENT_ID##';
-const redirectUri = encodeURIComponent('https://' + '##CLOUDFRONT_DOMAIN##' + '/auth-callback.html');
-const loginUrl = `${cognitoDomain}/login?client_id=${clientId}&response_type=token&scope=openid&redirect_uri=${redirectUri}`;
-
-const responseRedirect = {
-    status: '302',
-    statusDescription: 'Found',
-    headers: {
-        location: [{ key: 'Location', value: loginUrl }],
-        'cache-control': [{ key: 'Cache-Control', value: 'no-cache, no-store, must-revalidate' }],
-        'content-type': [{ key: 'Content-Type', value: 'text/html; charset=utf-8' }]
-    },
-    body: ''
-};
+// Path this function completes the login on; Cognito redirects back to it with an authorization code
+const callbackPath = '/auth-callback';
+// The distribution's own domain, for requests without a Host header
+const defaultHost = '##CLOUDFRONT_DOMAIN##';
+
+// Cookie names and lifetimes. The access cookie expires with its token; the refresh cookie with Cognito's
+// default 30-day refresh token validity; the PKCE cookie only has to outlive the trip to the login page.
+const ACCESS_COOKIE = 'CognitoAccessToken';
+const REFRESH_COOKIE = 'CognitoRefreshToken';
+const PKCE_COOKIE = 'CognitoPkce';
+const REFRESH_COOKIE_MAX_AGE = 30 * 24 * 60 * 60;
+const PKCE_COOKIE_MAX_AGE = 10 * 60;
+// Token requests must finish well inside the 5 second viewer request timeout
+const TOKEN_REQUEST_TIMEOUT_MS = 3000;
 
-// Standard 401 Unauthorized response for CloudFront (not used for UI, always redirect instead)
-const response401 = responseRedirect;
+const noCacheHeader = [{ key: 'Cache-Control', value: 'no-cache, no-store, must-revalidate' }];
 
 console.log('Lambda@Edge Auth Function starting');
 console.log('Deployed version: ##LAMBDA_EDGE_HEX## at ##LAMBDA_EDGE_DEPLOY_TS##');
-console.log('Cognito login URL:', loginUrl);
+console.log('Cognito domain:', cognitoDomain, 'default host:', defaultHost);
 
-/**
- * Lambda@Edge handler for CloudFront ViewerRequest event.
- * Validates JWT in Authorization header using Cognito public keys.
- * If valid, strips Authorization header and allows request to proceed to S3 origin.
- * If invalid or missing, returns 401 Unauthorized.
- */
-exports.handler = async(event, context) => {
-    console.log('Received event:', JSON.stringify(event));
-    const cfrequest = event.Records[0].cf.request;
-    const headers = cfrequest.headers;
-    console.log('Request headers:', JSON.stringify(headers));
+// Helper to encode bytes as unpadded base64url, as PKCE and OAuth state expect
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
+// Helper to read the request cookies into an object. Cookie values are never logged, they hold tokens.
+function parseCookies(headers) {
+    const cookies = {};
+    for (const header of headers.cookie || []) {
+        for (const pair of header.value.split(';')) {
+            const index = pair.indexOf('=');
+            if (index > 0) {
+                try {
+                    cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+                } catch (e) {
+                    // Skip cookies that are not valid URI-encoded values
+                }
+            }
+        }
+    }
+    return cookies;
+}
 
+// Helper to build a Set-Cookie header entry. Token cookies are never readable from JavaScript.
+// SameSite=Lax keeps them on the top-level redirect back from the Cognito domain.
+function setCookie(name, value, maxAge, path = '/') {
+    return { key: 'Set-Cookie', value: `${name}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${maxAge}; Secure; HttpOnly; SameSite=Lax` };
+}
 
-    // Allow unauthenticated access to /auth-callback.html so JS can set the cookie
-    if (cfrequest.uri === '/auth-callback.html') {
-        console.log('Allowing unauthenticated access to /auth-callback.html');
-        return cfrequest;
+// Helper to build a redirect response, optionally setting cookies on the way
+function redirect(location, cookies = [], status = '302') {
+    const response = {
+        status,
+        statusDescription: status === '307' ? 'Temporary Redirect' : 'Found',
+        headers: {
+            location: [{ key: 'Location', value: location }],
+            'cache-control': noCacheHeader,
+            'content-type': [{ key: 'Content-Type', value: 'text/html; charset=utf-8' }]
+        },
+        body: ''
+    };
+    if (cookies.length) {
+        response.headers['set-cookie'] = cookies;
     }
+    return response;
+}
 
-    // 1. Try to get Cognito access token from cookie (CloudFront forwards all cookies)
-    let jwtToken = null;
-    if (headers.cookie) {
-        // Log the full Cookie header for debugging
-        const cookieHeader = headers.cookie.map(c => c.value).join(';');
-        console.log('Full Cookie header:', cookieHeader);
-        // For debugging: match for a cookie named 'Cookie' (should not exist, but for user request)
-        const cookieMatch = cookieHeader.match(/Cookie=([^;]+)/);
-        if (cookieMatch) {
-            console.log('Found a Cookie= entry:', cookieMatch[1]);
-        }
-        // Extract CognitoAccessToken from the cookie string
-        const match = cookieHeader.match(/CognitoAccessToken=([^;]+)/);
-        if (match) {
-            jwtToken = decodeURIComponent(match[1]);
-            console.log('Cognito access token found in cookie.');
-        }
+// Helper to build an error page for a login that cannot be completed, with a link to start over
+function errorResponse(status, statusDescription, message) {
+    return {
+        status,
+        statusDescription,
+        headers: {
+            'cache-control': noCacheHeader,
+            'content-type': [{ key: 'Content-Type', value: 'text/html; charset=utf-8' }],
+            'set-cookie': [setCookie(PKCE_COOKIE, '', 0, callbackPath)]
+        },
+        body: `<!DOCTYPE html><html><head><title>Sign-in failed</title></head><body><h1>Sign-in failed</h1><p>${message}</p><p><a href="/">Try again</a></p></body></html>`
+    };
+}
+
+// Helper to build the callback URL on the host the user is on (custom domain or *.cloudfront.net), so the
+// PKCE cookie set on that host comes back with the callback. Cognito only accepts hosts in its CallbackURLs.
+function getRedirectUri(cfrequest) {
+    const host = cfrequest.headers.host && cfrequest.headers.host[0] && cfrequest.headers.host[0].value;
+    return 'https://' + (host || defaultHost) + callbackPath;
+}
+
+// Helper to get the path and query string a request asked for, to return to after signing in
+function getRequestedPath(cfrequest) {
+    return cfrequest.uri + (cfrequest.querystring ? '?' + cfrequest.querystring : '');
+}
+
+// Send the user to the Cognito Hosted UI with a fresh PKCE challenge. The verifier, the state and the page to
+// return to are kept in a short-lived cookie that only the callback path receives.
+function loginRedirect(cfrequest) {
+    const verifier = base64url(crypto.randomBytes(32));
+    const state = base64url(crypto.randomBytes(16));
+    const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+    const pkce = JSON.stringify({ state, verifier, returnTo: getRequestedPath(cfrequest) });
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: getRedirectUri(cfrequest),
+        scope: 'openid',
+        state,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    });
+    return redirect(`${cognitoDomain}/oauth2/authorize?${params}`, [setCookie(PKCE_COOKIE, pkce, PKCE_COOKIE_MAX_AGE, callbackPath)]);
+}
+
+// Call the Cognito token endpoint (the app client is public, so no client secret is sent).
+// Returns the token response, or throws with Cognito's error code.
+async function requestTokens(params) {
+    const response = await fetch(`${cognitoDomain}/oauth2/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+        signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.access_token) {
+        throw new Error('Token request failed with HTTP ' + response.status + (body.error ? ': ' + body.error : ''));
+    }
+    return body;
+}
+
+// Helper to build the cookies holding a token response. Cognito only returns a refresh token on sign-in
+// (or with refresh token rotation), so the refresh cookie is only replaced when there is a new one.
+function tokenCookies(tokens) {
+    const cookies = [setCookie(ACCESS_COOKIE, tokens.access_token, tokens.expires_in || 3600)];
+    if (tokens.refresh_token) {
+        cookies.push(setCookie(REFRESH_COOKIE, tokens.refresh_token, REFRESH_COOKIE_MAX_AGE));
+    }
+    return cookies;
+}
+
+// Complete the login: check the state against the PKCE cookie, exchange the code for tokens and send the
+// user back to the page they asked for with the tokens in HttpOnly cookies.
+async function handleCallback(cfrequest) {
+    const query = new URLSearchParams(cfrequest.querystring || '');
+    if (query.get('error')) {
+        console.log('Cognito returned an error to the callback:', query.get('error'));
+        return errorResponse('401', 'Unauthorized', 'The sign-in was not completed.');
+    }
+
+    let pkce = null;
+    try {
+        pkce = JSON.parse(parseCookies(cfrequest.headers)[PKCE_COOKIE] || 'null');
+    } catch (e) {
+        console.log('Unreadable PKCE cookie');
+    }
+    if (!pkce || !query.get('code') || query.get('state') !== pkce.state) {
+        // A stale or replayed callback, or a login started in another browser. Restarting the login here could
+        // loop when the browser drops the PKCE cookie, so the user starts over from the link instead.
+        console.log('Callback without a matching login in progress');
+        return errorResponse('400', 'Bad Request', 'This sign-in link has expired.');
     }
 
-    // 2. Require Cognito access token cookie
-    if (!jwtToken) {
-        console.log("No Cognito access token cookie present, redirecting to Cognito login");
-        return responseRedirect;
+    try {
+        const tokens = await requestTokens({
+            grant_type: 'authorization_code',
+            code: query.get('code'),
+            redirect_uri: getRedirectUri(cfrequest),
+            code_verifier: pkce.verifier
+        });
+        console.log('Authorization code exchanged for tokens');
+        // Only return to a path on this site
+        const returnTo = typeof pkce.returnTo === 'string' && /^\/(?![/\\])/.test(pkce.returnTo) ? pkce.returnTo : '/';
+        return redirect(returnTo, [...tokenCookies(tokens), setCookie(PKCE_COOKIE, '', 0, callbackPath)]);
+    } catch (err) {
+        console.log('Authorization code exchange failed:', err.message);
+        return errorResponse('502', 'Bad Gateway', 'The sign-in could not be completed with Cognito.');
     }
+}
 
-    // 3. Decode JWT (without verifying signature yet)
-    console.log('Extracted JWT token');
+// Swap the refresh token for a new access token and repeat the request with it. A 307 keeps the request method,
+// so the browser simply retries with the new cookie. Falls back to a new login when the refresh token is rejected.
+async function refreshSession(cfrequest, refreshToken) {
+    try {
+        const tokens = await requestTokens({ grant_type: 'refresh_token', refresh_token: refreshToken });
+        if (!(await verifyAccessToken(tokens.access_token))) {
+            throw new Error('Refreshed access token failed verification');
+        }
+        console.log('Access token refreshed');
+        return redirect(getRequestedPath(cfrequest), tokenCookies(tokens), '307');
+    } catch (err) {
+        console.log('Token refresh failed, redirecting to Cognito login:', err.message);
+        const response = loginRedirect(cfrequest);
+        response.headers['set-cookie'].push(setCookie(REFRESH_COOKIE, '', 0));
+        return response;
+    }
+}
 
-    // 4. Decode JWT (without verifying signature yet)
+// Verify a Cognito access token: issuer, token use and signature against the User Pool keys.
+// Returns true when it is valid.
+async function verifyAccessToken(jwtToken) {
+    // Decode JWT (without verifying signature yet)
     var decodedJwt = jwt.decode(jwtToken, { complete: true });
     if (!decodedJwt) {
         console.log("Not a valid JWT token");
-        return response401;
+        return false;
     }
 
-    // 5. Check issuer matches expected Cognito User Pool
+    // Check issuer matches expected Cognito User Pool
     if (decodedJwt.payload.iss != iss) {
         console.log("Invalid issuer");
-        return response401;
+        return false;
     }
 
-    // 6. Only allow 'access' tokens (not id or refresh tokens)
+    // Only allow 'access' tokens (not id or refresh tokens)
     if (decodedJwt.payload.token_use != 'access') {
         console.log("Not an access token");
-        return response401;
+        return false;
     }
 
-    // 7. Get PEM for key ID in JWT header
+    // Get PEM for key ID in JWT header
     var kid = decodedJwt.header.kid;
-    var pem = pems[kid];
+    var pem = await getPem(kid);
     if (!pem) {
         console.log('Invalid access token: unknown key ID');
-        return response401;
+        return false;
     }
 
-    // 8. Verify JWT signature and claims (promisified)
+    // Verify JWT signature and claims (promisified)
     try {
         await new Promise((resolve, reject) => {
             jwt.verify(jwtToken, pem, { issuer: iss }, function(err, payload) {
@@ -148,11 +323,47 @@ exports.handler = async(event, context) => {
                 else resolve(payload);
             });
         });
-        // Valid token: allow request
+        return true;
+    } catch (err) {
+        console.log('Token failed verification:', err.message);
+        return false;
+    }
+}
+
+/**
+ * Lambda@Edge handler for CloudFront ViewerRequest event.
+ * Completes the Cognito authorization code + PKCE login on /auth-callback, then validates the access token
+ * cookie on every other request using Cognito public keys.
+ * If valid, allows the request to proceed to the S3 origin. If missing or expired, refreshes it with the
+ * refresh token cookie when there is one, otherwise redirects to the Cognito Hosted UI.
+ */
+exports.handler = async(event, context) => {
+    const cfrequest = event.Records[0].cf.request;
+    // Only the method and path are logged: the headers carry the token cookies
+    console.log('Received request:', cfrequest.method, cfrequest.uri);
+
+    // 1. Cognito redirects here with the authorization code after login
+    if (cfrequest.uri === callbackPath) {
+        return handleCallback(cfrequest);
+    }
+
+    // 2. Get the Cognito tokens from their cookies (CloudFront forwards all cookies)
+    const cookies = parseCookies(cfrequest.headers);
+    const jwtToken = cookies[ACCESS_COOKIE];
+    const refreshToken = cookies[REFRESH_COOKIE];
+
+    // 3. A valid access token lets the request through
+    if (jwtToken && await verifyAccessToken(jwtToken)) {
         console.log('Successful verification');
         return cfrequest;
-    } catch (err) {
-        console.log('Token failed verification:', err);
-        return response401;
     }
-};
\ No newline at end of file
+
+    // 4. The access cookie expires with its token, so a missing or expired one is renewed with the refresh token
+    if (refreshToken) {
+        console.log(jwtToken ? 'Access token not valid, refreshing' : 'No access token cookie, refreshing');
+        return refreshSession(cfrequest, refreshToken);
+    }
+
+    console.log('No valid Cognito session, redirecting to Cognito login');
+    return loginRedirect(cfrequest);
+};
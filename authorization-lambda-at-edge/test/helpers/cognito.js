@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// The source is tested as checked in, before deploy-ui.yml fills in its placeholders
+const USER_POOL_ID = '##USERPOOLID##';
+const ISSUER = `https://cognito-idp.${USER_POOL_ID.split('_')[0]}.amazonaws.com/${USER_POOL_ID}`;
+const JWKS_URL = `${ISSUER}/.well-known/jwks.json`;
+const COGNITO_DOMAIN = '##COGNITO_DOMAIN##';
+const TOKEN_URL = `${COGNITO_DOMAIN}/oauth2/token`;
+
+// Helper to create a signing key the way Cognito publishes it: an RSA key pair with a key ID
+function createSigningKey(kid) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+}
+
+// Helper to build a JWKS document from signing keys
+function toJwks(...keys) {
+    return { keys: keys.map(key => key.jwk) };
+}
+
+// Helper to sign a Cognito access token; claims override the defaults
+function signAccessToken(key, claims = {}, expiresIn = 3600) {
+    return jwt.sign({ iss: ISSUER, token_use: 'access', client_id: '##COGNITO_CLIENT_ID##', ...claims }, key.privateKey, {
+        algorithm: 'RS256',
+        keyid: key.kid,
+        expiresIn
+    });
+}
+
+// Helper to build a CloudFront viewer request event
+function viewerRequest({ uri = '/index.html', querystring = '', cookies = {}, host = 'd111111abcdef8.cloudfront.net', method = 'GET' } = {}) {
+    const headers = { host: [{ key: 'Host', value: host }] };
+    const cookieHeader = Object.entries(cookies).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ');
+    if (cookieHeader) {
+        headers.cookie = [{ key: 'Cookie', value: cookieHeader }];
+    }
+    return { Records: [{ cf: { request: { method, uri, querystring, headers } } }] };
+}
+
+// Mock fetch with the Cognito endpoints the authorizer calls. jwks() and token(params) return
+// { status, body } (a thrown error fails the request like a network error); every call is kept in fetch.mock.calls.
+function mockCognito({ jwks, token } = {}) {
+    global.fetch = jest.fn(async(url, options = {}) => {
+        let result;
+        if (url === JWKS_URL && jwks) {
+            result = await jwks();
+        } else if (url === TOKEN_URL && token) {
+            result = await token(Object.fromEntries(new URLSearchParams(options.body)));
+        } else {
+            result = { status: 404, body: {} };
+        }
+        return {
+            ok: result.status >= 200 && result.status < 300,
+            status: result.status,
+            json: async() => result.body
+        };
+    });
+    return global.fetch;
+}
+
+// Helper to list the calls made to one URL
+function callsTo(fetchMock, url) {
+    return fetchMock.mock.calls.filter(([calledUrl]) => calledUrl === url);
+}
+
+module.exports = {
+    ISSUER,
+    JWKS_URL,
+    COGNITO_DOMAIN,
+    TOKEN_URL,
+    createSigningKey,
+    toJwks,
+    signAccessToken,
+    viewerRequest,
+    mockCognito,
+    callsTo
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const {
+    JWKS_URL,
+    COGNITO_DOMAIN,
+    TOKEN_URL,
+    createSigningKey,
+    toJwks,
+    signAccessToken,
+    viewerRequest,
+    mockCognito,
+    callsTo
+} = require('./helpers/cognito');
+
+const KEY = createSigningKey('key-1');
+const ROTATED_KEY = createSigningKey('key-2');
+const START = Date.parse('2025-09-09T14:00:00Z');
+const CUSTOM_HOST = 'cameras.example.com';
+const COOKIE_FLAGS = '; Secure; HttpOnly; SameSite=Lax';
+
+// Helper to read the Set-Cookie headers of a response into { name: { value, attributes } }
+function responseCookies(response) {
+    const cookies = {};
+    for (const { value } of response.headers['set-cookie'] || []) {
+        const [pair, ...attributes] = value.split('; ');
+        const index = pair.indexOf('=');
+        cookies[pair.slice(0, index)] = { value: decodeURIComponent(pair.slice(index + 1)), attributes: `; ${attributes.join('; ')}` };
+    }
+    return cookies;
+}
+
+describe('authorization-lambda-at-edge', () => {
+    let handler;
+    let now;
+    let logSpy;
+
+    beforeEach(() => {
+        now = START;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        // Each test starts from a cold container with an empty JWKS cache
+        jest.isolateModules(() => {
+            ({ handler } = require('../src/index'));
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    // Helper to send a request carrying an access token cookie
+    function requestWithToken(token, options = {}) {
+        return handler(viewerRequest({ ...options, cookies: { CognitoAccessToken: token, ...options.cookies } }));
+    }
+
+    // Helper to start a login and read back what it put in the PKCE cookie
+    async function startLogin(options = {}) {
+        const response = await handler(viewerRequest(options));
+        // The Cognito domain is still a placeholder here, so split the location instead of parsing it as a URL
+        const [origin, query] = response.headers.location[0].value.split('?');
+        const location = { origin, searchParams: new URLSearchParams(query) };
+        const pkce = responseCookies(response).CognitoPkce;
+        return { response, location, pkce, ...JSON.parse(pkce.value) };
+    }
+
+    // Helper to return from Cognito to the callback with a code, the state and the PKCE cookie of a login
+    function callback({ state, pkceValue, host, query } = {}) {
+        return handler(viewerRequest({
+            uri: '/auth-callback',
+            querystring: query || new URLSearchParams({ code: 'auth-code', state }).toString(),
+            cookies: pkceValue ? { CognitoPkce: pkceValue } : {},
+            host
+        }));
+    }
+
+    describe('JWKS', () => {
+        it('should verify access tokens against the live JWKS and cache it', async() => {
+            const fetchMock = mockCognito({ jwks: () => ({ status: 200, body: toJwks(KEY) }) });
+
+            const first = await requestWithToken(signAccessToken(KEY));
+            const second = await requestWithToken(signAccessToken(KEY));
+
+            expect(first).toMatchObject({ uri: '/index.html' });
+            expect(second).toMatchObject({ uri: '/index.html' });
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(1);
+        });
+
+        it('should share one JWKS fetch between concurrent requests', async() => {
+            const fetchMock = mockCognito({ jwks: () => ({ status: 200, body: toJwks(KEY) }) });
+
+            const responses = await Promise.all([1, 2, 3].map(() => requestWithToken(signAccessToken(KEY))));
+
+            expect(responses.map(response => response.uri)).toEqual(['/index.html', '/index.html', '/index.html']);
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(1);
+        });
+
+        it('should refetch exactly once for an unknown key ID and rate-limit further refetches', async() => {
+            const fetchMock = mockCognito({ jwks: () => ({ status: 200, body: toJwks(KEY) }) });
+            const forgedKey = createSigningKey('made-up');
+            await requestWithToken(signAccessToken(KEY));
+
+            now += 5000;
+            const denied = await requestWithToken(signAccessToken(forgedKey));
+            expect(denied.status).toBe('302');
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(2);
+
+            // More made-up key IDs inside the refetch interval are denied from the cache
+            now += 1000;
+            await requestWithToken(signAccessToken(forgedKey));
+            await requestWithToken(signAccessToken(createSigningKey('also-made-up')));
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(2);
+
+            now += 5000;
+            await requestWithToken(signAccessToken(forgedKey));
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(3);
+        });
+
+        it('should accept tokens signed with a rotated key without a redeploy', async() => {
+            let jwks = toJwks(KEY);
+            const fetchMock = mockCognito({ jwks: () => ({ status: 200, body: jwks }) });
+            await requestWithToken(signAccessToken(KEY));
+
+            jwks = toJwks(KEY, ROTATED_KEY);
+            now += 5000;
+            const response = await requestWithToken(signAccessToken(ROTATED_KEY));
+
+            expect(response).toMatchObject({ uri: '/index.html' });
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(2);
+        });
+
+        it('should refetch the JWKS once its TTL has passed and keep its keys when that fails', async() => {
+            let available = true;
+            const fetchMock = mockCognito({
+                jwks: () => {
+                    if (!available) throw new Error('connect ETIMEDOUT');
+                    return { status: 200, body: toJwks(KEY) };
+                }
+            });
+            await requestWithToken(signAccessToken(KEY));
+
+            available = false;
+            now += 60 * 60 * 1000;
+            const response = await requestWithToken(signAccessToken(KEY));
+
+            expect(response).toMatchObject({ uri: '/index.html' });
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(2);
+        });
+
+        it('should deny tokens while no keys can be fetched and the baked-in JWKS is a placeholder', async() => {
+            mockCognito({ jwks: () => ({ status: 503, body: {} }) });
+
+            const response = await requestWithToken(signAccessToken(KEY));
+
+            expect(response.status).toBe('302');
+            expect(response.headers.location[0].value).toMatch(/\/oauth2\/authorize\?/);
+        });
+
+        it('should reject tokens from another issuer or of another use', async() => {
+            const fetchMock = mockCognito({ jwks: () => ({ status: 200, body: toJwks(KEY) }) });
+
+            expect((await requestWithToken(signAccessToken(KEY, { token_use: 'id' }))).status).toBe('302');
+            expect((await requestWithToken(signAccessToken(KEY, { iss: 'https://cognito-idp.us-east-1.amazonaws.com/other' }))).status).toBe('302');
+            expect(callsTo(fetchMock, JWKS_URL)).toHaveLength(0);
+        });
+    });
+
+    describe('login', () => {
+        it('should send a request without a session to the Hosted UI with a PKCE challenge', async() => {
+            mockCognito();
+
+            const { response, location, pkce, state, verifier, returnTo } = await startLogin({ uri: '/events/a.mp4', querystring: 'x=1' });
+
+            expect(response.status).toBe('302');
+            expect(location.origin).toBe(`${COGNITO_DOMAIN}/oauth2/authorize`);
+            expect(Object.fromEntries(location.searchParams)).toEqual({
+                response_type: 'code',
+                client_id: '##COGNITO_CLIENT_ID##',
+                redirect_uri: 'https://d111111abcdef8.cloudfront.net/auth-callback',
+                scope: 'openid',
+                state,
+                code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+                code_challenge_method: 'S256'
+            });
+            expect(returnTo).toBe('/events/a.mp4?x=1');
+            // Only the callback path receives the verifier, and never page scripts
+            expect(pkce.attributes).toBe(`; Path=/auth-callback; Max-Age=600${COOKIE_FLAGS}`);
+        });
+
+        it('should send users back to the host they signed in on', async() => {
+            mockCognito();
+
+            const custom = await startLogin({ host: CUSTOM_HOST });
+            const withoutHost = await handler({ Records: [{ cf: { request: { method: 'GET', uri: '/', querystring: '', headers: {} } } }] });
+
+            expect(custom.location.searchParams.get('redirect_uri')).toBe(`https://${CUSTOM_HOST}/auth-callback`);
+            expect(new URLSearchParams(withoutHost.headers.location[0].value.split('?')[1]).get('redirect_uri')).toBe('https://##CLOUDFRONT_DOMAIN##/auth-callback');
+        });
+
+        it('should exchange the code and set the tokens as HttpOnly cookies', async() => {
+            const fetchMock = mockCognito({
+                token: () => ({ status: 200, body: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 } })
+            });
+            const { state, pkce, verifier } = await startLogin({ uri: '/events/a.mp4', querystring: 'x=1', host: CUSTOM_HOST });
+
+            const response = await callback({ state, pkceValue: pkce.value, host: CUSTOM_HOST });
+
+            expect(callsTo(fetchMock, TOKEN_URL)).toHaveLength(1);
+            expect(Object.fromEntries(new URLSearchParams(callsTo(fetchMock, TOKEN_URL)[0][1].body))).toEqual({
+                client_id: '##COGNITO_CLIENT_ID##',
+                grant_type: 'authorization_code',
+                code: 'auth-code',
+                redirect_uri: `https://${CUSTOM_HOST}/auth-callback`,
+                code_verifier: verifier
+            });
+            expect(response.status).toBe('302');
+            expect(response.headers.location[0].value).toBe('/events/a.mp4?x=1');
+            expect(responseCookies(response)).toEqual({
+                CognitoAccessToken: { value: 'new-access', attributes: `; Path=/; Max-Age=3600${COOKIE_FLAGS}` },
+                CognitoRefreshToken: { value: 'new-refresh', attributes: `; Path=/; Max-Age=2592000${COOKIE_FLAGS}` },
+                CognitoPkce: { value: '', attributes: `; Path=/auth-callback; Max-Age=0${COOKIE_FLAGS}` }
+            });
+        });
+
+        it('should refuse a callback whose state does not match, or without a login in progress', async() => {
+            const fetchMock = mockCognito({ token: () => ({ status: 200, body: { access_token: 'new-access' } }) });
+            const { pkce } = await startLogin();
+
+            const mismatch = await callback({ state: 'someone-elses-state', pkceValue: pkce.value });
+            const missingCookie = await callback({ state: JSON.parse(pkce.value).state });
+            const unreadableCookie = await callback({ state: 'state', pkceValue: '{not json' });
+
+            for (const response of [mismatch, missingCookie, unreadableCookie]) {
+                expect(response.status).toBe('400');
+                expect(response.body).toContain('This sign-in link has expired.');
+                expect(responseCookies(response).CognitoPkce.attributes).toContain('Max-Age=0');
+            }
+            expect(callsTo(fetchMock, TOKEN_URL)).toHaveLength(0);
+        });
+
+        it.each([
+            ['//evil.com/path'],
+            ['/\\evil.com'],
+            ['https://evil.com/'],
+            ['evil.com'],
+            [42]
+        ])('should only return to a path on this site, not %p', async(returnTo) => {
+            mockCognito({ token: () => ({ status: 200, body: { access_token: 'new-access' } }) });
+            const pkceValue = JSON.stringify({ state: 'state-1', verifier: 'verifier-1', returnTo });
+
+            const response = await callback({ state: 'state-1', pkceValue });
+
+            expect(response.headers.location[0].value).toBe('/');
+        });
+
+        it('should show an error page when Cognito reports an error or the exchange fails', async() => {
+            mockCognito({ token: () => ({ status: 400, body: { error: 'invalid_grant' } }) });
+            const { state, pkce } = await startLogin();
+
+            const cognitoError = await callback({ query: 'error=access_denied&state=' + state, pkceValue: pkce.value });
+            const failedExchange = await callback({ state, pkceValue: pkce.value });
+
+            expect(cognitoError.status).toBe('401');
+            expect(failedExchange.status).toBe('502');
+        });
+    });
+
+    describe('refresh', () => {
+        it('should renew an expired access token with the refresh token and repeat the request', async() => {
+            const fetchMock = mockCognito({
+                jwks: () => ({ status: 200, body: toJwks(KEY) }),
+                token: () => ({ status: 200, body: { access_token: signAccessToken(KEY), expires_in: 3600 } })
+            });
+            const expired = signAccessToken(KEY);
+            now += 2 * 60 * 60 * 1000;
+
+            const response = await requestWithToken(expired, { uri: '/api/summary', querystring: 'day=1', cookies: { CognitoRefreshToken: 'refresh-1' } });
+
+            expect(response.status).toBe('307');
+            expect(response.headers.location[0].value).toBe('/api/summary?day=1');
+            expect(Object.fromEntries(new URLSearchParams(callsTo(fetchMock, TOKEN_URL)[0][1].body)))
+                .toEqual({ client_id: '##COGNITO_CLIENT_ID##', grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+            // Cognito returns no new refresh token, so only the access cookie is replaced
+            const cookies = responseCookies(response);
+            expect(Object.keys(cookies)).toEqual(['CognitoAccessToken']);
+            expect(cookies.CognitoAccessToken.attributes).toBe(`; Path=/; Max-Age=3600${COOKIE_FLAGS}`);
+        });
+
+        it('should start a new login and clear the refresh cookie when the refresh fails', async() => {
+            mockCognito({
+                jwks: () => ({ status: 200, body: toJwks(KEY) }),
+                token: () => ({ status: 400, body: { error: 'invalid_grant' } })
+            });
+
+            const response = await handler(viewerRequest({ uri: '/index.html', cookies: { CognitoRefreshToken: 'revoked' } }));
+
+            expect(response.status).toBe('302');
+            expect(response.headers.location[0].value).toMatch(new RegExp(`^${COGNITO_DOMAIN}/oauth2/authorize\\?`));
+            const cookies = responseCookies(response);
+            expect(cookies.CognitoRefreshToken).toEqual({ value: '', attributes: `; Path=/; Max-Age=0${COOKIE_FLAGS}` });
+            expect(JSON.parse(cookies.CognitoPkce.value).returnTo).toBe('/index.html');
+        });
+
+        it('should not accept a refreshed token that fails verification', async() => {
+            mockCognito({
+                jwks: () => ({ status: 200, body: toJwks(KEY) }),
+                token: () => ({ status: 200, body: { access_token: signAccessToken(createSigningKey('forged')) } })
+            });
+
+            const response = await handler(viewerRequest({ cookies: { CognitoRefreshToken: 'refresh-1' } }));
+
+            expect(response.status).toBe('302');
+            expect(responseCookies(response).CognitoAccessToken).toBeUndefined();
+        });
+    });
+
+    it('should never log tokens or cookies', async() => {
+        mockCognito({
+            jwks: () => ({ status: 200, body: toJwks(KEY) }),
+            token: () => ({ status: 200, body: { access_token: signAccessToken(KEY), refresh_token: 'secret-refresh' } })
+        });
+        const token = signAccessToken(KEY);
+        const { state, pkce } = await startLogin();
+
+        await requestWithToken(token);
+        await callback({ state, pkceValue: pkce.value });
+        await handler(viewerRequest({ cookies: { CognitoRefreshToken: 'secret-refresh' } }));
+
+        const logged = JSON.stringify(logSpy.mock.calls);
+        for (const secret of [token, 'secret-refresh', JSON.parse(pkce.value).verifier]) {
+            expect(logged).not.toContain(secret);
+        }
+    });
+});
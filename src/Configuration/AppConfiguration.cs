@@ -30,6 +30,26 @@ namespace UnifiWebhookEventReceiver.Configuration
         public const int DEFAULT_ARCHIVE_BUTTON_Y = 240;
         /// <summary>Maximum retention period (in days) for event data, matching S3 lifecycle rule.</summary>
         public static int MaxRetentionDays => int.TryParse(Environment.GetEnvironmentVariable("MaxRetentionDays"), out var days) ? days : 30;
+
+        /// <summary>Default IANA time zone for daily summaries, matching the summary lambda.</summary>
+        public const string DEFAULT_SUMMARY_TIME_ZONE = "America/New_York";
+
+        /// <summary>IANA time zone used to bucket events into daily summaries (SummaryTimeZone, same as the summary lambda's SUMMARY_TIME_ZONE)</summary>
+        public static TimeZoneInfo SummaryTimeZone
+        {
+            get
+            {
+                var timeZoneId = Environment.GetEnvironmentVariable("SummaryTimeZone");
+                try
+                {
+                    return TimeZoneInfo.FindSystemTimeZoneById(string.IsNullOrWhiteSpace(timeZoneId) ? DEFAULT_SUMMARY_TIME_ZONE : timeZoneId);
+                }
+                catch (Exception e) when (e is TimeZoneNotFoundException || e is InvalidTimeZoneException)
+                {
+                    throw new InvalidOperationException($"Invalid time zone: {timeZoneId}", e);
+                }
+            }
+        }
         #region Constants
 
         /// <summary>Error message template for 500 Internal Server Error responses</summary>
@@ -23,6 +23,8 @@ namespace UnifiWebhookEventReceiver.Models
         public string lastUpdated { get; set; } = string.Empty;
         public int totalEvents { get; set; }
         public int missingVideoCount { get; set; }
+        public int corruptVideoCount { get; set; }
+        public int expiredEventCount { get; set; }
         public int dlqMessageCount { get; set; }
     }
 
@@ -35,6 +37,32 @@ namespace UnifiWebhookEventReceiver.Models
         public string jsonFile { get; set; } = string.Empty;
         public string lastModified { get; set; } = string.Empty;
         public long size { get; set; }
+        public MissingVideoRetry? retry { get; set; }
+        public bool permanentlyMissing { get; set; }
+    }
+
+    /// <summary>
+    /// Represents the automatic re-enqueue attempts made for a missing video event.
+    /// </summary>
+    public class MissingVideoRetry
+    {
+        public int attempts { get; set; }
+        public string? lastAttemptAt { get; set; }
+        public string? lastOutcome { get; set; }
+        public string? nextAttemptAt { get; set; }
+    }
+
+    /// <summary>
+    /// Represents a stored video that failed the integrity check (empty, too small, truncated or missing MP4 boxes).
+    /// </summary>
+    public class CorruptVideoEvent
+    {
+        public string eventId { get; set; } = string.Empty;
+        public string videoFile { get; set; } = string.Empty;
+        public string? jsonFile { get; set; }
+        public long size { get; set; }
+        public string reason { get; set; } = string.Empty;
+        public string detail { get; set; } = string.Empty;
     }
 
     /// <summary>
@@ -54,6 +82,26 @@ namespace UnifiWebhookEventReceiver.Models
         public string EventPath { get; set; } = string.Empty;
         public string EventLocalLink { get; set; } = string.Empty;
         public Dictionary<string, object> Metadata { get; set; } = new();
+        public bool Expired { get; set; }
+        public string? ExpiredAt { get; set; }
+    }
+
+    /// <summary>
+    /// Represents one hour's event shard referenced by the daily summary index.
+    /// </summary>
+    public class SummaryShard
+    {
+        public string key { get; set; } = string.Empty;
+        public int eventCount { get; set; }
+        public string lastUpdated { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Represents the contents of an hourly event shard file.
+    /// </summary>
+    public class SummaryShardFile
+    {
+        public List<DailySummaryEvent> events { get; set; } = new();
     }
 
     /// <summary>
@@ -61,12 +109,15 @@ namespace UnifiWebhookEventReceiver.Models
     /// </summary>
     public class DailySummary
     {
+        public int schemaVersion { get; set; }
         public SummaryMetadata metadata { get; set; } = new();
         public Dictionary<string, int> eventCounts { get; set; } = new();
         public Dictionary<string, int> deviceCounts { get; set; } = new();
         public Dictionary<string, int> hourlyCounts { get; set; } = new();
         public List<DailySummaryEvent> events { get; set; } = new();
         public List<MissingVideoEvent> missingVideoEvents { get; set; } = new();
+        public List<CorruptVideoEvent> corruptVideoEvents { get; set; } = new();
         public Dictionary<string, int> dlqCounts { get; set; } = new();
+        public Dictionary<string, SummaryShard> shards { get; set; } = new();
     }
 }
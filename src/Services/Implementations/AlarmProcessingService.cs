@@ -270,6 +270,7 @@ namespace UnifiWebhookEventReceiver.Services.Implementations
                 AlarmName = alarm.name,
                 DeviceName = triggerForSummary?.deviceName,
                 EventType = triggerForSummary?.key,
+                TriggerKeys = alarm.triggers?.Select(t => t.key).Where(k => !string.IsNullOrEmpty(k)).Distinct().ToList(),
                 EventPath = alarm.eventPath,
                 EventLocalLink = alarm.eventLocalLink,
                 Metadata = new System.Collections.Generic.Dictionary<string, string>()
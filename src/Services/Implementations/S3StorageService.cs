@@ -10,6 +10,7 @@
  ***********************/
 
 using System.Diagnostics.CodeAnalysis;
+using System.IO.Compression;
 using System.Net;
 using System.Text;
 using Amazon.Lambda.APIGatewayEvents;
@@ -193,10 +194,10 @@ namespace UnifiWebhookEventReceiver.Services.Implementations
             string? summaryDate = null;
             bool summaryDataFound = false;
 
-            // Convert UTC to Eastern time to match the summary lambda logic
-            var easternTime = ConvertUtcToEasternTime(now);
-            var dateFolder = $"{easternTime:yyyy-MM-dd}";
-            var summaryKey = $"{dateFolder}/summary_{easternTime:yyyy-MM-dd}.json";
+            // Convert UTC to the summary time zone to match the summary lambda's daily buckets
+            var localTime = ConvertUtcToSummaryTime(now);
+            var dateFolder = $"{localTime:yyyy-MM-dd}";
+            var summaryKey = $"{dateFolder}/summary_{localTime:yyyy-MM-dd}.json";
             
             try
             {
@@ -268,20 +269,48 @@ namespace UnifiWebhookEventReceiver.Services.Implementations
         }
 
         /// <summary>
-        /// Reads and deserializes a daily summary file from S3.
+        /// Reads and deserializes a daily summary file from S3, loading the events from its hourly shards.
         /// </summary>
         private async Task<DailySummary?> ReadDailySummaryAsync(string bucket, string summaryKey)
         {
-            var summaryRequest = new GetObjectRequest
+            var summaryJson = await ReadSummaryObjectAsync(bucket, summaryKey);
+            var dailySummary = JsonConvert.DeserializeObject<DailySummary>(summaryJson);
+            if (dailySummary?.shards == null || dailySummary.shards.Count == 0)
+                return dailySummary;
+
+            var events = new List<DailySummaryEvent>(dailySummary.events ?? new List<DailySummaryEvent>());
+            foreach (var shard in dailySummary.shards.OrderBy(s => s.Key).Select(s => s.Value))
+            {
+                try
+                {
+                    var shardFile = JsonConvert.DeserializeObject<SummaryShardFile>(await ReadSummaryObjectAsync(bucket, shard.key));
+                    if (shardFile?.events != null)
+                        events.AddRange(shardFile.events);
+                }
+                catch (AmazonS3Exception e) when (e.ErrorCode == "NoSuchKey" || e.ErrorCode == "NotFound")
+                {
+                    _logger.LogLine($"Event shard {shard.key} referenced by {summaryKey} was not found");
+                }
+            }
+            dailySummary.events = events.OrderBy(e => e.Timestamp).ToList();
+            return dailySummary;
+        }
+
+        /// <summary>
+        /// Reads a summary or shard object as text, decompressing gzip shards (.gz keys).
+        /// </summary>
+        private async Task<string> ReadSummaryObjectAsync(string bucket, string key)
+        {
+            var response = await _s3Client.GetObjectAsync(new GetObjectRequest
             {
                 BucketName = bucket,
-                Key = summaryKey
-            };
-            
-            var summaryResponse = await _s3Client.GetObjectAsync(summaryRequest);
-            using var reader = new StreamReader(summaryResponse.ResponseStream);
-            var summaryJson = await reader.ReadToEndAsync();
-            return JsonConvert.DeserializeObject<DailySummary>(summaryJson);
+                Key = key
+            });
+            Stream stream = response.ResponseStream;
+            if (key.EndsWith(".gz", StringComparison.OrdinalIgnoreCase))
+                stream = new GZipStream(stream, CompressionMode.Decompress);
+            using var reader = new StreamReader(stream);
+            return await reader.ReadToEndAsync();
         }
 
         /// <summary>
@@ -1202,13 +1231,12 @@ namespace UnifiWebhookEventReceiver.Services.Implementations
         }
 
         /// <summary>
-        /// Converts UTC time to Eastern Time (UTC-5, ignoring DST for simplicity).
-        /// This matches the logic used in the summary lambda.
+        /// Converts UTC time to the configured summary time zone, including DST.
+        /// This matches the daily buckets used by the summary lambda.
         /// </summary>
-        private static DateTime ConvertUtcToEasternTime(DateTime utcTime)
+        private static DateTime ConvertUtcToSummaryTime(DateTime utcTime)
         {
-            // Convert to Eastern Time (UTC-5)
-            return utcTime.AddHours(-5);
+            return TimeZoneInfo.ConvertTimeFromUtc(DateTime.SpecifyKind(utcTime, DateTimeKind.Utc), AppConfiguration.SummaryTimeZone);
         }
 
         #endregion
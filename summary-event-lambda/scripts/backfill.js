@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Rebuild daily summary files for a date range from the event JSON and videos stored in the bucket.
+//
+// Usage:
+//   node scripts/backfill.js --start 2025-09-01 [--end 2025-09-07] [--dry-run]
+//                            [--bucket my-bucket] [--time-zone America/New_York]
+//
+// --bucket and --time-zone default to SUMMARY_BUCKET_NAME and SUMMARY_TIME_ZONE.
+// AWS credentials and region come from the usual AWS SDK environment/profile settings.
+
+const USAGE = 'Usage: node scripts/backfill.js --start YYYY-MM-DD [--end YYYY-MM-DD] [--dry-run] [--bucket NAME] [--time-zone ZONE]';
+
+// Helper to parse the command line into options
+function parseArgs(argv) {
+    const options = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--start': options.startDate = argv[++i]; break;
+            case '--end': options.endDate = argv[++i]; break;
+            case '--bucket': options.bucket = argv[++i]; break;
+            case '--time-zone': options.timeZone = argv[++i]; break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.startDate) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    // The store and summary modules read their configuration when first loaded
+    if (options.bucket) process.env.SUMMARY_BUCKET_NAME = options.bucket;
+    if (options.timeZone) process.env.SUMMARY_TIME_ZONE = options.timeZone;
+    if (!process.env.SUMMARY_BUCKET_NAME) {
+        console.error('[ERROR] No bucket given: pass --bucket or set SUMMARY_BUCKET_NAME');
+        return 1;
+    }
+    const { backfillSummaries } = require('../src/backfill');
+
+    const { results, rebuiltRollups } = await backfillSummaries(options);
+    const changed = results.filter(result => result.diff.changed || result.corrupt);
+    const written = results.filter(result => result.written);
+    console.log(options.dryRun
+        ? `[INFO] Dry run: ${changed.length} of ${results.length} summaries would change, nothing was written`
+        : `[SUCCESS] Rebuilt ${written.length} of ${results.length} summaries and ${rebuiltRollups.length} rollups`);
+    return 0;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error('[ERROR] Backfill failed:', err.message);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Run the summary lambda handler against a local folder instead of S3 and SQS.
+//
+// Usage:
+//   node scripts/run-local.js --data-dir ./sample-bucket --event ./sqs-event.json [--queue-dir ./queues]
+//
+// The data directory is laid out like the bucket (YYYY-MM-DD/{eventId}_{device}_{timestamp}.json/.mp4) and
+// receives the summary and rollup files. The event file is an SQS event ({ "Records": [...] }), a direct
+// invocation payload ({ "action": ... }), or a summary event / array of summary events to wrap as records.
+// Messages forwarded to a DLQ are written under the queue directory (default <data-dir>/.queues).
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node scripts/run-local.js --data-dir DIR --event FILE [--queue-dir DIR] [--time-zone ZONE]';
+
+// Helper to parse the command line into options
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--data-dir': options.dataDir = argv[++i]; break;
+            case '--event': options.eventFile = argv[++i]; break;
+            case '--queue-dir': options.queueDir = argv[++i]; break;
+            case '--time-zone': options.timeZone = argv[++i]; break;
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Helper to turn the event file contents into a handler invocation
+function toInvocation(payload) {
+    if (payload.Records || payload.action) {
+        return payload;
+    }
+    const summaryEvents = Array.isArray(payload) ? payload : [payload];
+    return {
+        Records: summaryEvents.map((summaryEvent, index) => ({
+            messageId: `local-${index + 1}`,
+            body: JSON.stringify(summaryEvent)
+        }))
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.dataDir || !options.eventFile) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    // The backends and summary modules read their configuration when first loaded
+    process.env.SUMMARY_STORAGE_BACKEND = 'local';
+    process.env.SUMMARY_LOCAL_DIR = path.resolve(options.dataDir);
+    if (options.queueDir) process.env.SUMMARY_LOCAL_QUEUE_DIR = path.resolve(options.queueDir);
+    if (options.timeZone) process.env.SUMMARY_TIME_ZONE = options.timeZone;
+    const { handler } = require('../src/index');
+
+    const payload = JSON.parse(fs.readFileSync(options.eventFile, 'utf-8'));
+    const result = await handler(toInvocation(payload));
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error('[ERROR] Local run failed:', err.message);
+        process.exitCode = 1;
+    });
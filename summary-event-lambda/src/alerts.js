@@ -0,0 +1,183 @@
+// Threshold alert rules evaluated by the summary lambda, delivered as JSON POSTs to a webhook.
+//
+// Rules come from SUMMARY_ALERT_RULES, a JSON array such as
+//   [{ "type": "missingVideos", "threshold": 5 },
+//    { "type": "dlqMessages" },
+//    { "id": "quiet-driveway", "type": "cameraSilent", "hours": 6, "cameras": ["Driveway"] }]
+// missingVideos fires when the day's missing video count is above threshold (default 0), dlqMessages when the
+// DLQs hold more than threshold messages (default 0, i.e. any), and cameraSilent for each camera without an
+// event for `hours` (default 12). Alerting is off unless SUMMARY_ALERT_WEBHOOK_URL is set.
+//
+// Each rule (and camera) is deduplicated through alerts/alert_state.json: a condition alerts when it starts,
+// again only every SUMMARY_ALERT_REPEAT_MINUTES while it lasts, and once more as resolved when it clears.
+// The state file also remembers when each camera last had an event, across days.
+
+const { logger } = require('./logger');
+const { updateJsonObject } = require('./summaryStore');
+
+const ALERT_WEBHOOK_URL = process.env.SUMMARY_ALERT_WEBHOOK_URL || '';
+const ALERT_REPEAT_MS = parseFloat(process.env.SUMMARY_ALERT_REPEAT_MINUTES || '360') * 60 * 1000;
+const ALERT_WEBHOOK_TIMEOUT_MS = 5000;
+const ALERT_STATE_KEY = 'alerts/alert_state.json';
+const DEFAULT_RULES = [{ type: 'missingVideos' }, { type: 'dlqMessages' }];
+const RULE_TYPES = ['missingVideos', 'dlqMessages', 'cameraSilent'];
+
+// Helper to parse and validate the configured rules, filling in ids and defaults
+function parseAlertRules(json = process.env.SUMMARY_ALERT_RULES) {
+    const rules = json ? JSON.parse(json) : DEFAULT_RULES;
+    if (!Array.isArray(rules)) {
+        throw new Error('SUMMARY_ALERT_RULES must be a JSON array');
+    }
+    return rules.map(rule => {
+        if (!RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Unknown alert rule type: ${rule.type} (expected ${RULE_TYPES.join(', ')})`);
+        }
+        return {
+            ...rule,
+            id: rule.id || rule.type,
+            threshold: rule.threshold ?? 0,
+            ...(rule.type === 'cameraSilent' ? { hours: rule.hours ?? 12 } : {})
+        };
+    });
+}
+
+// Helper to check every rule against the current state; returns one condition per rule (and camera).
+// Rules whose input is not available this time (no summary for today, DLQs not checked) are left as they were.
+function evaluateRules(rules, { summaryData, totalDlqCount, cameras, now }) {
+    const conditions = [];
+    for (const rule of rules) {
+        if (rule.type === 'missingVideos') {
+            if (!summaryData) continue;
+            const value = summaryData.metadata.missingVideoCount || 0;
+            conditions.push({
+                rule, key: rule.id, firing: value > rule.threshold, value,
+                message: `${value} events on ${summaryData.metadata.date} have no video (threshold ${rule.threshold})`
+            });
+        } else if (rule.type === 'dlqMessages') {
+            if (totalDlqCount === undefined) continue;
+            const value = totalDlqCount || 0;
+            conditions.push({
+                rule, key: rule.id, firing: value > rule.threshold, value,
+                message: `${value} messages waiting on the DLQs (threshold ${rule.threshold})`
+            });
+        } else if (rule.type === 'cameraSilent') {
+            const names = rule.cameras || Object.keys(cameras);
+            for (const camera of names) {
+                const lastEventAt = cameras[camera]?.lastEventAt || null;
+                // A camera never seen is measured from when it was first watched
+                const since = Date.parse(lastEventAt || cameras[camera]?.watchedSince || new Date(now).toISOString());
+                const silentHours = (now - since) / 3600000;
+                conditions.push({
+                    rule, key: `${rule.id}:${camera}`, camera, firing: silentHours >= rule.hours, value: Math.floor(silentHours),
+                    lastEventAt,
+                    message: `${camera} has had no events for ${Math.floor(silentHours)} hours (threshold ${rule.hours})`
+                });
+            }
+        }
+    }
+    return conditions;
+}
+
+// Helper to POST one alert payload; throws when the webhook does not answer with a 2xx status
+async function postAlert(payload) {
+    const response = await fetch(ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+}
+
+// Helper to build the webhook payload for a condition that started, is still firing, or cleared
+function toAlertPayload(condition, status, firstFiredAt, now) {
+    const { rule } = condition;
+    return {
+        source: 'unifi-protect-summary-lambda',
+        status,
+        rule: { id: rule.id, type: rule.type, threshold: rule.threshold, ...(rule.hours !== undefined ? { hours: rule.hours } : {}) },
+        ...(condition.camera ? { camera: condition.camera, lastEventAt: condition.lastEventAt } : {}),
+        value: condition.value,
+        message: status === 'resolved' ? `Resolved: ${condition.message}` : condition.message,
+        firstFiredAt,
+        sentAt: new Date(now).toISOString()
+    };
+}
+
+// Evaluate the alert rules after a summary update and send whatever is due to the webhook.
+// summaryEvents update each camera's last event time; summaryData is today's summary if it was just written.
+// Returns the payloads sent. Webhook failures are logged and retried on the next evaluation.
+async function processAlerts({ summaryData, totalDlqCount, summaryEvents = [], now = Date.now() } = {}) {
+    if (!ALERT_WEBHOOK_URL) {
+        return [];
+    }
+    const rules = parseAlertRules();
+    // Alerts already posted by this invocation, so a state write conflict does not post them twice
+    const posted = new Map();
+
+    await updateJsonObject(ALERT_STATE_KEY, () => ({ cameras: {}, rules: {} }), async(state) => {
+        state.cameras = state.cameras || {};
+        state.rules = state.rules || {};
+        const nowIso = new Date(now).toISOString();
+
+        for (const summaryEvent of summaryEvents) {
+            const camera = summaryEvent.DeviceName || summaryEvent.Device;
+            const eventAt = new Date(summaryEvent.Timestamp);
+            if (!camera || !Number.isFinite(eventAt.getTime())) continue;
+            const previous = state.cameras[camera]?.lastEventAt;
+            if (!previous || eventAt.toISOString() > previous) {
+                state.cameras[camera] = { ...state.cameras[camera], lastEventAt: eventAt.toISOString() };
+            }
+        }
+        for (const rule of rules.filter(r => r.type === 'cameraSilent' && r.cameras)) {
+            rule.cameras.forEach(camera => {
+                if (!state.cameras[camera]) state.cameras[camera] = { watchedSince: nowIso };
+            });
+        }
+
+        for (const condition of evaluateRules(rules, { summaryData, totalDlqCount, cameras: state.cameras, now })) {
+            const previous = state.rules[condition.key] || { active: false };
+            let status = null;
+            if (condition.firing && (!previous.active || now - Date.parse(previous.lastSentAt) >= ALERT_REPEAT_MS)) {
+                status = 'firing';
+            } else if (!condition.firing && previous.active) {
+                status = 'resolved';
+            }
+            if (!status) {
+                state.rules[condition.key] = { ...previous, lastValue: condition.value };
+                continue;
+            }
+
+            const firstFiredAt = status === 'firing' && !previous.active ? nowIso : previous.firstFiredAt;
+            if (!posted.has(condition.key)) {
+                const payload = toAlertPayload(condition, status, firstFiredAt, now);
+                try {
+                    await postAlert(payload);
+                    logger.info(`Sent ${status} alert for ${condition.key}: ${payload.message}`);
+                    posted.set(condition.key, { payload });
+                } catch (err) {
+                    logger.error(`Failed to send ${status} alert for ${condition.key}:`, err);
+                    posted.set(condition.key, { error: err.message });
+                }
+            }
+
+            // A failed post leaves the rule as it was, so the next evaluation tries again
+            const { error } = posted.get(condition.key);
+            state.rules[condition.key] = error
+                ? { ...previous, lastValue: condition.value, lastError: error }
+                : { active: status === 'firing', firstFiredAt, lastSentAt: nowIso, lastStatus: status, lastValue: condition.value };
+        }
+        state.lastEvaluatedAt = nowIso;
+    });
+
+    return [...posted.values()].filter(entry => entry.payload).map(entry => entry.payload);
+}
+
+module.exports = {
+    ALERT_STATE_KEY,
+    parseAlertRules,
+    evaluateRules,
+    processAlerts
+};
@@ -0,0 +1,149 @@
+// Activity anomalies: each camera's events per local hour compared with its rolling baseline.
+//
+// The baseline is the mean and standard deviation of a camera's count for each hour over the previous
+// SUMMARY_ANOMALY_BASELINE_DAYS (14) daily summaries that exist. It only depends on earlier days, so it is
+// computed once per day and kept in the summary under `baseline`; the anomalies are re-checked on every update.
+//
+//   high: an hour with at least SUMMARY_ANOMALY_MIN_EVENTS (3) events, SUMMARY_ANOMALY_RATIO (3) times the
+//         baseline mean and a z-score of at least SUMMARY_ANOMALY_Z_SCORE (3) (the z-score is skipped when
+//         the baseline never varied)
+//   low:  a camera whose completed hours so far expected at least SUMMARY_ANOMALY_MIN_EVENTS events but
+//         recorded no more than 1/SUMMARY_ANOMALY_RATIO of them, e.g. a camera that has gone silent
+
+const { logger } = require('./logger');
+const { getZonedDateString, getZonedHour } = require('./timeZone');
+const { getJsonObject } = require('./summaryStore');
+const { TIME_ZONE } = require('./dailySummary');
+const { getSummaryKey } = require('./summaryShards');
+const { shiftDate, getDatesInRange } = require('./rollups');
+
+const BASELINE_DAYS = parseInt(process.env.SUMMARY_ANOMALY_BASELINE_DAYS || '14', 10);
+const MIN_BASELINE_DAYS = parseInt(process.env.SUMMARY_ANOMALY_MIN_BASELINE_DAYS || '3', 10);
+const MIN_EVENTS = parseFloat(process.env.SUMMARY_ANOMALY_MIN_EVENTS || '3');
+const RATIO_THRESHOLD = parseFloat(process.env.SUMMARY_ANOMALY_RATIO || '3');
+const Z_SCORE_THRESHOLD = parseFloat(process.env.SUMMARY_ANOMALY_Z_SCORE || '3');
+
+// Helper to round a statistic for the summary file
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Helper to get a camera's per-hour counts from a summary; falls back to deviceCounts for the
+// camera list so a camera with no events that day still counts as a zero day
+function getDeviceHourlyCounts(summaryData) {
+    const counts = {};
+    for (const camera of Object.keys(summaryData.deviceCounts || {})) counts[camera] = {};
+    for (const [camera, hours] of Object.entries(summaryData.deviceHourlyCounts || {})) counts[camera] = hours;
+    return counts;
+}
+
+// Build the per-camera, per-hour baseline for a date from the previous daily summaries.
+// Days without a summary are skipped; days written before per-device hourly counts existed are skipped too.
+async function buildBaseline(date, days = BASELINE_DAYS) {
+    const dailyCounts = [];
+    for (const previousDate of getDatesInRange(shiftDate(date, -days), shiftDate(date, -1))) {
+        const previous = await getJsonObject(getSummaryKey(previousDate));
+        if (previous && previous.data.deviceHourlyCounts) {
+            dailyCounts.push(getDeviceHourlyCounts(previous.data));
+        }
+    }
+
+    const cameras = {};
+    const names = new Set(dailyCounts.flatMap(counts => Object.keys(counts)));
+    for (const camera of names) {
+        cameras[camera] = {};
+        for (let hour = 0; hour < 24; hour++) {
+            const samples = dailyCounts.map(counts => (counts[camera] && counts[camera][hour]) || 0);
+            const mean = samples.reduce((total, value) => total + value, 0) / samples.length;
+            const variance = samples.reduce((total, value) => total + (value - mean) ** 2, 0) / samples.length;
+            if (mean > 0) {
+                cameras[camera][hour] = { mean: round(mean), stdDev: round(Math.sqrt(variance)) };
+            }
+        }
+    }
+
+    return { date, windowDays: days, daysUsed: dailyCounts.length, computedAt: new Date().toISOString(), cameras };
+}
+
+// Helper to count the local hours of a date that are already over at `now`
+function getCompletedHours(date, now) {
+    const today = getZonedDateString(now, TIME_ZONE).folder;
+    if (date < today) return 24;
+    if (date > today) return 0;
+    return getZonedHour(now, TIME_ZONE);
+}
+
+// Compare a summary's per-camera hourly counts with its baseline and list the anomalies found
+function detectAnomalies(summaryData, baseline, { now = Date.now() } = {}) {
+    if (!baseline || baseline.daysUsed < MIN_BASELINE_DAYS) {
+        return [];
+    }
+    const counts = summaryData.deviceHourlyCounts || {};
+    const completedHours = getCompletedHours(summaryData.metadata.date, now);
+    const anomalies = [];
+
+    for (const camera of new Set([...Object.keys(baseline.cameras), ...Object.keys(counts)])) {
+        const expected = baseline.cameras[camera] || {};
+        const observed = counts[camera] || {};
+
+        for (const [hour, value] of Object.entries(observed)) {
+            const { mean = 0, stdDev = 0 } = expected[hour] || {};
+            const ratio = mean > 0 ? value / mean : null;
+            const zScore = stdDev > 0 ? (value - mean) / stdDev : null;
+            if (value >= MIN_EVENTS && (ratio === null || ratio >= RATIO_THRESHOLD) && (zScore === null || zScore >= Z_SCORE_THRESHOLD)) {
+                anomalies.push({
+                    camera,
+                    direction: 'high',
+                    window: { startHour: Number(hour), endHour: Number(hour) + 1 },
+                    observed: value,
+                    expected: mean,
+                    zScore: zScore === null ? null : round(zScore),
+                    ratio: ratio === null ? null : round(ratio),
+                    baselineDays: baseline.daysUsed
+                });
+            }
+        }
+
+        // Silence is judged over the hours that are already over, so a quiet start to the current hour does not count
+        let expectedTotal = 0;
+        let observedTotal = 0;
+        for (let hour = 0; hour < completedHours; hour++) {
+            expectedTotal += expected[hour] ? expected[hour].mean : 0;
+            observedTotal += observed[hour] || 0;
+        }
+        if (expectedTotal >= MIN_EVENTS && observedTotal * RATIO_THRESHOLD <= expectedTotal) {
+            anomalies.push({
+                camera,
+                direction: 'low',
+                window: { startHour: 0, endHour: completedHours },
+                observed: observedTotal,
+                expected: round(expectedTotal),
+                zScore: null,
+                ratio: round(observedTotal / expectedTotal),
+                baselineDays: baseline.daysUsed
+            });
+        }
+    }
+
+    return anomalies.sort((a, b) => a.camera.localeCompare(b.camera) || a.window.startHour - b.window.startHour);
+}
+
+// Refresh the anomalies of a summary, computing its baseline first if this day does not have one yet
+async function updateAnomalies(summaryData, { date = summaryData.metadata.date, now = Date.now() } = {}) {
+    if (BASELINE_DAYS <= 0) {
+        return summaryData;
+    }
+    if (!summaryData.baseline || summaryData.baseline.date !== date || summaryData.baseline.windowDays !== BASELINE_DAYS) {
+        summaryData.baseline = await buildBaseline(date);
+        logger.info(`Computed activity baseline for ${date} from ${summaryData.baseline.daysUsed} previous daily summaries`);
+    }
+    summaryData.anomalies = detectAnomalies(summaryData, summaryData.baseline, { now });
+    summaryData.metadata.anomalyCount = summaryData.anomalies.length;
+    return summaryData;
+}
+
+module.exports = {
+    buildBaseline,
+    detectAnomalies,
+    updateAnomalies
+};
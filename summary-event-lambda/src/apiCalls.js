@@ -0,0 +1,24 @@
+// Per-invocation tally of storage and queue calls, logged at the end of each batch.
+
+let apiCallCounts = {};
+
+// Helper to tally one backend call under a label such as 'S3:GetObject'
+function countApiCall(label) {
+    apiCallCounts[label] = (apiCallCounts[label] || 0) + 1;
+}
+
+// Helper to clear the call tally at the start of an invocation
+function resetApiCallCounts() {
+    apiCallCounts = {};
+}
+
+// Helper to read the call tally for logging
+function getApiCallCounts() {
+    return apiCallCounts;
+}
+
+module.exports = {
+    countApiCall,
+    resetApiCallCounts,
+    getApiCallCounts
+};
@@ -0,0 +1,91 @@
+// Message queues backed by local directories, one per queue, with one JSON file per message.
+// A queue URL maps to a directory named after its last path segment.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { countApiCall } = require('../apiCalls');
+
+// Helper to get the directory name for a queue URL (https://sqs.../123/my-dlq -> my-dlq)
+function queueName(queueUrl) {
+    const name = String(queueUrl).split('/').filter(Boolean).pop();
+    if (!name || name === '.' || name === '..') {
+        throw new Error(`Invalid queue URL: ${queueUrl}`);
+    }
+    return name;
+}
+
+// Create a queue backend rooted at a directory
+function createFileQueue({ root }) {
+    const rootDir = path.resolve(root);
+
+    // Helper to list the message files on a queue, oldest first
+    async function listMessageFiles(queueUrl) {
+        const dir = path.join(rootDir, queueName(queueUrl));
+        try {
+            return (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort().map(name => path.join(dir, name));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    }
+
+    return {
+        name: 'Local',
+        location: rootDir,
+
+        // Number of messages waiting on a queue
+        async getMessageCount(queueUrl) {
+            countApiCall('Local:GetQueueAttributes');
+            return (await listMessageFiles(queueUrl)).length;
+        },
+
+        // Store a message body with string attributes; returns the new message ID
+        async sendMessage(queueUrl, body, attributes = {}) {
+            countApiCall('Local:SendMessage');
+            const dir = path.join(rootDir, queueName(queueUrl));
+            const messageId = crypto.randomUUID();
+            const sentTimestamp = Date.now();
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, `${sentTimestamp}-${messageId}.json`), JSON.stringify({
+                MessageId: messageId,
+                Body: body,
+                Attributes: { SentTimestamp: String(sentTimestamp) },
+                MessageAttributes: attributes
+            }, null, 2));
+            return messageId;
+        },
+
+        // Read every message on a queue without removing it
+        async listMessages(queueUrl) {
+            const messages = [];
+            for (const file of await listMessageFiles(queueUrl)) {
+                messages.push(JSON.parse(await fs.readFile(file, 'utf-8')));
+            }
+            return messages;
+        },
+
+        // Read up to maxMessages messages, oldest first. Local messages are never hidden, so the
+        // visibility timeout SQS uses is ignored; the file name serves as the receipt handle.
+        async receiveMessages(queueUrl, { maxMessages = 10 } = {}) {
+            countApiCall('Local:ReceiveMessage');
+            const messages = [];
+            for (const file of (await listMessageFiles(queueUrl)).slice(0, maxMessages)) {
+                const message = JSON.parse(await fs.readFile(file, 'utf-8'));
+                messages.push({ ...message, ReceiptHandle: path.basename(file) });
+            }
+            return messages;
+        },
+
+        // Remove a message received from a queue
+        async deleteMessage(queueUrl, receiptHandle) {
+            countApiCall('Local:DeleteMessage');
+            if (path.basename(receiptHandle) !== receiptHandle) {
+                throw new Error(`Invalid receipt handle: ${receiptHandle}`);
+            }
+            await fs.rm(path.join(rootDir, queueName(queueUrl), receiptHandle), { force: true });
+        }
+    };
+}
+
+module.exports = { createFileQueue };
@@ -0,0 +1,140 @@
+// Object storage backed by a local directory, for running the summary lambda on a laptop.
+// Keys map to paths under the root directory and ETags are content MD5s, as they are in S3.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { countApiCall } = require('../apiCalls');
+
+// Helper to compute an S3-style quoted ETag for a body
+function etagFor(body) {
+    return `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+}
+
+// Helper to build the error S3 returns when a conditional write's precondition fails
+function preconditionFailed(key) {
+    const err = new Error(`At least one of the pre-conditions you specified did not hold: ${key}`);
+    err.name = 'PreconditionFailed';
+    err.$metadata = { httpStatusCode: 412 };
+    return err;
+}
+
+// Helper to list every file under a directory as slash-separated keys
+async function walk(root, dir = root) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const files = [];
+    for (const entry of entries) {
+        // Dot entries hold temporary writes and local queues, not objects
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await walk(root, fullPath));
+        } else if (entry.isFile()) {
+            files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+// Create a storage backend rooted at a directory
+function createFileStorage({ root }) {
+    const rootDir = path.resolve(root);
+
+    // Helper to map a key to a path, refusing keys that would escape the root directory
+    function resolveKey(key) {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid object key: ${key}`);
+        }
+        return filePath;
+    }
+
+    // Helper to read a file, returning null when it does not exist
+    async function readIfExists(filePath) {
+        try {
+            return await fs.readFile(filePath);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    return {
+        name: 'Local',
+        location: rootDir,
+
+        // Read an object; returns { body: Buffer, etag } or null when it does not exist
+        async getObject(key) {
+            countApiCall('Local:GetObject');
+            const body = await readIfExists(resolveKey(key));
+            return body ? { body, etag: etagFor(body) } : null;
+        },
+
+        // Read bytes start..end (inclusive) of an object; returns a Buffer, shorter when the object ends first,
+        // or null when the object does not exist
+        async getObjectRange(key, start, end) {
+            countApiCall('Local:GetObject');
+            let handle;
+            try {
+                handle = await fs.open(resolveKey(key), 'r');
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+            try {
+                const buffer = Buffer.alloc(end - start + 1);
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+                return buffer.subarray(0, bytesRead);
+            } finally {
+                await handle.close();
+            }
+        },
+
+        // Write an object with the same ifMatch / ifNoneMatch semantics as S3 conditional writes
+        async putObject(key, body, { ifMatch, ifNoneMatch } = {}) {
+            countApiCall('Local:PutObject');
+            const filePath = resolveKey(key);
+            const existing = await readIfExists(filePath);
+            if ((ifNoneMatch === '*' && existing) || (ifMatch && (!existing || etagFor(existing) !== ifMatch))) {
+                throw preconditionFailed(key);
+            }
+
+            // Write to a temporary file and rename so readers never see a partial object
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+            await fs.writeFile(tempPath, body);
+            await fs.rename(tempPath, filePath);
+            return { etag: etagFor(Buffer.from(body)) };
+        },
+
+        // List one page of objects under a prefix in key order; the continuation token is the last key returned
+        async listObjects(prefix, { maxKeys = 1000, continuationToken } = {}) {
+            countApiCall('Local:ListObjects');
+            // Only the directory the prefix points into needs walking
+            const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const keys = (await walk(rootDir, prefixDir ? resolveKey(prefixDir) : rootDir))
+                .filter(key => key.startsWith(prefix) && (!continuationToken || key > continuationToken))
+                .sort();
+            const page = keys.slice(0, maxKeys);
+            const objects = [];
+            for (const key of page) {
+                const stat = await fs.stat(resolveKey(key));
+                objects.push({ Key: key, Size: stat.size, LastModified: stat.mtime });
+            }
+            const isTruncated = keys.length > page.length;
+            return {
+                objects,
+                isTruncated,
+                nextContinuationToken: isTruncated ? page[page.length - 1] : undefined
+            };
+        }
+    };
+}
+
+module.exports = { createFileStorage };
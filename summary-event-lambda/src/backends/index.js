@@ -0,0 +1,70 @@
+// Selects the object storage and message queue backends the summary lambda runs against.
+//
+//   SUMMARY_STORAGE_BACKEND=s3 (default): objects in SUMMARY_BUCKET_NAME, queues in SQS
+//   SUMMARY_STORAGE_BACKEND=local:        objects under SUMMARY_LOCAL_DIR, queues under
+//                                         SUMMARY_LOCAL_QUEUE_DIR (default SUMMARY_LOCAL_DIR/.queues)
+
+const path = require('path');
+const { createS3Storage } = require('./s3Storage');
+const { createFileStorage } = require('./fileStorage');
+const { createSqsQueue } = require('./sqsQueue');
+const { createFileQueue } = require('./fileQueue');
+
+let backends = null;
+
+// Helper to build the backends described by environment variables
+function createBackendsFromEnv(env = process.env) {
+    const kind = (env.SUMMARY_STORAGE_BACKEND || 's3').toLowerCase();
+    if (kind === 's3') {
+        return {
+            storage: createS3Storage({ bucket: env.SUMMARY_BUCKET_NAME || '' }),
+            queue: createSqsQueue()
+        };
+    }
+    if (kind === 'local') {
+        if (!env.SUMMARY_LOCAL_DIR) {
+            throw new Error('SUMMARY_LOCAL_DIR must be set when SUMMARY_STORAGE_BACKEND is local');
+        }
+        return {
+            storage: createFileStorage({ root: env.SUMMARY_LOCAL_DIR }),
+            queue: createFileQueue({ root: env.SUMMARY_LOCAL_QUEUE_DIR || path.join(env.SUMMARY_LOCAL_DIR, '.queues') })
+        };
+    }
+    throw new Error(`Unknown storage backend: ${env.SUMMARY_STORAGE_BACKEND}`);
+}
+
+// Helper to get the configured backends, creating them on first use
+function getBackends() {
+    if (!backends) {
+        backends = createBackendsFromEnv();
+    }
+    return backends;
+}
+
+// Object storage used for summaries, rollups and event scans
+function getStorage() {
+    return getBackends().storage;
+}
+
+// Message queue used for DLQ checks and forwarding
+function getQueue() {
+    return getBackends().queue;
+}
+
+// Replace both backends, e.g. with local directories for a laptop run or a test
+function setBackends({ storage, queue }) {
+    backends = { storage, queue };
+}
+
+// Forget the current backends so the next call re-reads the environment
+function resetBackends() {
+    backends = null;
+}
+
+module.exports = {
+    createBackendsFromEnv,
+    getStorage,
+    getQueue,
+    setBackends,
+    resetBackends
+};
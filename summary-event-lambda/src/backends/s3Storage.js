@@ -0,0 +1,82 @@
+// Object storage backed by an S3 bucket.
+
+const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { countApiCall } = require('../apiCalls');
+const { timeMetric } = require('../metrics');
+
+// Helper to collect a GetObject body stream into a Buffer
+function streamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+// Create a storage backend for one bucket. Conditional write failures surface as S3's own
+// PreconditionFailed / ConditionalRequestConflict errors.
+function createS3Storage({ bucket, client = new S3Client() }) {
+    return {
+        name: 'S3',
+        location: `s3://${bucket}`,
+
+        // Read an object; returns { body: Buffer, etag } or null when it does not exist
+        async getObject(key) {
+            countApiCall('S3:GetObject');
+            try {
+                const response = await timeMetric('S3Latency', () => client.send(new GetObjectCommand({ Bucket: bucket, Key: key })));
+                return { body: await streamToBuffer(response.Body), etag: response.ETag || null };
+            } catch (err) {
+                if (err.name === 'NoSuchKey' || err.Code === 'NoSuchKey') {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        // Read bytes start..end (inclusive) of an object; returns a Buffer, shorter when the object ends first,
+        // or null when the object does not exist
+        async getObjectRange(key, start, end) {
+            countApiCall('S3:GetObject');
+            try {
+                const response = await timeMetric('S3Latency', () => client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: `bytes=${start}-${end}` })));
+                return await streamToBuffer(response.Body);
+            } catch (err) {
+                if (err.name === 'NoSuchKey' || err.Code === 'NoSuchKey') {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        // Write an object, optionally only if it still has the given ETag (ifMatch) or does not exist yet (ifNoneMatch: '*')
+        async putObject(key, body, { contentType, contentEncoding, ifMatch, ifNoneMatch } = {}) {
+            countApiCall('S3:PutObject');
+            const params = { Bucket: bucket, Key: key, Body: body };
+            if (contentType) params.ContentType = contentType;
+            if (contentEncoding) params.ContentEncoding = contentEncoding;
+            if (ifMatch) params.IfMatch = ifMatch;
+            if (ifNoneMatch) params.IfNoneMatch = ifNoneMatch;
+            const response = await timeMetric('S3Latency', () => client.send(new PutObjectCommand(params)));
+            return { etag: (response && response.ETag) || null };
+        },
+
+        // List one page of objects under a prefix in key order
+        async listObjects(prefix, { maxKeys = 1000, continuationToken } = {}) {
+            countApiCall('S3:ListObjectsV2');
+            const params = { Bucket: bucket, Prefix: prefix, MaxKeys: maxKeys };
+            if (continuationToken) {
+                params.ContinuationToken = continuationToken;
+            }
+            const response = await timeMetric('S3Latency', () => client.send(new ListObjectsV2Command(params)));
+            return {
+                objects: response.Contents || [],
+                isTruncated: !!response.IsTruncated,
+                nextContinuationToken: response.NextContinuationToken
+            };
+        }
+    };
+}
+
+module.exports = { createS3Storage };
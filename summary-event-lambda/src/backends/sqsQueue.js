@@ -0,0 +1,93 @@
+// Message queues backed by Amazon SQS.
+
+const {
+    SQSClient,
+    GetQueueAttributesCommand,
+    SendMessageCommand,
+    ReceiveMessageCommand,
+    DeleteMessageCommand
+} = require('@aws-sdk/client-sqs');
+const { countApiCall } = require('../apiCalls');
+
+// Helper to convert plain string attributes to SQS message attributes
+function toMessageAttributes(attributes = {}) {
+    const messageAttributes = {};
+    for (const [name, value] of Object.entries(attributes)) {
+        messageAttributes[name] = { DataType: 'String', StringValue: String(value) };
+    }
+    return messageAttributes;
+}
+
+// Helper to convert SQS message attributes back to plain strings
+function fromMessageAttributes(messageAttributes = {}) {
+    const attributes = {};
+    for (const [name, value] of Object.entries(messageAttributes)) {
+        attributes[name] = value.StringValue !== undefined ? value.StringValue : value.BinaryValue;
+    }
+    return attributes;
+}
+
+// Create a queue backend for SQS queues addressed by URL
+function createSqsQueue({ client = new SQSClient() } = {}) {
+    return {
+        name: 'SQS',
+
+        // Approximate number of visible messages on a queue
+        async getMessageCount(queueUrl) {
+            countApiCall('SQS:GetQueueAttributes');
+            const response = await client.send(new GetQueueAttributesCommand({
+                QueueUrl: queueUrl,
+                AttributeNames: ['ApproximateNumberOfMessages']
+            }));
+            return parseInt(response?.Attributes?.ApproximateNumberOfMessages || '0', 10);
+        },
+
+        // Send a message body with string attributes; returns the new message ID
+        async sendMessage(queueUrl, body, attributes) {
+            countApiCall('SQS:SendMessage');
+            const response = await client.send(new SendMessageCommand({
+                QueueUrl: queueUrl,
+                MessageBody: body,
+                MessageAttributes: toMessageAttributes(attributes)
+            }));
+            return response?.MessageId || null;
+        },
+
+        // Receive up to maxMessages messages with their attributes. A visibility timeout of 0 peeks:
+        // the messages stay on the queue and visible, so the same ones may come back on the next page.
+        async receiveMessages(queueUrl, { maxMessages = 10, visibilityTimeout = 0 } = {}) {
+            const messages = new Map();
+            while (messages.size < maxMessages) {
+                countApiCall('SQS:ReceiveMessage');
+                const response = await client.send(new ReceiveMessageCommand({
+                    QueueUrl: queueUrl,
+                    MaxNumberOfMessages: Math.min(10, maxMessages - messages.size),
+                    VisibilityTimeout: visibilityTimeout,
+                    WaitTimeSeconds: 0,
+                    MessageSystemAttributeNames: ['All'],
+                    MessageAttributeNames: ['All']
+                }));
+                const page = (response?.Messages || []).filter(message => !messages.has(message.MessageId));
+                if (page.length === 0) {
+                    break;
+                }
+                page.forEach(message => messages.set(message.MessageId, {
+                    MessageId: message.MessageId,
+                    ReceiptHandle: message.ReceiptHandle,
+                    Body: message.Body,
+                    Attributes: message.Attributes || {},
+                    MessageAttributes: fromMessageAttributes(message.MessageAttributes)
+                }));
+            }
+            return [...messages.values()];
+        },
+
+        // Remove a received message from a queue
+        async deleteMessage(queueUrl, receiptHandle) {
+            countApiCall('SQS:DeleteMessage');
+            await client.send(new DeleteMessageCommand({ QueueUrl: queueUrl, ReceiptHandle: receiptHandle }));
+        }
+    };
+}
+
+module.exports = { createSqsQueue };
@@ -0,0 +1,282 @@
+// Rebuilds daily summary files from the event JSON and video objects stored in the bucket.
+//
+// Each day is recounted from scratch with the same counters and missing-video scan the handler uses.
+// Events the existing summary recorded are kept (with their presigned URLs) even if their JSON is gone,
+// and DLQ, missing-video retry and retention history, which cannot be recovered from the bucket, is carried over from the existing file.
+
+const { logger } = require('./logger');
+const { getUtcDateFolders, isUtcTimestampInZonedDate } = require('./timeZone');
+const { groupEventObjects } = require('./eventKeys');
+const {
+    getObjectText,
+    getJsonObject,
+    putJsonObject,
+    isWriteConflict,
+    listAllObjects
+} = require('./summaryStore');
+const { TIME_ZONE, createEmptySummary, applyEventToSummary } = require('./dailySummary');
+const { collectMissingVideoEvents } = require('./missingVideos');
+const { annotateMissingVideoEvents } = require('./videoRetries');
+const { updateAnomalies } = require('./anomalies');
+const { updateIncidents } = require('./incidents');
+const { updateStorageUsage } = require('./storageUsage');
+const { updateCorruptVideoEvents } = require('./videoIntegrity');
+const { getSummaryKey, moveEventsToShards, listShardKeys, loadDayEvents } = require('./summaryShards');
+const { validateDateRange, getDatesInRange, rebuildRollupsForRange } = require('./rollups');
+
+const WRITE_MAX_ATTEMPTS = parseInt(process.env.SUMMARY_WRITE_MAX_ATTEMPTS || '5', 10);
+const DIFF_COUNTERS = ['eventCounts', 'triggerCounts', 'deviceCounts', 'hourlyCounts'];
+const DIFF_METADATA = ['totalEvents', 'missingVideoCount', 'missingVideoScanComplete', 'corruptVideoCount'];
+
+// Helper to build the summary event the backend would have queued for a stored alarm JSON
+function toSummaryEvent(alarm, group) {
+    const { parsed, video } = group;
+    const triggers = Array.isArray(alarm.triggers) ? alarm.triggers : [];
+    const trigger = triggers.find(t => t && t.eventId === parsed.eventId) || triggers[0] || {};
+
+    const metadata = {};
+    if (alarm.thumbnail) metadata.thumbnail = alarm.thumbnail;
+    if (trigger.originalFileName) metadata.originalFileName = trigger.originalFileName;
+
+    return {
+        EventId: trigger.eventId || parsed.eventId,
+        Device: trigger.device || parsed.device,
+        Timestamp: alarm.timestamp || parsed.timestamp,
+        AlarmS3Key: parsed.key,
+        VideoS3Key: video ? video.Key : (trigger.videoKey || null),
+        AlarmName: alarm.name || null,
+        DeviceName: trigger.deviceName || null,
+        EventType: trigger.key || parsed.eventType || null,
+        TriggerKeys: [...new Set(triggers.map(t => t && t.key).filter(Boolean))],
+        EventPath: alarm.eventPath || null,
+        EventLocalLink: alarm.eventLocalLink || null,
+        Metadata: metadata
+    };
+}
+
+// Helper to load every stored event whose timestamp falls on a local date
+async function loadStoredEvents(dateFolder) {
+    const summaryEvents = [];
+    const warnings = [];
+
+    for (const utcFolder of getUtcDateFolders(dateFolder, TIME_ZONE)) {
+        const { objects, truncated } = await listAllObjects(`${utcFolder}/`);
+        if (truncated) {
+            warnings.push({ type: 'backfillScanTruncated', prefix: `${utcFolder}/`, scannedObjects: objects.length });
+        }
+
+        for (const group of groupEventObjects(objects).values()) {
+            if (!group.metadata || !isUtcTimestampInZonedDate(group.parsed.timestamp, dateFolder, TIME_ZONE)) {
+                continue;
+            }
+            try {
+                const stored = await getJsonObject(group.metadata.Key);
+                if (stored) {
+                    summaryEvents.push(toSummaryEvent(stored.data, group));
+                }
+            } catch (err) {
+                logger.warn(`Skipping unreadable event metadata ${group.metadata.Key}: ${err.message}`);
+                warnings.push({ type: 'unreadableEventMetadata', key: group.metadata.Key, message: err.message });
+            }
+        }
+    }
+
+    return { summaryEvents, warnings };
+}
+
+// Helper to read the current summary with all of its events, tolerating an index that is no longer valid JSON.
+// Shards are found by listing when there is no usable index, so their events are not lost in the rebuild.
+async function readExistingSummary(date) {
+    const existing = await getObjectText(getSummaryKey(date));
+    let index = null;
+    let corrupt = false;
+    if (existing) {
+        try {
+            index = JSON.parse(existing.body);
+        } catch (err) {
+            logger.warn(`Existing summary ${getSummaryKey(date)} is not valid JSON and will be replaced: ${err.message}`);
+            corrupt = true;
+        }
+    }
+
+    const events = await loadDayEvents(index, index ? undefined : await listShardKeys(date));
+    if (!index && events.length === 0) {
+        return { data: null, etag: existing ? existing.etag : null, corrupt };
+    }
+    return { data: { ...index, events }, etag: existing ? existing.etag : null, corrupt };
+}
+
+// Rebuild one local day's summary document from the bucket contents.
+// `existing` is the current summary (or null); it is only read, never modified.
+async function rebuildDailySummary(dateFolder, existing) {
+    const [year, month, day] = dateFolder.split('-');
+    const summaryData = createEmptySummary(Number(year), month, day);
+    const { summaryEvents, warnings } = await loadStoredEvents(dateFolder);
+
+    const previousEvents = new Map();
+    (existing?.events || []).forEach(event => { if (event.EventId) previousEvents.set(event.EventId, event); });
+
+    // Prefer what the handler recorded for an event, filling in anything only the stored JSON knows
+    const events = summaryEvents.map(stored => ({ ...stored, ...previousEvents.get(stored.EventId) }));
+    const storedIds = new Set(summaryEvents.map(event => event.EventId));
+    const retained = (existing?.events || []).filter(event => !event.EventId || !storedIds.has(event.EventId));
+
+    [...events, ...retained]
+        .sort((a, b) => (a.Timestamp || 0) - (b.Timestamp || 0))
+        .forEach(summaryEvent => applyEventToSummary(summaryData, summaryEvent));
+
+    const missingVideoScan = await collectMissingVideoEvents(dateFolder);
+    summaryData.missingVideoEvents = missingVideoScan.events;
+    summaryData.dlqCounts = existing?.dlqCounts || {};
+    if (existing?.videoRetries) summaryData.videoRetries = existing.videoRetries;
+    annotateMissingVideoEvents(summaryData);
+    if (existing?.videoChecks) summaryData.videoChecks = existing.videoChecks;
+    await updateCorruptVideoEvents(summaryData, [...missingVideoScan.listings.values()].flat(), { date: dateFolder });
+
+    const previousMetadata = existing?.metadata || {};
+    summaryData.metadata.totalEvents = summaryData.events.length;
+    summaryData.metadata.duplicateEventCount = previousMetadata.duplicateEventCount || 0;
+    summaryData.metadata.missingVideoCount = summaryData.missingVideoEvents.length;
+    summaryData.metadata.missingVideoScanComplete = missingVideoScan.warnings.length === 0;
+    summaryData.metadata.warnings = [...missingVideoScan.warnings, ...warnings];
+    summaryData.metadata.dlqMessageCount = previousMetadata.dlqMessageCount || 0;
+    summaryData.metadata.peakDlqMessageCount = previousMetadata.peakDlqMessageCount || 0;
+    summaryData.metadata.rebuiltAt = summaryData.metadata.lastUpdated;
+    if (existing?.retention) {
+        summaryData.retention = existing.retention;
+        summaryData.metadata.expiredEventCount = previousMetadata.expiredEventCount || 0;
+    }
+    await updateAnomalies(summaryData, { date: dateFolder });
+    await updateStorageUsage(summaryData, missingVideoScan, { date: dateFolder });
+
+    return { summaryData, retainedEvents: retained.length };
+}
+
+// Helper to list the counter entries that differ between two maps
+function diffCounts(before = {}, after = {}) {
+    const changes = {};
+    for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if ((before[name] || 0) !== (after[name] || 0)) {
+            changes[name] = { before: before[name] || 0, after: after[name] || 0 };
+        }
+    }
+    return changes;
+}
+
+// Helper to list the identifiers present in only one of two lists
+function diffIds(before, after) {
+    const beforeIds = new Set(before);
+    const afterIds = new Set(after);
+    return {
+        added: [...afterIds].filter(id => !beforeIds.has(id)),
+        removed: [...beforeIds].filter(id => !afterIds.has(id))
+    };
+}
+
+// Compare an existing summary with a rebuilt one
+function diffSummaries(before, after) {
+    const previous = before || {};
+    const diff = { metadata: {}, counters: {} };
+
+    for (const field of DIFF_METADATA) {
+        const beforeValue = previous.metadata?.[field];
+        const afterValue = after.metadata[field];
+        if (beforeValue !== afterValue) {
+            diff.metadata[field] = { before: beforeValue === undefined ? null : beforeValue, after: afterValue };
+        }
+    }
+    for (const counter of DIFF_COUNTERS) {
+        const changes = diffCounts(previous[counter], after[counter]);
+        if (Object.keys(changes).length) {
+            diff.counters[counter] = changes;
+        }
+    }
+
+    diff.events = diffIds((previous.events || []).map(e => e.EventId), after.events.map(e => e.EventId));
+    diff.missingVideoEvents = diffIds((previous.missingVideoEvents || []).map(e => e.jsonFile), after.missingVideoEvents.map(e => e.jsonFile));
+    diff.changed = Object.keys(diff.metadata).length > 0 || Object.keys(diff.counters).length > 0 ||
+        diff.events.added.length > 0 || diff.events.removed.length > 0 ||
+        diff.missingVideoEvents.added.length > 0 || diff.missingVideoEvents.removed.length > 0;
+    return diff;
+}
+
+// Render a summary diff as readable lines for the console
+function formatSummaryDiff(key, diff) {
+    if (!diff.changed) {
+        return `${key}: no changes`;
+    }
+    const lines = [`${key}:`];
+    for (const [field, change] of Object.entries(diff.metadata)) {
+        lines.push(`  metadata.${field}: ${change.before} -> ${change.after}`);
+    }
+    for (const [counter, changes] of Object.entries(diff.counters)) {
+        for (const [name, change] of Object.entries(changes)) {
+            lines.push(`  ${counter}.${name}: ${change.before} -> ${change.after}`);
+        }
+    }
+    diff.events.added.forEach(id => lines.push(`  + event ${id}`));
+    diff.events.removed.forEach(id => lines.push(`  - event ${id}`));
+    diff.missingVideoEvents.added.forEach(file => lines.push(`  + missing video ${file}`));
+    diff.missingVideoEvents.removed.forEach(file => lines.push(`  - missing video ${file}`));
+    return lines.join('\n');
+}
+
+// Rebuild and (unless dryRun) save one day's summary, re-reading if the handler writes it meanwhile
+async function backfillDay(dateFolder, dryRun) {
+    const key = getSummaryKey(dateFolder);
+
+    for (let attempt = 1; ; attempt++) {
+        const existing = await readExistingSummary(dateFolder);
+        const { summaryData, retainedEvents } = await rebuildDailySummary(dateFolder, existing.data);
+        const diff = diffSummaries(existing.data, summaryData);
+        const result = { date: dateFolder, key, dryRun, corrupt: existing.corrupt, retainedEvents, diff, written: false };
+
+        if (dryRun || (!diff.changed && !existing.corrupt)) {
+            return result;
+        }
+        try {
+            // Shards are rewritten with the rebuilt events before the index that points at them
+            await updateIncidents(summaryData, await moveEventsToShards(summaryData, { date: dateFolder, replace: true }));
+            await putJsonObject(key, summaryData, existing.etag);
+            logger.success(`Rebuilt summary file: ${key}`);
+            return { ...result, written: true };
+        } catch (err) {
+            if (isWriteConflict(err) && attempt < WRITE_MAX_ATTEMPTS) {
+                logger.warn(`${key} changed during backfill (attempt ${attempt}/${WRITE_MAX_ATTEMPTS}), rebuilding again`);
+                continue;
+            }
+            throw err;
+        }
+    }
+}
+
+// Rebuild the daily summaries for an inclusive local date range.
+// With dryRun the diffs are reported but nothing is written.
+async function backfillSummaries({ startDate, endDate, dryRun = false }) {
+    const lastDate = endDate || startDate;
+    validateDateRange(startDate, lastDate);
+
+    logger.info(`Backfilling summaries from ${startDate} to ${lastDate} (${TIME_ZONE})${dryRun ? ' [dry run]' : ''}`);
+    const results = [];
+    for (const date of getDatesInRange(startDate, lastDate)) {
+        const result = await backfillDay(date, dryRun);
+        logger.info(`Backfill diff for ${formatSummaryDiff(result.key, result.diff)}`);
+        results.push(result);
+    }
+
+    // Rollups are derived from the daily files, so they are replayed once everything is saved
+    let rebuiltRollups = [];
+    if (!dryRun && results.some(result => result.written)) {
+        rebuiltRollups = await rebuildRollupsForRange(startDate, lastDate);
+    }
+
+    return { startDate, endDate: lastDate, dryRun, results, rebuiltRollups };
+}
+
+module.exports = {
+    toSummaryEvent,
+    rebuildDailySummary,
+    diffSummaries,
+    formatSummaryDiff,
+    backfillSummaries
+};
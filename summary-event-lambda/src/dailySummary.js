@@ -0,0 +1,160 @@
+// Daily summary document shape and the counters each event contributes to it.
+
+const { logger } = require('./logger');
+const { resolveTimeZone, getZonedDateString, getZonedHour } = require('./timeZone');
+
+const TIME_ZONE = resolveTimeZone(process.env.SUMMARY_TIME_ZONE);
+// Version of the summary document shape; see schemas.js for the schema and the migrations from older versions
+const SUMMARY_SCHEMA_VERSION = 1;
+
+// Helper to get the local date parts and S3 key of the summary file an event timestamp belongs to
+function getSummaryLocation(timestamp) {
+    const { year, month, day, folder } = getZonedDateString(timestamp, TIME_ZONE);
+    return { year, month, day, folder, key: `${folder}/summary_${year}-${month}-${day}.json` };
+}
+
+// Helper to build an empty summary document for a local date
+function createEmptySummary(year, month, day) {
+    return {
+        schemaVersion: SUMMARY_SCHEMA_VERSION,
+        metadata: {
+            date: `${year}-${month}-${day}`,
+            dateFormatted: new Date(year, month - 1, day).toISOString().split('T')[0],
+            timeZone: TIME_ZONE,
+            lastUpdated: new Date().toISOString(),
+            totalEvents: 0,
+            duplicateEventCount: 0,
+            missingVideoCount: 0,
+            corruptVideoCount: 0,
+            dlqMessageCount: 0,
+            peakDlqMessageCount: 0
+        },
+        eventCounts: {},
+        deviceCounts: {},
+        hourlyCounts: {},
+        triggerCounts: {},
+        deviceTriggerCounts: {},
+        hourlyTriggerCounts: {},
+        deviceHourlyCounts: {},
+        deviceNames: {},
+        events: [],
+        missingVideoEvents: [],
+        corruptVideoEvents: [],
+        dlqCounts: {}
+    };
+}
+
+// Helper to check whether an event has already been recorded for the day (SQS delivers at least once).
+// Events already moved to shards are found through the index's eventIndex.
+function isDuplicateEvent(summaryData, summaryEvent) {
+    if (!summaryEvent.EventId) {
+        return false;
+    }
+    if (summaryData.eventIndex && Object.prototype.hasOwnProperty.call(summaryData.eventIndex, summaryEvent.EventId)) {
+        return true;
+    }
+    return (summaryData.events || []).some(existing => existing.EventId === summaryEvent.EventId);
+}
+
+// Helper to count the events a summary holds across its shards and any not yet moved out of it
+function countSummaryEvents(summaryData) {
+    const sharded = Object.values(summaryData.shards || {}).reduce((total, shard) => total + (shard.eventCount || 0), 0);
+    return sharded + (summaryData.events || []).length;
+}
+
+// Helper to get the detection trigger keys (person, vehicle, line_crossed, ...) for an event.
+// Prefers the full TriggerKeys list, then raw UniFi triggers, then the first trigger key sent as EventType.
+function getTriggerKeys(summaryEvent) {
+    let keys = [];
+    if (Array.isArray(summaryEvent.TriggerKeys)) {
+        keys = summaryEvent.TriggerKeys;
+    } else if (Array.isArray(summaryEvent.triggers)) {
+        keys = summaryEvent.triggers.map(trigger => trigger && trigger.key);
+    } else if (summaryEvent.EventType) {
+        keys = [summaryEvent.EventType];
+    }
+    return [...new Set(keys.filter(key => typeof key === 'string' && key.trim()).map(key => key.trim()))];
+}
+
+// Helper to increment a counter nested under a device or hour
+function incrementNestedCount(counts, group, name) {
+    if (!counts[group]) counts[group] = {};
+    counts[group][name] = (counts[group][name] || 0) + 1;
+}
+
+// Helper to add a single event to the summary counters
+function applyEventToSummary(summaryData, summaryEvent) {
+    if (isDuplicateEvent(summaryData, summaryEvent)) {
+        summaryData.metadata.duplicateEventCount = (summaryData.metadata.duplicateEventCount || 0) + 1;
+        logger.info(`Skipping duplicate event ${summaryEvent.EventId}, already recorded in summary`, {
+            duplicateEventCount: summaryData.metadata.duplicateEventCount
+        });
+        return { duplicate: true };
+    }
+
+    // Events wait in the index until moveEventsToShards writes them out, so a sharded index has no list yet
+    if (!summaryData.events) summaryData.events = [];
+    summaryData.events.push(summaryEvent);
+    logger.info(`Added event to summary:`, {
+        EventId: summaryEvent.EventId,
+        Device: summaryEvent.DeviceName || summaryEvent.Device,
+        EventType: summaryEvent.EventType || summaryEvent.Type,
+        AlarmName: summaryEvent.AlarmName,
+        EventPath: summaryEvent.EventPath,
+        EventLocalLink: summaryEvent.EventLocalLink,
+        hasMetadata: !!summaryEvent.Metadata,
+        metadataKeys: summaryEvent.Metadata ? Object.keys(summaryEvent.Metadata) : [],
+        originalFileName: summaryEvent.Metadata?.originalFileName
+    });
+
+    // Extract event details
+    const eventType = summaryEvent.EventType || summaryEvent.Type || 'Unknown';
+    const deviceName = summaryEvent.DeviceName || summaryEvent.Device || 'Unknown';
+    const eventHour = getZonedHour(summaryEvent.Timestamp, TIME_ZONE);
+    const alarmName = summaryEvent.AlarmName || '';
+    const triggerKeys = getTriggerKeys(summaryEvent);
+
+    // Update event type counters
+    summaryData.eventCounts[eventType] = (summaryData.eventCounts[eventType] || 0) + 1;
+
+    // Update detection counters from the trigger keys, which survive alarms being renamed in UniFi
+    for (const triggerKey of triggerKeys) {
+        summaryData.triggerCounts[triggerKey] = (summaryData.triggerCounts[triggerKey] || 0) + 1;
+        incrementNestedCount(summaryData.deviceTriggerCounts, deviceName, triggerKey);
+        incrementNestedCount(summaryData.hourlyTriggerCounts, eventHour, triggerKey);
+    }
+
+    // Legacy object and activity counters based on alarm name, kept for existing consumers of eventCounts
+    if (alarmName.includes('Object')) {
+        summaryData.eventCounts['Object'] = (summaryData.eventCounts['Object'] || 0) + 1;
+        logger.info(`Object detection event detected in alarm: ${alarmName}`);
+    }
+    if (alarmName.includes('Activity')) {
+        summaryData.eventCounts['Activity'] = (summaryData.eventCounts['Activity'] || 0) + 1;
+        logger.info(`Activity detection event detected in alarm: ${alarmName}`);
+    }
+
+    // Update device counters, remembering the camera name behind each device ID used in object keys
+    summaryData.deviceCounts[deviceName] = (summaryData.deviceCounts[deviceName] || 0) + 1;
+    if (summaryEvent.Device && summaryEvent.DeviceName) {
+        if (!summaryData.deviceNames) summaryData.deviceNames = {};
+        summaryData.deviceNames[summaryEvent.Device] = summaryEvent.DeviceName;
+    }
+
+    // Update hourly counters, overall and per device for the activity baseline
+    summaryData.hourlyCounts[eventHour] = (summaryData.hourlyCounts[eventHour] || 0) + 1;
+    incrementNestedCount(summaryData.deviceHourlyCounts, deviceName, eventHour);
+
+    return { duplicate: false, eventType, deviceName, alarmName, triggerKeys };
+}
+
+module.exports = {
+    TIME_ZONE,
+    SUMMARY_SCHEMA_VERSION,
+    getSummaryLocation,
+    createEmptySummary,
+    isDuplicateEvent,
+    countSummaryEvents,
+    getTriggerKeys,
+    applyEventToSummary
+};
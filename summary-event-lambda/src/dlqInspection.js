@@ -0,0 +1,183 @@
+// Inspection of the dead letter queues: which events are stuck on them and why, plus an opt-in redrive.
+//
+// Messages are peeked with a zero visibility timeout so inspecting a DLQ never consumes anything. Each peek still
+// counts as a receive, so it runs from the scheduled missing video check rather than on every batch.
+// Both DLQs carry their failure details as message attributes: the alarm processing DLQ gets FailureReason,
+// OriginalTimestamp and RetryAttempt from the backend, the summary DLQ gets FailureReason, ErrorMessage and
+// SourceMessageId from this lambda. Messages SQS moved after too many receives have no FailureReason.
+
+const { logger } = require('./logger');
+const { getQueue } = require('./backends');
+
+const DLQ_PEEK_MAX_MESSAGES = parseInt(process.env.DLQ_PEEK_MAX_MESSAGES || '50', 10);
+const REDRIVE_VISIBILITY_TIMEOUT_SECONDS = 30;
+const UNKNOWN_FAILURE_REASON = 'MaxReceiveCountExceeded';
+// Attributes that identify the event rather than describe the failure
+const EVENT_ATTRIBUTES = ['EventId', 'Device', 'Timestamp', 'OriginalTimestamp'];
+// Attributes describing a previous failure, dropped when a message is redriven
+const FAILURE_ATTRIBUTES = ['FailureReason', 'ErrorMessage', 'RetryAttempt', 'SourceMessageId'];
+
+// Helper to list the DLQs with the source queue each one is redriven to
+function getDlqQueues() {
+    return [
+        { name: 'AlarmProcessingDLQ', url: process.env.AlarmProcessingDlqUrl || '', sourceUrl: process.env.AlarmProcessingQueueUrl || '' },
+        { name: 'SummaryEventDLQ', url: process.env.SummaryEventDlqUrl || '', sourceUrl: process.env.SummaryEventQueueUrl || '' }
+    ];
+}
+
+// Helper to turn an ISO string or epoch milliseconds into an ISO string, or null
+function toIsoTime(value) {
+    const time = typeof value === 'string' && !/^\d+$/.test(value) ? Date.parse(value) : Number(value);
+    return value && Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// Helper to pull the event details out of a DLQ message. Alarm DLQ bodies are UniFi alarms,
+// summary DLQ bodies are summary events, and poison messages are not JSON at all.
+function describeDlqMessage(message) {
+    const attributes = message.MessageAttributes || {};
+    let body = null;
+    try {
+        body = JSON.parse(message.Body);
+    } catch (err) {
+        body = null;
+    }
+    const trigger = (Array.isArray(body?.triggers) && body.triggers[0]) || {};
+
+    const errorAttributes = {};
+    for (const [name, value] of Object.entries(attributes)) {
+        if (!EVENT_ATTRIBUTES.includes(name)) errorAttributes[name] = value;
+    }
+
+    return {
+        messageId: message.MessageId,
+        eventId: body?.EventId || trigger.eventId || attributes.EventId || null,
+        device: body?.DeviceName || body?.Device || trigger.deviceName || trigger.device || attributes.Device || null,
+        eventTimestamp: body?.Timestamp || body?.timestamp || Number(attributes.OriginalTimestamp || attributes.Timestamp) || null,
+        failureReason: attributes.FailureReason || UNKNOWN_FAILURE_REASON,
+        failedAt: toIsoTime(attributes.RetryAttempt) || toIsoTime(message.Attributes?.SentTimestamp),
+        receiveCount: parseInt(message.Attributes?.ApproximateReceiveCount || '0', 10),
+        validJson: body !== null,
+        errorAttributes
+    };
+}
+
+// Helper to group described messages by failure reason, oldest failure first within each reason
+function groupByFailureReason(described) {
+    const reasons = {};
+    for (const entry of described) {
+        const { failureReason, ...details } = entry;
+        if (!reasons[failureReason]) {
+            reasons[failureReason] = { count: 0, firstFailureAt: null, lastFailureAt: null, messages: [] };
+        }
+        const group = reasons[failureReason];
+        group.count++;
+        group.messages.push(details);
+        if (details.failedAt && (!group.firstFailureAt || details.failedAt < group.firstFailureAt)) group.firstFailureAt = details.failedAt;
+        if (details.failedAt && (!group.lastFailureAt || details.failedAt > group.lastFailureAt)) group.lastFailureAt = details.failedAt;
+    }
+    Object.values(reasons).forEach(group => group.messages.sort((a, b) => String(a.failedAt).localeCompare(String(b.failedAt))));
+    return reasons;
+}
+
+// Peek at the messages on each DLQ that has any and group them by failure reason for the daily summary.
+// dlqCounts are the approximate depths already fetched, used to skip empty queues and flag partial peeks.
+async function collectDlqDetails(dlqCounts = {}) {
+    const dlqDetails = { checkedAt: new Date().toISOString(), queues: {} };
+
+    for (const { name, url } of getDlqQueues()) {
+        const approximateCount = dlqCounts[name] || 0;
+        if (!url || approximateCount === 0) {
+            continue;
+        }
+        try {
+            const messages = await getQueue().receiveMessages(url, { maxMessages: DLQ_PEEK_MAX_MESSAGES, visibilityTimeout: 0 });
+            dlqDetails.queues[name] = {
+                approximateCount,
+                inspectedCount: messages.length,
+                complete: messages.length >= approximateCount,
+                reasons: groupByFailureReason(messages.map(describeDlqMessage))
+            };
+            logger.info(`Inspected ${messages.length} of ~${approximateCount} messages on ${name}:`,
+                Object.fromEntries(Object.entries(dlqDetails.queues[name].reasons).map(([reason, group]) => [reason, group.count])));
+        } catch (error) {
+            logger.error(`Failed to inspect ${name} messages:`, error);
+            dlqDetails.queues[name] = { approximateCount, inspectedCount: 0, complete: false, error: error.message, reasons: {} };
+        }
+    }
+    return dlqDetails;
+}
+
+// Helper to check whether a described message matches a redrive selection
+function matchesSelection(entry, { messageIds, eventIds, failureReason, all }) {
+    if (all) return true;
+    return (messageIds || []).includes(entry.messageId) ||
+        (eventIds || []).includes(entry.eventId) ||
+        (!!failureReason && entry.failureReason === failureReason);
+}
+
+// Move selected messages from a DLQ back to the queue they failed on. Nothing is moved unless messages are
+// selected by messageIds, eventIds or failureReason (or all: true); with dryRun the matches are only listed.
+// Bodies that are not JSON are skipped since they would fail again. Messages that do not match stay hidden
+// on the DLQ for the short visibility timeout the redrive receives with.
+async function redriveDlqMessages({ queue, messageIds, eventIds, failureReason, all = false, dryRun = false, maxMessages = DLQ_PEEK_MAX_MESSAGES } = {}) {
+    const dlq = getDlqQueues().find(candidate => candidate.name === queue);
+    if (!dlq) {
+        throw new Error(`Unknown DLQ: ${queue} (expected ${getDlqQueues().map(candidate => candidate.name).join(' or ')})`);
+    }
+    if (!dlq.url || !dlq.sourceUrl) {
+        throw new Error(`${queue} cannot be redriven: its queue URL or source queue URL is not configured`);
+    }
+    const selection = { messageIds, eventIds, failureReason, all };
+    if (!all && !(messageIds || []).length && !(eventIds || []).length && !failureReason) {
+        throw new Error('Select messages to redrive with messageIds, eventIds or failureReason, or pass all: true');
+    }
+
+    const messages = await getQueue().receiveMessages(dlq.url, {
+        maxMessages,
+        visibilityTimeout: dryRun ? 0 : REDRIVE_VISIBILITY_TIMEOUT_SECONDS
+    });
+    const result = { queue, dryRun, inspected: messages.length, moved: [], skipped: [], failed: [] };
+
+    for (const message of messages) {
+        const entry = describeDlqMessage(message);
+        if (!matchesSelection(entry, selection)) {
+            continue;
+        }
+        const summary = { messageId: entry.messageId, eventId: entry.eventId, failureReason: entry.failureReason };
+        if (!entry.validJson) {
+            result.skipped.push({ ...summary, reason: 'Body is not valid JSON' });
+            continue;
+        }
+        if (dryRun) {
+            result.moved.push(summary);
+            continue;
+        }
+        try {
+            const attributes = {};
+            for (const [name, value] of Object.entries(message.MessageAttributes || {})) {
+                if (!FAILURE_ATTRIBUTES.includes(name)) attributes[name] = value;
+            }
+            attributes.RedrivenFrom = queue;
+            const newMessageId = await getQueue().sendMessage(dlq.sourceUrl, message.Body, attributes);
+            await getQueue().deleteMessage(dlq.url, message.ReceiptHandle);
+            result.moved.push({ ...summary, newMessageId });
+        } catch (error) {
+            logger.error(`Failed to redrive ${entry.messageId} from ${queue}:`, error);
+            result.failed.push({ ...summary, error: error.message });
+        }
+    }
+
+    logger.info(`${dryRun ? 'Would redrive' : 'Redrove'} ${result.moved.length} messages from ${queue}`, {
+        inspected: result.inspected,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+    });
+    return result;
+}
+
+module.exports = {
+    describeDlqMessage,
+    groupByFailureReason,
+    collectDlqDetails,
+    redriveDlqMessages
+};
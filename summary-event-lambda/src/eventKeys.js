@@ -0,0 +1,121 @@
+// Parser for the S3 object keys the backend has written for event metadata and videos.
+//
+// Supported layouts (an optional leading "events/" segment is ignored):
+//   standard:      YYYY-MM-DD/{eventId}_{device}_{timestamp}.{json|mp4|mov}
+//   camera-folder: YYYY-MM-DD/{camera}/{eventId}_{device}_{timestamp}.{ext}
+//                  YYYY-MM-DD/{camera}/{eventId}_{timestamp}.{ext}
+//   legacy-typed:  YYYY-MM-DD/{eventType}_{eventId}_{timestamp}.{ext}
+//   legacy:        YYYY-MM-DD/{eventId}_{timestamp}.{ext}
+// Timestamps are epoch milliseconds (13 digits) or, in older keys, epoch seconds (10 digits).
+
+const VIDEO_EXTENSIONS = ['mp4', 'mov'];
+const METADATA_EXTENSIONS = ['json'];
+
+// Event types that prefixed file names before keys were led by the event ID
+const LEGACY_EVENT_TYPES = ['motion', 'person', 'vehicle', 'animal', 'package', 'ring', 'smartdetect', 'smartdetectzone', 'alarm'];
+
+const DATE_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAC_PATTERN = /^[0-9a-f]{12}$/i;
+const WITH_DEVICE_PATTERN = /^(.+)_([^_]+)_(\d{13}|\d{10})$/;
+const WITHOUT_DEVICE_PATTERN = /^([^_]+)_(\d{13}|\d{10})$/;
+
+// Helper to normalise a 10 or 13 digit timestamp string to epoch milliseconds
+function toMilliseconds(value) {
+    const timestamp = parseInt(value, 10);
+    return value.length === 10 ? timestamp * 1000 : timestamp;
+}
+
+// Helper to classify a file extension as video or metadata
+function getFileKind(extension) {
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (METADATA_EXTENSIONS.includes(extension)) return 'metadata';
+    return null;
+}
+
+// Helper to split a file stem into event ID, device and timestamp
+function parseFileStem(stem, camera) {
+    const withDevice = stem.match(WITH_DEVICE_PATTERN);
+    if (withDevice) {
+        const [, first, second, timestamp] = withDevice;
+        // A known event type in front of a non-MAC middle segment is the old type_eventId_timestamp naming
+        if (!MAC_PATTERN.test(second) && LEGACY_EVENT_TYPES.includes(first.toLowerCase())) {
+            return { layout: 'legacy-typed', eventType: first, eventId: second, device: camera, timestamp: toMilliseconds(timestamp) };
+        }
+        return { layout: camera ? 'camera-folder' : 'standard', eventId: first, device: second, timestamp: toMilliseconds(timestamp) };
+    }
+
+    const withoutDevice = stem.match(WITHOUT_DEVICE_PATTERN);
+    if (withoutDevice) {
+        const [, eventId, timestamp] = withoutDevice;
+        return { layout: camera ? 'camera-folder' : 'legacy', eventId, device: camera, timestamp: toMilliseconds(timestamp) };
+    }
+
+    return null;
+}
+
+// Parse an S3 object key into its event components.
+// Returns null for anything that is not an event metadata or video object
+// (summary files, screenshots, thumbnails, unrecognised names).
+function parseEventObjectKey(key) {
+    if (!key) return null;
+
+    const segments = key.split('/').filter(Boolean);
+    if (segments[0] === 'events') segments.shift();
+    if (segments.length < 2 || segments.length > 3 || !DATE_FOLDER_PATTERN.test(segments[0])) {
+        return null;
+    }
+
+    const fileName = segments[segments.length - 1];
+    if (fileName.startsWith('summary_')) return null;
+
+    const dot = fileName.lastIndexOf('.');
+    if (dot <= 0) return null;
+    const extension = fileName.slice(dot + 1).toLowerCase();
+    const kind = getFileKind(extension);
+    if (!kind) return null;
+
+    const folder = segments[0];
+    const camera = segments.length === 3 ? segments[1] : null;
+    const stem = fileName.slice(0, dot);
+    const parsed = parseFileStem(stem, camera);
+    if (!parsed) return null;
+
+    return {
+        key,
+        folder,
+        camera,
+        stem,
+        extension,
+        kind,
+        ...parsed,
+        groupKey: [parsed.eventId, parsed.device || '', parsed.timestamp].join('|')
+    };
+}
+
+// Pair metadata and video objects that belong to the same event.
+// Returns a Map of groupKey -> { parsed, metadata, video } where metadata/video are the S3 list entries.
+function groupEventObjects(objects) {
+    const groups = new Map();
+    for (const obj of objects) {
+        const parsed = parseEventObjectKey(obj.Key);
+        if (!parsed) continue;
+
+        if (!groups.has(parsed.groupKey)) {
+            groups.set(parsed.groupKey, { parsed, metadata: null, video: null });
+        }
+        const group = groups.get(parsed.groupKey);
+        if (parsed.kind === 'metadata') {
+            group.metadata = obj;
+            group.parsed = parsed;
+        } else {
+            group.video = obj;
+        }
+    }
+    return groups;
+}
+
+module.exports = {
+    VIDEO_EXTENSIONS,
+    parseEventObjectKey,
+    groupEventObjects
+};
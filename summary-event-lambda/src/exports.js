@@ -0,0 +1,189 @@
+// Flat exports of the daily summaries for spreadsheets and tools like DuckDB: one row per event, as CSV and
+// NDJSON (one JSON object per line).
+//
+// Each day is exported next to its summary (summary_YYYY-MM-DD.csv / .ndjson) in the formats listed in
+// SUMMARY_EXPORT_FORMATS (csv,ndjson; empty turns the per-day export off). A day export rereads every event of
+// the day, so it is refreshed by the scheduled runs and the exportDay action, never per batch. A date range can be exported into a
+// single file under exports/ with the exportEvents action. Rows carry the event time in the configured time zone,
+// and the video columns come from the day's missing video scan and video checks.
+
+const { logger } = require('./logger');
+const { getStorage } = require('./backends');
+const { TIME_ZONE } = require('./dailySummary');
+const { formatZonedTimestamp } = require('./timeZone');
+const { parseEventObjectKey } = require('./eventKeys');
+const { readDailySummary } = require('./summaryShards');
+const { getDatesInRange, validateDateRange } = require('./rollups');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', serialize: toCsv },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson', serialize: toNdjson }
+};
+const DAY_EXPORT_FORMATS = (process.env.SUMMARY_EXPORT_FORMATS ?? 'csv,ndjson')
+    .split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+const EXPORT_PREFIX = 'exports';
+const EXPORT_COLUMNS = [
+    'date',
+    'eventId',
+    'localTime',
+    'timestamp',
+    'camera',
+    'device',
+    'eventType',
+    'triggers',
+    'alarmName',
+    'hasVideo',
+    'videoStatus',
+    'videoKey',
+    'alarmKey'
+];
+
+// Helper to build the key of a day's export in a format
+function getDayExportKey(date, format) {
+    return `${date}/summary_${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Helper to build the key of a date range export in a format
+function getRangeExportKey(startDate, endDate, format) {
+    return `${EXPORT_PREFIX}/events_${startDate}_${endDate}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Helper to reject export formats other than csv and ndjson
+function checkFormat(format) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Invalid export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(' or ')})`);
+    }
+}
+
+// Helper to map each event ID to the video object key the day's video checks found for it
+function getCheckedVideoKeys(summaryData) {
+    const videoKeys = new Map();
+    for (const key of Object.keys(summaryData.videoChecks || {})) {
+        const parsed = parseEventObjectKey(key);
+        if (parsed?.eventId) videoKeys.set(parsed.eventId, key);
+    }
+    return videoKeys;
+}
+
+// Flatten a day's summary into one export row per event, in time order.
+// summaryData is the single-file shape readDailySummary returns (index fields plus every event).
+function toExportRows(summaryData) {
+    const date = summaryData.metadata.date;
+    const timeZone = summaryData.metadata.timeZone || TIME_ZONE;
+    const missing = new Set((summaryData.missingVideoEvents || []).map(event => event.eventId));
+    const corrupt = new Map((summaryData.corruptVideoEvents || []).map(event => [event.eventId, event.videoFile]));
+    const checked = getCheckedVideoKeys(summaryData);
+
+    return (summaryData.events || []).map(summaryEvent => {
+        const eventId = summaryEvent.EventId || null;
+        let videoStatus = 'stored';
+        if (summaryEvent.Expired) {
+            videoStatus = 'expired';
+        } else if (missing.has(eventId)) {
+            videoStatus = 'missing';
+        } else if (corrupt.has(eventId)) {
+            videoStatus = 'corrupt';
+        }
+        const timestamp = Number.isFinite(summaryEvent.Timestamp) ? summaryEvent.Timestamp : null;
+
+        return {
+            date,
+            eventId,
+            localTime: timestamp === null ? null : formatZonedTimestamp(timestamp, timeZone),
+            timestamp,
+            camera: summaryEvent.DeviceName || summaryEvent.Device || null,
+            device: summaryEvent.Device || null,
+            eventType: summaryEvent.EventType || summaryEvent.Type || null,
+            triggers: Array.isArray(summaryEvent.TriggerKeys) ? summaryEvent.TriggerKeys : [],
+            alarmName: summaryEvent.AlarmName || null,
+            hasVideo: videoStatus === 'stored',
+            videoStatus,
+            videoKey: summaryEvent.VideoS3Key || corrupt.get(eventId) || checked.get(eventId) || null,
+            alarmKey: summaryEvent.AlarmS3Key || null
+        };
+    });
+}
+
+// Helper to quote a CSV field when it holds a delimiter, quote or line break (RFC 4180)
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(';') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize export rows as CSV with a header row; triggers are joined with semicolons
+function toCsv(rows) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(EXPORT_COLUMNS.map(column => toCsvField(row[column])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Serialize export rows as NDJSON, one object per line with triggers kept as an array
+function toNdjson(rows) {
+    return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
+
+// Helper to write one export file
+async function writeExport(key, format, rows) {
+    await getStorage().putObject(key, EXPORT_FORMATS[format].serialize(rows), { contentType: EXPORT_FORMATS[format].contentType });
+    logger.success(`Exported ${rows.length} events: ${key}`);
+    return key;
+}
+
+// Write a day's exports from the full day summary (index fields plus every event)
+async function exportDaySummary(summaryData, formats = DAY_EXPORT_FORMATS) {
+    formats.forEach(checkFormat);
+    const rows = toExportRows(summaryData);
+    const written = [];
+    for (const format of formats) {
+        written.push(await writeExport(getDayExportKey(summaryData.metadata.date, format), format, rows));
+    }
+    return written;
+}
+
+// Rewrite a day's exports from its stored summary. Returns the keys written (none when the day has no summary).
+async function exportSavedDay(date, formats = DAY_EXPORT_FORMATS) {
+    validateDateRange(date, date);
+    if (formats.length === 0) return [];
+    const summaryData = await readDailySummary(date);
+    if (!summaryData) {
+        logger.info(`No summary for ${date}, nothing to export`);
+        return [];
+    }
+    return exportDaySummary(summaryData, formats);
+}
+
+// Export every event in an inclusive date range into a single file. Days without a summary are skipped.
+// With dryRun the rows are counted but nothing is written.
+async function exportDateRange({ startDate, endDate = startDate, format = 'csv', dryRun = false }) {
+    checkFormat(format);
+    validateDateRange(startDate, endDate);
+    const rows = [];
+    const days = [];
+    for (const date of getDatesInRange(startDate, endDate)) {
+        const summaryData = await readDailySummary(date);
+        if (summaryData) {
+            rows.push(...toExportRows(summaryData));
+            days.push(date);
+        }
+    }
+
+    const key = getRangeExportKey(startDate, endDate, format);
+    if (!dryRun) {
+        await writeExport(key, format, rows);
+    }
+    return { key, format, days, rowCount: rows.length, dryRun };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    DAY_EXPORT_FORMATS,
+    getDayExportKey,
+    getRangeExportKey,
+    toExportRows,
+    toCsv,
+    toNdjson,
+    exportDaySummary,
+    exportSavedDay,
+    exportDateRange
+};
@@ -0,0 +1,108 @@
+// Cross-camera incidents: events from different cameras that happen close together, such as someone walking
+// up the driveway past the driveway, porch and doorbell cameras.
+//
+// Events are chained in time order: an event joins the running group when it starts within
+// SUMMARY_INCIDENT_WINDOW_SECONDS (60) of the group's last event. Groups that involve at least two cameras are
+// stored in the daily summary as `incidents`. Only the hour shards around newly added events are re-read, along
+// with the hours of any incident they overlap, so the incidents are kept current without loading the whole day.
+
+const { getZonedHour } = require('./timeZone');
+const { getJsonObject } = require('./summaryStore');
+const { TIME_ZONE, getTriggerKeys } = require('./dailySummary');
+
+const INCIDENT_WINDOW_MS = parseFloat(process.env.SUMMARY_INCIDENT_WINDOW_SECONDS || '60') * 1000;
+
+// Helper to format an hour number as the two-digit shard hour
+function toShardHour(hour) {
+    return String(hour).padStart(2, '0');
+}
+
+// Helper to list the shard hours an incident spans
+function getIncidentHours(incident) {
+    const hours = [];
+    const startHour = getZonedHour(incident.startTimestamp, TIME_ZONE);
+    const endHour = getZonedHour(incident.endTimestamp, TIME_ZONE);
+    for (let hour = startHour; hour <= Math.max(startHour, endHour); hour++) hours.push(toShardHour(hour));
+    return hours;
+}
+
+// Group time-ordered events into incidents; groups seen by a single camera are not incidents
+function correlateEvents(events, windowMs = INCIDENT_WINDOW_MS) {
+    const timed = events
+        .filter(event => Number.isFinite(Number(event.Timestamp)))
+        .sort((a, b) => Number(a.Timestamp) - Number(b.Timestamp));
+
+    const groups = [];
+    let current = null;
+    for (const event of timed) {
+        if (current && Number(event.Timestamp) - current.endTimestamp <= windowMs) {
+            current.events.push(event);
+            current.endTimestamp = Number(event.Timestamp);
+        } else {
+            current = { events: [event], startTimestamp: Number(event.Timestamp), endTimestamp: Number(event.Timestamp) };
+            groups.push(current);
+        }
+    }
+
+    return groups
+        .map(group => {
+            const cameras = [...new Set(group.events.map(event => event.DeviceName || event.Device || 'Unknown'))];
+            return {
+                incidentId: `incident_${group.events[0].EventId || group.startTimestamp}`,
+                startTimestamp: group.startTimestamp,
+                endTimestamp: group.endTimestamp,
+                startTime: new Date(group.startTimestamp).toISOString(),
+                endTime: new Date(group.endTimestamp).toISOString(),
+                durationSeconds: (group.endTimestamp - group.startTimestamp) / 1000,
+                eventIds: group.events.map(event => event.EventId),
+                cameras,
+                triggers: [...new Set(group.events.flatMap(getTriggerKeys))].sort(),
+                eventCount: group.events.length
+            };
+        })
+        .filter(incident => incident.cameras.length >= 2);
+}
+
+// Re-correlate the incidents around the shards just written.
+// shardEvents maps each written shard hour to its full event list (as returned by moveEventsToShards).
+async function updateIncidents(summaryData, shardEvents) {
+    const incidents = summaryData.incidents || [];
+    const touched = [...shardEvents.keys()].filter(hour => /^\d{2}$/.test(hour));
+    if (touched.length === 0) {
+        summaryData.incidents = incidents;
+        return summaryData;
+    }
+
+    // Neighbouring hours catch incidents that cross an hour boundary; any incident overlapping the
+    // hours being re-read pulls in its own hours so it is rebuilt from all of its events
+    const hours = new Set(touched.flatMap(hour => [Number(hour) - 1, Number(hour), Number(hour) + 1])
+        .filter(hour => hour >= 0 && hour <= 23)
+        .map(toShardHour));
+    let overlapping;
+    let size;
+    do {
+        size = hours.size;
+        overlapping = incidents.filter(incident => getIncidentHours(incident).some(hour => hours.has(hour)));
+        overlapping.forEach(incident => getIncidentHours(incident).forEach(hour => hours.add(hour)));
+    } while (hours.size !== size);
+
+    const events = [];
+    for (const hour of hours) {
+        if (shardEvents.has(hour)) {
+            events.push(...shardEvents.get(hour));
+        } else if (summaryData.shards && summaryData.shards[hour]) {
+            const shard = await getJsonObject(summaryData.shards[hour].key);
+            if (shard) events.push(...shard.data.events);
+        }
+    }
+
+    const kept = incidents.filter(incident => !overlapping.includes(incident));
+    summaryData.incidents = [...kept, ...correlateEvents(events)].sort((a, b) => a.startTimestamp - b.startTimestamp);
+    summaryData.metadata.incidentCount = summaryData.incidents.length;
+    return summaryData;
+}
+
+module.exports = {
+    correlateEvents,
+    updateIncidents
+};
@@ -1,254 +1,38 @@
-const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const { SQSClient, GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
-const s3 = new S3Client();
-const sqs = new SQSClient();
+const { randomUUID } = require('crypto');
+const { logger, withLogContext } = require('./logger');
+const { getQueue } = require('./backends');
+const { resetApiCallCounts, getApiCallCounts } = require('./apiCalls');
+const { putMetric, resetMetrics, flushMetrics } = require('./metrics');
+const { updateJsonObject } = require('./summaryStore');
+const {
+    getSummaryLocation,
+    createEmptySummary,
+    applyEventToSummary,
+    countSummaryEvents
+} = require('./dailySummary');
+const { validateSummaryEvent, migrateSummary } = require('./schemas');
+const { getSummaryKey, moveEventsToShards, loadDayEvents } = require('./summaryShards');
+const { collectMissingVideoEvents } = require('./missingVideos');
+const { retryMissingVideos } = require('./videoRetries');
+const { collectDlqDetails, redriveDlqMessages } = require('./dlqInspection');
+const { processAlerts } = require('./alerts');
+const { updateAnomalies } = require('./anomalies');
+const { updateIncidents } = require('./incidents');
+const { updateStorageUsage } = require('./storageUsage');
+const { updateCorruptVideoEvents } = require('./videoIntegrity');
+const { shiftDate, updateRollupsForDay, validateDateRange, rebuildRollupsForRange } = require('./rollups');
+const { backfillSummaries } = require('./backfill');
+const { pruneExpiredSummaries, generateExpiryReport } = require('./retention');
+const { DAY_EXPORT_FORMATS, exportDaySummary, exportSavedDay, exportDateRange } = require('./exports');
 
 // Use environment variable directly
-const BUCKET_NAME = process.env.SUMMARY_BUCKET_NAME || '';
 const ALARM_PROCESSING_DLQ_URL = process.env.AlarmProcessingDlqUrl || '';
 const SUMMARY_EVENT_DLQ_URL = process.env.SummaryEventDlqUrl || '';
 
-// Helper to get ET midnight for a given timestamp
-function getEasternDateString(timestamp) {
-    const date = new Date(timestamp);
-    // Convert to UTC-5 (ET, ignoring DST for simplicity)
-    const utc = date.getTime() + (date.getTimezoneOffset() * 60000);
-    // ET offset: -5 hours in ms
-    const et = new Date(utc - (5 * 60 * 60 * 1000));
-    const year = et.getFullYear();
-    const month = String(et.getMonth() + 1).padStart(2, '0');
-    const day = String(et.getDate()).padStart(2, '0');
-    return { year, month, day, folder: `${year}-${month}-${day}` };
-}
-
-// Helper to convert UTC timestamp to Eastern Time date folder
-function getUtcDateFolders(easternDateFolder) {
-    // For a given Eastern date (e.g., "2025-09-09"), we need to check UTC dates
-    // that could contain videos for that Eastern day
-    
-    const [year, month, day] = easternDateFolder.split('-').map(Number);
-    
-    // Eastern midnight corresponds to UTC 5:00 AM the same day
-    // Eastern 11:59 PM corresponds to UTC 4:59 AM the next day
-    // So for Eastern date 2025-09-09, we need to check:
-    // - UTC 2025-09-09 (from 5:00 AM onwards)
-    // - UTC 2025-09-10 (from 12:00 AM to 4:59 AM)
-    
-    const utcFolders = [];
-    
-    // Same day UTC folder 
-    utcFolders.push(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
-    
-    // Next day UTC folder
-    const nextDay = new Date(year, month - 1, day + 1);
-    const nextYear = nextDay.getFullYear();
-    const nextMonth = String(nextDay.getMonth() + 1).padStart(2, '0');
-    const nextDayStr = String(nextDay.getDate()).padStart(2, '0');
-    utcFolders.push(`${nextYear}-${nextMonth}-${nextDayStr}`);
-    
-    return utcFolders;
-}
-
-// Helper to check if a UTC timestamp falls within an Eastern date
-function isUtcTimestampInEasternDate(utcTimestamp, easternDateFolder) {
-    const [year, month, day] = easternDateFolder.split('-').map(Number);
-    
-    // Eastern date boundaries in UTC
-    const easternMidnightUtc = new Date(year, month - 1, day, 5, 0, 0); // 5 AM UTC = Midnight ET
-    const easternEndOfDayUtc = new Date(year, month - 1, day + 1, 4, 59, 59); // 4:59 AM UTC next day = 11:59 PM ET
-    
-    const fileDate = new Date(utcTimestamp);
-    const isInRange = fileDate >= easternMidnightUtc && fileDate <= easternEndOfDayUtc;
-    
-    return isInRange;
-}
-
-// Helper to find additional missing video events by checking UTC folders for JSON files without videos
-async function findAdditionalMissingVideoEvents(easternDateFolder, existingMissingEvents) {
-    const additionalMissingEvents = [];
-    
-    try {
-        // Get all UTC folders that could contain files for this Eastern date
-        const utcFolders = getUtcDateFolders(easternDateFolder);
-        console.log(`[INFO] Checking UTC folders ${utcFolders.join(', ')} for JSON metadata files without videos for Eastern date ${easternDateFolder}`);
-        
-        // Track all events across all UTC folders
-        const allEventFiles = {};
-        
-        // Check each UTC folder for JSON and video files
-        for (const utcFolder of utcFolders) {
-            console.log(`[INFO] Scanning UTC folder: ${utcFolder} for missing videos`);
-            
-            const listParams = {
-                Bucket: BUCKET_NAME,
-                Prefix: `${utcFolder}/`,
-                MaxKeys: 1000
-            };
-            
-            const response = await s3.send(new ListObjectsV2Command(listParams));
-            const objects = response.Contents || [];
-            
-            console.log(`[INFO] Found ${objects.length} objects in UTC folder ${utcFolder}`);
-            
-            for (const obj of objects) {
-                const key = obj.Key;
-                const fileName = key.split('/').pop();
-                
-                // Skip summary files and other non-event files
-                if (fileName.startsWith('summary_') || !fileName.includes('_')) {
-                    continue;
-                }
-                
-                // Extract timestamp and check if it belongs to our Eastern date
-                const timestampMatch = fileName.match(/_(\d{13})\./);
-                if (!timestampMatch) continue;
-                
-                const utcTimestamp = parseInt(timestampMatch[1]);
-                
-                // Only process files that belong to our target Eastern date
-                if (!isUtcTimestampInEasternDate(utcTimestamp, easternDateFolder)) {
-                    continue;
-                }
-                
-                // Extract prefix key from filename (eventId_device_timestamp)
-                const prefixMatch = fileName.match(/^(.+_\d+)\./);
-                if (!prefixMatch) continue;
-                
-                const prefixKey = prefixMatch[1];
-                
-                if (!allEventFiles[prefixKey]) {
-                    allEventFiles[prefixKey] = { 
-                        json: false, 
-                        video: false, 
-                        jsonFile: null, 
-                        videoFile: null,
-                        utcFolder: utcFolder
-                    };
-                }
-                
-                if (fileName.endsWith('.json')) {
-                    allEventFiles[prefixKey].json = true;
-                    allEventFiles[prefixKey].jsonFile = obj;
-                } else if (fileName.endsWith('.mp4') || fileName.endsWith('.mov')) {
-                    allEventFiles[prefixKey].video = true;
-                    allEventFiles[prefixKey].videoFile = obj;
-                }
-            }
-        }
-        
-        console.log(`[INFO] Found ${Object.keys(allEventFiles).length} total events across UTC folders for Eastern date ${easternDateFolder}`);
-        
-        // Find JSON files that don't have corresponding video files
-        for (const [prefixKey, files] of Object.entries(allEventFiles)) {
-            if (files.json && !files.video && files.jsonFile) {
-                // Check if this event is already in the existing missing events list
-                const alreadyListed = existingMissingEvents.some(event => 
-                    event.jsonFile === files.jsonFile.Key
-                );
-                
-                if (!alreadyListed) {
-                    console.log(`[INFO] Found JSON metadata without video: ${files.jsonFile.Key}`);
-                    
-                    // Extract event details from the prefix key
-                    const parts = prefixKey.split('_');
-                    if (parts.length >= 3) {
-                        const eventId = parts[0];
-                        const device = parts[1];
-                        const timestamp = parts[2];
-                        
-                        additionalMissingEvents.push({
-                            eventId: eventId,
-                            device: device,
-                            timestamp: parseInt(timestamp),
-                            prefixKey: prefixKey,
-                            jsonFile: files.jsonFile.Key,
-                            lastModified: files.jsonFile.LastModified,
-                            size: files.jsonFile.Size,
-                            utcFolder: files.utcFolder,
-                            note: 'JSON metadata exists but video file is missing'
-                        });
-                    }
-                }
-            }
-        }
-        
-        console.log(`[INFO] Found ${additionalMissingEvents.length} additional JSON files without videos in Eastern date ${easternDateFolder}`);
-        
-    } catch (error) {
-        console.error(`[ERROR] Failed to find additional missing video events for Eastern date ${easternDateFolder}:`, error);
-    }
-    
-    return additionalMissingEvents;
-}
-
-// Helper to find events with JSON metadata but missing video files
-async function findMissingVideoFiles(folder) {
-    const missingVideoEvents = [];
-    
-    try {
-        // List all objects in the date folder
-        const listParams = {
-            Bucket: BUCKET_NAME,
-            Prefix: `${folder}/`,
-            MaxKeys: 1000 // Adjust if needed
-        };
-        
-        const response = await s3.send(new ListObjectsV2Command(listParams));
-        const objects = response.Contents || [];
-        
-        // Group files by event ID
-        const eventFiles = {};
-        
-        for (const obj of objects) {
-            const key = obj.Key;
-            const fileName = key.split('/').pop(); // Get just the filename
-            
-            // Skip summary files and other non-event files
-            if (fileName.startsWith('summary_') || !fileName.includes('_')) {
-                continue;
-            }
-            
-            // Extract event ID from filename (assuming format: type_eventId_timestamp.extension)
-            const parts = fileName.split('_');
-            if (parts.length >= 3) {
-                const eventId = parts[1];
-                
-                if (!eventFiles[eventId]) {
-                    eventFiles[eventId] = { json: false, video: false, metadata: null };
-                }
-                
-                if (fileName.endsWith('.json')) {
-                    eventFiles[eventId].json = true;
-                    eventFiles[eventId].metadata = obj;
-                } else if (fileName.endsWith('.mp4') || fileName.endsWith('.mov')) {
-                    eventFiles[eventId].video = true;
-                }
-            }
-        }
-        
-        // Find events with JSON but no video
-        for (const [eventId, files] of Object.entries(eventFiles)) {
-            if (files.json && !files.video && files.metadata) {
-                missingVideoEvents.push({
-                    eventId: eventId,
-                    jsonFile: files.metadata.Key,
-                    lastModified: files.metadata.LastModified,
-                    size: files.metadata.Size
-                });
-            }
-        }
-        
-        console.log(`[INFO] Found ${missingVideoEvents.length} events with JSON metadata but missing video files in folder ${folder}`);
-        
-    } catch (error) {
-        console.error(`[ERROR] Failed to check for missing video files in folder ${folder}:`, error);
-    }
-    
-    return missingVideoEvents;
-}
-
-// Helper to get DLQ message counts
-async function getDlqMessageCounts() {
+// Helper to get DLQ message counts, plus the details of the waiting messages when inspect is set.
+// Peeking receives the messages (raising their receive count and briefly hiding them from a redrive), so
+// batches only read the counts and the details are gathered by the scheduled missing video check.
+async function getDlqMessageCounts({ inspect = false } = {}) {
     const dlqCounts = {};
     let totalDlqCount = 0;
     
@@ -258,13 +42,13 @@ async function getDlqMessageCounts() {
             const count = await getDlqCountForQueue(ALARM_PROCESSING_DLQ_URL);
             dlqCounts['AlarmProcessingDLQ'] = count;
             totalDlqCount += count;
-            console.log(`[INFO] Alarm Processing DLQ message count: ${count}`);
+            logger.info(`Alarm Processing DLQ message count: ${count}`);
         } catch (error) {
-            console.error(`[ERROR] Failed to get Alarm Processing DLQ count:`, error);
+            logger.error(`Failed to get Alarm Processing DLQ count:`, error);
             dlqCounts['AlarmProcessingDLQ'] = 0;
         }
     } else {
-        console.log(`[INFO] Alarm Processing DLQ URL not configured`);
+        logger.info(`Alarm Processing DLQ URL not configured`);
         dlqCounts['AlarmProcessingDLQ'] = 0;
     }
     
@@ -274,206 +58,392 @@ async function getDlqMessageCounts() {
             const count = await getDlqCountForQueue(SUMMARY_EVENT_DLQ_URL);
             dlqCounts['SummaryEventDLQ'] = count;
             totalDlqCount += count;
-            console.log(`[INFO] Summary Event DLQ message count: ${count}`);
+            logger.info(`Summary Event DLQ message count: ${count}`);
         } catch (error) {
-            console.error(`[ERROR] Failed to get Summary Event DLQ count:`, error);
+            logger.error(`Failed to get Summary Event DLQ count:`, error);
             dlqCounts['SummaryEventDLQ'] = 0;
         }
     } else {
-        console.log(`[INFO] Summary Event DLQ URL not configured`);
+        logger.info(`Summary Event DLQ URL not configured`);
         dlqCounts['SummaryEventDLQ'] = 0;
     }
     
-    console.log(`[INFO] Total DLQ message count: ${totalDlqCount}`);
+    logger.info(`Total DLQ message count: ${totalDlqCount}`);
+    
+    // Peek at whatever is waiting so the summary can say which events are stuck and why; empty DLQs need no peek
+    const dlqDetails = inspect || totalDlqCount === 0 ? await collectDlqDetails(dlqCounts) : null;
     
     return {
         dlqCounts,
-        totalDlqCount
+        totalDlqCount,
+        dlqDetails
     };
 }
 
 // Helper to get message count for a specific DLQ
 async function getDlqCountForQueue(queueUrl) {
     try {
-        const command = new GetQueueAttributesCommand({
-            QueueUrl: queueUrl,
-            AttributeNames: ['ApproximateNumberOfMessages']
-        });
-        
-        const response = await sqs.send(command);
-        const count = parseInt(response.Attributes?.ApproximateNumberOfMessages || '0', 10);
-        return count;
+        return await getQueue().getMessageCount(queueUrl);
     } catch (error) {
-        console.error(`[ERROR] Failed to get queue attributes for ${queueUrl}:`, error);
+        logger.error(`Failed to get queue attributes for ${queueUrl}:`, error);
         throw error;
     }
 }
 
+// Helper to add every event for one local day to that day's summary file in a single read-modify-write.
+// Throws when the summary could not be read or persisted so the day's records can be retried.
+async function recordDayEvents(day, getDlqState) {
+    const { year, month, day: dayOfMonth, folder, key, summaryEvents } = day;
+
+    // Missing video state does not depend on the summary contents, so it is gathered once and reused across retries
+    let missingVideoScan = null;
+    const sentVideoRetries = new Map();
+    const checkedVideos = new Map();
+    let added = [];
+
+    try {
+        const summaryData = await updateJsonObject(key, () => createEmptySummary(year, month, dayOfMonth), async(summaryData) => {
+            migrateSummary(summaryData, { year, month, day: dayOfMonth });
+            added = summaryEvents.filter((summaryEvent, i) => withLogContext(
+                { messageId: day.records?.[i]?.messageId, eventId: summaryEvent.EventId },
+                () => !applyEventToSummary(summaryData, summaryEvent).duplicate
+            ));
+
+            if (!missingVideoScan) {
+                missingVideoScan = await collectMissingVideoEvents(folder);
+            }
+            const { dlqCounts, totalDlqCount, dlqDetails } = await getDlqState();
+            summaryData.missingVideoEvents = missingVideoScan.events;
+            summaryData.dlqCounts = dlqCounts;
+            // Without a fresh inspection the details from the last scheduled check are kept
+            if (dlqDetails) {
+                summaryData.dlqDetails = dlqDetails;
+            }
+            await retryMissingVideos(summaryData, { sent: sentVideoRetries });
+            await updateCorruptVideoEvents(summaryData, [...missingVideoScan.listings.values()].flat(), { date: folder, checked: checkedVideos });
+            await updateAnomalies(summaryData, { date: folder });
+            await updateStorageUsage(summaryData, missingVideoScan, { date: folder });
+
+            // New events (and any left in files written before sharding) go to their hourly shards
+            // before the index is saved, so the index never counts an event its shards do not hold
+            const shardEvents = await moveEventsToShards(summaryData, { date: folder });
+            await updateIncidents(summaryData, shardEvents);
+
+            // Update metadata
+            summaryData.metadata.totalEvents = countSummaryEvents(summaryData);
+            summaryData.metadata.missingVideoCount = summaryData.missingVideoEvents.length;
+            summaryData.metadata.missingVideoScanComplete = missingVideoScan.warnings.length === 0;
+            summaryData.metadata.warnings = missingVideoScan.warnings;
+            summaryData.metadata.dlqMessageCount = totalDlqCount;
+            summaryData.metadata.peakDlqMessageCount = Math.max(summaryData.metadata.peakDlqMessageCount || 0, totalDlqCount);
+            summaryData.metadata.lastUpdated = new Date().toISOString();
+
+            logger.info(`Updated counters:`, {
+                key,
+                batchEvents: summaryEvents.length,
+                added: added.length,
+                duplicateEventCount: summaryData.metadata.duplicateEventCount,
+                eventCounts: summaryData.eventCounts,
+                triggerCounts: summaryData.triggerCounts,
+                deviceCounts: summaryData.deviceCounts,
+                totalEvents: summaryData.metadata.totalEvents,
+                missingVideoCount: summaryData.metadata.missingVideoCount,
+                missingVideoScanComplete: summaryData.metadata.missingVideoScanComplete,
+                permanentlyMissingVideoCount: summaryData.metadata.permanentlyMissingVideoCount,
+                corruptVideoCount: summaryData.metadata.corruptVideoCount,
+                anomalyCount: summaryData.metadata.anomalyCount,
+                incidentCount: summaryData.metadata.incidentCount,
+                storageBytes: summaryData.metadata.storageBytes,
+                dlqMessageCount: summaryData.metadata.dlqMessageCount
+            });
+        });
+        logger.success(`Updated summary file: ${key}`);
+        return { summaryData, added };
+    } catch (err) {
+        logger.error('Failed to update summary file in S3:', err, { key, attempts: err.attempts });
+        throw err;
+    }
+}
+
+// Helper to group parsed records by the local day (and therefore summary file) they belong to
+function groupRecordsByDay(entries) {
+    const days = new Map();
+    for (const { record, summaryEvent } of entries) {
+        const { year, month, day, folder, key } = getSummaryLocation(summaryEvent.Timestamp);
+        if (!days.has(key)) {
+            days.set(key, { year, month, day, folder, key, records: [], summaryEvents: [] });
+        }
+        days.get(key).records.push(record);
+        days.get(key).summaryEvents.push(summaryEvent);
+    }
+    return [...days.values()];
+}
+
+// Helper to evaluate the alert rules against the summaries just saved. Alerts are best effort,
+// so a failure is logged rather than failing records that were already persisted.
+async function sendAlerts(savedSummaries, summaryEvents, dlqState) {
+    const today = getSummaryLocation(Date.now()).folder;
+    try {
+        await processAlerts({
+            summaryData: savedSummaries.find(summaryData => summaryData.metadata.date === today),
+            totalDlqCount: dlqState ? dlqState.totalDlqCount : undefined,
+            summaryEvents
+        });
+    } catch (err) {
+        logger.error('Failed to process alert rules:', err);
+    }
+}
+
+// Helper to refresh a saved day's CSV/NDJSON exports from the scheduled runs. Exports are derived from the
+// saved summary, so a failure here is logged and heals on the next scheduled run.
+async function exportDay(summaryData) {
+    if (DAY_EXPORT_FORMATS.length === 0) {
+        return;
+    }
+    try {
+        await exportDaySummary({ ...summaryData, events: await loadDayEvents(summaryData) });
+    } catch (err) {
+        logger.error('Failed to export daily summary:', err, { date: summaryData.metadata.date });
+    }
+}
+
+// Helper to get the summary location of a local YYYY-MM-DD date
+function getDateLocation(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    }
+    const [year, month, day] = date.split('-');
+    return { year: Number(year), month, day, folder: date, key: getSummaryKey(date) };
+}
+
+// Helper to move a message that can never be processed straight to the Summary Event DLQ.
+// Returns false if it could not be forwarded, in which case SQS redrive has to deliver it instead.
+async function forwardPoisonMessage(record, failureReason, errorMessage) {
+    if (!SUMMARY_EVENT_DLQ_URL) {
+        logger.info(`Summary Event DLQ URL not configured, leaving poison message ${record.messageId} to SQS redrive`);
+        return false;
+    }
+    try {
+        await getQueue().sendMessage(SUMMARY_EVENT_DLQ_URL, record.body, {
+            FailureReason: failureReason,
+            ErrorMessage: errorMessage,
+            SourceMessageId: String(record.messageId)
+        });
+        logger.info(`Forwarded poison message ${record.messageId} to Summary Event DLQ`);
+        return true;
+    } catch (err) {
+        logger.error(`Failed to forward poison message ${record.messageId} to Summary Event DLQ:`, err);
+        return false;
+    }
+}
+
+// Helper to record the metrics of one saved day's summary
+function putDayMetrics(day, summaryData, added) {
+    putMetric('EventsProcessed', added.length);
+    putMetric('DuplicateEvents', day.summaryEvents.length - added.length);
+    putMetric('MissingVideos', summaryData.metadata.missingVideoCount);
+}
+
 // Lambda handler
-exports.handler = async(event) => {
-    for (const record of event.Records) {
-        let summaryEvent;
+// Every log line and metric document of an invocation carries its correlation ID (the Lambda request ID).
+// Metrics are flushed once the batch or direct action is done, even when it throws, so nothing recorded
+// is dropped or carried into the next invocation.
+exports.handler = async(event, context = {}) => {
+    resetApiCallCounts();
+    resetMetrics();
+    return withLogContext({ correlationId: context.awsRequestId || randomUUID() }, async() => {
         try {
-            summaryEvent = JSON.parse(record.body);
-            console.log(`[INFO] Processing event:`, {
-                EventId: summaryEvent.EventId,
-                Timestamp: summaryEvent.Timestamp,
-                Device: summaryEvent.DeviceName || summaryEvent.Device,
-                EventType: summaryEvent.EventType || summaryEvent.Type
-            });
-        } catch (err) {
-            console.error('[ERROR] Invalid event JSON:', err, { recordBody: record.body });
-            continue;
+            return await handleEvent(event);
+        } finally {
+            flushMetrics();
         }
-        const { year, month, day, folder } = getEasternDateString(summaryEvent.Timestamp);
-        const key = `${folder}/summary_${year}-${month}-${day}.json`;
-        
-        // Initialize default summary structure
-        let summaryData = {
-            metadata: {
-                date: `${year}-${month}-${day}`,
-                dateFormatted: new Date(year, month - 1, day).toISOString().split('T')[0],
-                lastUpdated: new Date().toISOString(),
-                totalEvents: 0,
-                missingVideoCount: 0,
-                dlqMessageCount: 0
-            },
-            eventCounts: {},
-            deviceCounts: {},
-            hourlyCounts: {},
-            events: [],
-            missingVideoEvents: [],
-            dlqCounts: {}
-        };
-        
-        let fileExisted = true;
+    });
+};
+
+// Handle one invocation: an SQS batch of summary events, or a direct action.
+// Records are grouped by local day so each summary file is read and written once per batch.
+// Returns batchItemFailures so SQS only retries (and eventually dead-letters) the records that were not persisted.
+async function handleEvent(event) {
+
+    // Direct invocation: { "action": "rebuildRollups", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD" }
+    if (event.action === 'rebuildRollups') {
+        const endDate = event.endDate || event.startDate;
         try {
-            const s3Obj = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
-            const bodyContents = await streamToString(s3Obj.Body);
-            summaryData = JSON.parse(bodyContents);
-            console.log(`[INFO] Loaded existing summary file: ${key}`);
+            validateDateRange(event.startDate, endDate);
         } catch (err) {
-            if (err.name === 'NoSuchKey' || err.Code === 'NoSuchKey') {
-                fileExisted = false;
-                console.log(`[INFO] No existing summary file found for ${key}, will create new.`);
-            } else {
-                console.error('[ERROR] Error reading summary file:', err, { key });
-                continue;
-            }
+            logger.warn(`Rollup rebuild rejected: ${err.message}`);
+            return { statusCode: 400, error: err.message };
         }
-        // Initialize summary structure if needed
-        if (!summaryData.metadata) {
-            summaryData.metadata = {
-                date: `${year}-${month}-${day}`,
-                dateFormatted: new Date(year, month - 1, day).toISOString().split('T')[0],
-                lastUpdated: new Date().toISOString(),
-                totalEvents: 0,
-                missingVideoCount: 0,
-                dlqMessageCount: 0
-            };
+        const rebuilt = await rebuildRollupsForRange(event.startDate, endDate);
+        logger.info(`Rebuilt ${rebuilt.length} rollups:`, { rebuilt, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, rebuilt };
+    }
+
+    // Direct invocation: { "action": "backfillSummaries", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD", "dryRun": true }
+    if (event.action === 'backfillSummaries') {
+        const backfill = await backfillSummaries({ startDate: event.startDate, endDate: event.endDate, dryRun: event.dryRun === true });
+        logger.info(`Backfill complete:`, { days: backfill.results.length, written: backfill.results.filter(r => r.written).length, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, ...backfill };
+    }
+
+    // Direct invocation: { "action": "exportEvents", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD", "format": "csv" }
+    // writes every event in the range to a single CSV or NDJSON file under exports/
+    if (event.action === 'exportEvents') {
+        const exported = await exportDateRange({ startDate: event.startDate, endDate: event.endDate, format: event.format, dryRun: event.dryRun === true });
+        logger.info(`Export complete:`, { key: exported.key, rowCount: exported.rowCount, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, ...exported };
+    }
+
+    // Direct invocation: { "action": "exportDay", "date": "YYYY-MM-DD" } rewrites a day's CSV/NDJSON exports
+    // from its stored summary (defaults to yesterday)
+    if (event.action === 'exportDay') {
+        const date = event.date || shiftDate(getSummaryLocation(Date.now()).folder, -1);
+        const exported = await exportSavedDay(date);
+        logger.info(`Day export complete:`, { date, exported, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, date, exported };
+    }
+
+    // Direct invocation: { "action": "redriveDlq", "queue": "AlarmProcessingDLQ", "eventIds": [...], "dryRun": true }
+    // moves the selected DLQ messages (eventIds, messageIds, failureReason or all) back to their source queue
+    if (event.action === 'redriveDlq') {
+        const redrive = await redriveDlqMessages(event);
+        logger.info(`DLQ redrive complete:`, { queue: redrive.queue, moved: redrive.moved.length, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, ...redrive };
+    }
+
+    // Direct invocation: { "action": "applyRetention", "dryRun": true } marks the events past the retention window
+    // as expired and saves the report of events expiring soon (run daily on a schedule). The daily run also writes
+    // the final exports of the previous day, whose last events came in after its last missing video check.
+    if (event.action === 'applyRetention') {
+        const dryRun = event.dryRun === true;
+        const retention = await pruneExpiredSummaries({ dryRun });
+        const expiryReport = await generateExpiryReport({ dryRun });
+        if (!dryRun) {
+            try {
+                await exportSavedDay(shiftDate(getSummaryLocation(Date.now()).folder, -1));
+            } catch (err) {
+                logger.error('Failed to export the previous day:', err);
+            }
         }
-        if (!summaryData.metadata.missingVideoCount) summaryData.metadata.missingVideoCount = 0;
-        if (!summaryData.metadata.dlqMessageCount) summaryData.metadata.dlqMessageCount = 0;
-        if (!summaryData.eventCounts) summaryData.eventCounts = {};
-        if (!summaryData.deviceCounts) summaryData.deviceCounts = {};
-        if (!summaryData.hourlyCounts) summaryData.hourlyCounts = {};
-        if (!summaryData.events) summaryData.events = [];
-        if (!summaryData.missingVideoEvents) summaryData.missingVideoEvents = [];
-        if (!summaryData.dlqCounts) summaryData.dlqCounts = {};
-
-        // Add the new event to the summary
-        summaryData.events.push(summaryEvent);
-        console.log(`[INFO] Added event to summary:`, {
-            EventId: summaryEvent.EventId,
-            Device: summaryEvent.DeviceName || summaryEvent.Device,
-            EventType: summaryEvent.EventType || summaryEvent.Type,
-            AlarmName: summaryEvent.AlarmName,
-            EventPath: summaryEvent.EventPath,
-            EventLocalLink: summaryEvent.EventLocalLink,
-            hasMetadata: !!summaryEvent.Metadata,
-            metadataKeys: summaryEvent.Metadata ? Object.keys(summaryEvent.Metadata) : [],
-            originalFileName: summaryEvent.Metadata?.originalFileName
+        putMetric('ExpiredEvents', retention.results.reduce((total, result) => total + result.expiredEvents, 0));
+        if (expiryReport) putMetric('ExpiringEvents', expiryReport.totalEvents);
+        logger.info(`Retention applied:`, { days: retention.results.length, expiringEvents: expiryReport?.totalEvents, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, retention, expiryReport };
+    }
+
+    // Direct invocation: { "action": "retryMissingVideos", "date": "YYYY-MM-DD" } refreshes a day's summary
+    // without new events, re-enqueueing any missing videos that are due (defaults to today)
+    if (event.action === 'retryMissingVideos') {
+        const day = event.date ? getDateLocation(event.date) : getSummaryLocation(Date.now());
+        let dlqState = null;
+        const { summaryData } = await recordDayEvents({ ...day, summaryEvents: [] }, async() => {
+            dlqState = dlqState || await getDlqMessageCounts({ inspect: true });
+            return dlqState;
         });
+        await exportDay(summaryData);
+        await sendAlerts([summaryData], [], dlqState);
+        putMetric('MissingVideos', summaryData.metadata.missingVideoCount);
+        putMetric('DlqDepth', dlqState.totalDlqCount);
+        logger.info(`Missing video retries checked:`, { key: day.key, apiCalls: getApiCallCounts() });
+        return { statusCode: 200, key: day.key, missingVideoEvents: summaryData.missingVideoEvents };
+    }
 
-        // Extract event details
-        const eventType = summaryEvent.EventType || summaryEvent.Type || 'Unknown';
-        const deviceName = summaryEvent.DeviceName || summaryEvent.Device || 'Unknown';
-        const eventHour = new Date(summaryEvent.Timestamp).getHours();
-        const alarmName = summaryEvent.AlarmName || '';
+    const batchItemFailures = [];
+    const outcome = { processed: 0, failed: 0, poison: 0, invalid: 0 };
+    const parsed = [];
 
-        // Update event type counters
-        summaryData.eventCounts[eventType] = (summaryData.eventCounts[eventType] || 0) + 1;
+    for (const record of event.Records) {
+        await withLogContext({ messageId: record.messageId }, async() => {
+            // Retrying a body that is not JSON, or an event that does not match the schema, can never succeed,
+            // so both skip the retry cycle
+            let summaryEvent;
+            try {
+                summaryEvent = JSON.parse(record.body);
+            } catch (err) {
+                logger.error('Invalid event JSON (poison message):', err, { messageId: record.messageId, recordBody: record.body });
+                outcome.poison++;
+                if (!(await forwardPoisonMessage(record, 'InvalidJson', String(err.message || err)))) {
+                    batchItemFailures.push({ itemIdentifier: record.messageId });
+                }
+                return;
+            }
 
-        // Update object and activity counters based on alarm name
-        if (alarmName.includes('Object')) {
-            summaryData.eventCounts['Object'] = (summaryData.eventCounts['Object'] || 0) + 1;
-            console.log(`[INFO] Object detection event detected in alarm: ${alarmName}`);
-        }
-        if (alarmName.includes('Activity')) {
-            summaryData.eventCounts['Activity'] = (summaryData.eventCounts['Activity'] || 0) + 1;
-            console.log(`[INFO] Activity detection event detected in alarm: ${alarmName}`);
-        }
+            const { valid, errors } = validateSummaryEvent(summaryEvent);
+            if (!valid) {
+                logger.error('Summary event rejected by schema validation (poison message):', {
+                    messageId: record.messageId,
+                    EventId: summaryEvent?.EventId,
+                    errors
+                });
+                outcome.invalid++;
+                if (!(await forwardPoisonMessage(record, 'InvalidEvent', errors.join('; ')))) {
+                    batchItemFailures.push({ itemIdentifier: record.messageId });
+                }
+                return;
+            }
 
-        // Update device counters
-        summaryData.deviceCounts[deviceName] = (summaryData.deviceCounts[deviceName] || 0) + 1;
-
-        // Update hourly counters
-        summaryData.hourlyCounts[eventHour] = (summaryData.hourlyCounts[eventHour] || 0) + 1;
-
-        // Check for missing video files in the date folder
-        const missingVideoEvents = await findMissingVideoFiles(folder);
-        
-        // Check for additional missing video events from UTC folders
-        const additionalMissingEvents = await findAdditionalMissingVideoEvents(folder, missingVideoEvents);
-        
-        // Combine both missing video events lists
-        summaryData.missingVideoEvents = [...missingVideoEvents, ...additionalMissingEvents];
-
-        // Check DLQ message counts
-        const { dlqCounts, totalDlqCount } = await getDlqMessageCounts();
-        summaryData.dlqCounts = dlqCounts;
-
-        // Update metadata
-        summaryData.metadata.totalEvents = summaryData.events.length;
-        summaryData.metadata.missingVideoCount = summaryData.missingVideoEvents.length;
-        summaryData.metadata.dlqMessageCount = totalDlqCount;
-        summaryData.metadata.lastUpdated = new Date().toISOString();
-
-        console.log(`[INFO] Updated counters:`, {
-            eventType,
-            eventTypeCount: summaryData.eventCounts[eventType],
-            deviceName,
-            deviceCount: summaryData.deviceCounts[deviceName],
-            alarmName,
-            objectCount: summaryData.eventCounts['Object'] || 0,
-            activityCount: summaryData.eventCounts['Activity'] || 0,
-            totalEvents: summaryData.metadata.totalEvents,
-            missingVideoCount: summaryData.metadata.missingVideoCount,
-            dlqMessageCount: summaryData.metadata.dlqMessageCount
+            withLogContext({ eventId: summaryEvent.EventId }, () => logger.info(`Processing event:`, {
+                EventId: summaryEvent.EventId,
+                Timestamp: summaryEvent.Timestamp,
+                Device: summaryEvent.DeviceName || summaryEvent.Device,
+                EventType: summaryEvent.EventType || summaryEvent.Type
+            }));
+            parsed.push({ record, summaryEvent });
         });
+    }
 
-        // Save back to S3
+    // DLQ depth is queue-wide, so it is checked at most once per batch
+    let dlqState = null;
+    const getDlqState = async() => {
+        if (!dlqState) {
+            dlqState = await getDlqMessageCounts();
+        }
+        return dlqState;
+    };
+
+    const days = groupRecordsByDay(parsed);
+    const savedSummaries = [];
+    for (const day of days) {
+        let summaryData;
         try {
-            await s3.send(new PutObjectCommand({
-                Bucket: BUCKET_NAME,
-                Key: key,
-                Body: JSON.stringify(summaryData, null, 2),
-                ContentType: 'application/json'
-            }));
-            console.log(`[SUCCESS] Updated summary file: ${key}`);
+            let added;
+            ({ summaryData, added } = await recordDayEvents(day, getDlqState));
+            outcome.processed += day.records.length;
+            savedSummaries.push(summaryData);
+            putDayMetrics(day, summaryData, added);
         } catch (err) {
-            console.error('[ERROR] Failed to write summary file to S3:', err, { key });
+            logger.error('Summary events not persisted, reporting for retry:', {
+                key: day.key,
+                messageIds: day.records.map(r => r.messageId),
+                EventIds: day.summaryEvents.map(e => e.EventId),
+                error: err.message
+            });
+            outcome.failed += day.records.length;
+            day.records.forEach(r => batchItemFailures.push({ itemIdentifier: r.messageId }));
+            continue;
         }
 
-        // Helper to convert stream to string (for AWS SDK v3 GetObjectCommand)
-        function streamToString(stream) {
-            return new Promise((resolve, reject) => {
-                const chunks = [];
-                stream.on('data', (chunk) => chunks.push(chunk));
-                stream.on('error', reject);
-                stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
-            });
+        // Rollups are derived from the saved daily summary, so a failure here heals on the next update or a rebuild
+        try {
+            await updateRollupsForDay(summaryData);
+        } catch (err) {
+            logger.error('Failed to update rollups:', err, { key: day.key });
         }
     }
-    return { statusCode: 200 };
-};
\ No newline at end of file
+
+    await sendAlerts(savedSummaries, parsed.map(entry => entry.summaryEvent), dlqState);
+
+    if (dlqState) putMetric('DlqDepth', dlqState.totalDlqCount);
+    putMetric('RecordsFailed', outcome.failed);
+    putMetric('PoisonMessages', outcome.poison);
+    putMetric('InvalidEvents', outcome.invalid);
+
+    logger.info(`Batch complete:`, {
+        records: event.Records.length,
+        days: days.length,
+        ...outcome,
+        batchItemFailures: batchItemFailures.length,
+        apiCalls: getApiCallCounts()
+    });
+    return { statusCode: 200, batchItemFailures };
+}
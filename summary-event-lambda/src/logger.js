@@ -0,0 +1,72 @@
+// Logging for the summary lambda: one JSON object per line in Lambda, so log lines can be queried and
+// charted, and the familiar "[INFO] message" text when run locally.
+//
+// JSON lines carry the fields of the current log context, set with withLogContext: the invocation's
+// correlationId and, while a record is being handled, its messageId and eventId. The context follows async
+// calls made inside it. SUMMARY_LOG_FORMAT (json or text) overrides the default.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_FORMAT = process.env.SUMMARY_LOG_FORMAT || (process.env.AWS_LAMBDA_FUNCTION_NAME ? 'json' : 'text');
+const LEVELS = {
+    info: { prefix: '[INFO]', write: 'log' },
+    success: { prefix: '[SUCCESS]', write: 'log' },
+    warn: { prefix: '[WARN]', write: 'warn' },
+    error: { prefix: '[ERROR]', write: 'error' }
+};
+
+const logContext = new AsyncLocalStorage();
+
+// Run fn with extra fields added to every log line written inside it, including from async calls
+function withLogContext(fields, fn) {
+    return logContext.run({ ...getLogContext(), ...fields }, fn);
+}
+
+// Helper to read the fields of the current log context
+function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+// Helper to turn an Error into plain fields that survive JSON.stringify
+function serializeError(err) {
+    return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+// Helper to build the JSON log line for a message and the values logged with it.
+// Errors go under `error`, objects are merged into `details`, anything else is listed under `values`.
+function toJsonLine(level, message, args) {
+    const line = { timestamp: new Date().toISOString(), level: level.toUpperCase(), message: message.replace(/:\s*$/, ''), ...getLogContext() };
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            line.error = serializeError(arg);
+        } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+            line.details = { ...line.details, ...arg };
+        } else if (arg !== undefined) {
+            line.values = [...(line.values || []), arg];
+        }
+    }
+    return JSON.stringify(line, (key, value) => (value instanceof Error ? serializeError(value) : value));
+}
+
+// Helper to write one log line at a level
+function write(level, message, args) {
+    const { prefix, write: method } = LEVELS[level];
+    if (LOG_FORMAT === 'json') {
+        console[method](toJsonLine(level, message, args));
+    } else {
+        console[method](`${prefix} ${message}`, ...args);
+    }
+}
+
+const logger = {
+    info: (message, ...args) => write('info', message, args),
+    success: (message, ...args) => write('success', message, args),
+    warn: (message, ...args) => write('warn', message, args),
+    error: (message, ...args) => write('error', message, args)
+};
+
+module.exports = {
+    logger,
+    withLogContext,
+    getLogContext
+};
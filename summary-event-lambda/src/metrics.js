@@ -0,0 +1,77 @@
+// CloudWatch metrics in Embedded Metric Format (EMF): values collected during an invocation are written as
+// JSON documents at the end of it, which CloudWatch turns into metrics without any log parsing.
+//
+// Every metric is published under SUMMARY_METRICS_NAMESPACE (UnifiProtect/SummaryLambda) with the function
+// name as its dimension. The documents also carry the log context (the invocation's correlationId), so a
+// metric spike can be traced back to the log lines that produced it.
+
+const { getLogContext } = require('./logger');
+
+const NAMESPACE = process.env.SUMMARY_METRICS_NAMESPACE || 'UnifiProtect/SummaryLambda';
+const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'summary-event-lambda';
+// EMF accepts at most 100 values per metric in one document
+const MAX_VALUES_PER_DOCUMENT = 100;
+
+let metrics = new Map();
+
+// Helper to record one value of a metric; a metric recorded several times keeps every value
+function putMetric(name, value, unit = 'Count') {
+    if (!metrics.has(name)) {
+        metrics.set(name, { unit, values: [] });
+    }
+    metrics.get(name).values.push(value);
+}
+
+// Helper to time an async call and record its duration in milliseconds, whether or not it succeeds
+async function timeMetric(name, fn) {
+    const started = Date.now();
+    try {
+        return await fn();
+    } finally {
+        putMetric(name, Date.now() - started, 'Milliseconds');
+    }
+}
+
+// Helper to clear the recorded metrics at the start of an invocation
+function resetMetrics() {
+    metrics = new Map();
+}
+
+// Write the recorded metrics as EMF documents and clear them. Returns the documents written.
+function flushMetrics() {
+    const entries = [...metrics.entries()];
+    metrics = new Map();
+    const documentCount = Math.ceil(Math.max(0, ...entries.map(([, metric]) => metric.values.length)) / MAX_VALUES_PER_DOCUMENT);
+
+    const documents = [];
+    for (let page = 0; page < documentCount; page++) {
+        const pageEntries = entries
+            .map(([name, metric]) => [name, metric.unit, metric.values.slice(page * MAX_VALUES_PER_DOCUMENT, (page + 1) * MAX_VALUES_PER_DOCUMENT)])
+            .filter(([, , values]) => values.length > 0);
+        const document = {
+            _aws: {
+                Timestamp: Date.now(),
+                CloudWatchMetrics: [{
+                    Namespace: NAMESPACE,
+                    Dimensions: [['FunctionName']],
+                    Metrics: pageEntries.map(([name, unit]) => ({ Name: name, Unit: unit }))
+                }]
+            },
+            FunctionName: FUNCTION_NAME,
+            ...getLogContext()
+        };
+        for (const [name, , values] of pageEntries) {
+            document[name] = values.length === 1 ? values[0] : values;
+        }
+        console.log(JSON.stringify(document));
+        documents.push(document);
+    }
+    return documents;
+}
+
+module.exports = {
+    putMetric,
+    timeMetric,
+    resetMetrics,
+    flushMetrics
+};
@@ -0,0 +1,157 @@
+// Detection of events whose JSON metadata was stored without a matching video file.
+
+const { logger } = require('./logger');
+const { getUtcDateFolders, isUtcTimestampInZonedDate } = require('./timeZone');
+const { parseEventObjectKey, groupEventObjects } = require('./eventKeys');
+const { LIST_MAX_OBJECTS, listAllObjects } = require('./summaryStore');
+const { TIME_ZONE } = require('./dailySummary');
+
+// Helper to describe a listing that hit the safety cap so the summary can flag an incomplete scan
+function truncatedScanWarning(prefix, scannedObjects) {
+    return {
+        type: 'missingVideoScanTruncated',
+        prefix,
+        scannedObjects,
+        maxObjects: LIST_MAX_OBJECTS,
+        message: `Only the first ${scannedObjects} objects under ${prefix} were checked for missing videos`
+    };
+}
+
+// Helper to describe a listing that failed (throttling, access denied, a network error partway through
+// pagination) so the summary never records a scan it could not finish as complete
+function listErrorWarning(prefix, error) {
+    return {
+        type: 'missingVideoScanFailed',
+        prefix,
+        reason: 'listError',
+        message: `Listing ${prefix} failed: ${error.message}`
+    };
+}
+
+// Helper to describe an event whose JSON metadata exists without a video
+function toMissingVideoEvent(group, extra) {
+    const { parsed, metadata } = group;
+    return {
+        eventId: parsed.eventId,
+        device: parsed.device,
+        timestamp: parsed.timestamp,
+        prefixKey: parsed.stem,
+        jsonFile: metadata.Key,
+        lastModified: metadata.LastModified,
+        size: metadata.Size,
+        layout: parsed.layout,
+        ...extra
+    };
+}
+
+// Helper to list a date folder once per scan: listings holds each prefix already listed, so the local date
+// folder (always one of its own UTC folders too) is not listed a second time
+async function listScanFolder(folder, warnings, listings) {
+    const prefix = `${folder}/`;
+    if (!listings.has(prefix)) {
+        const { objects, truncated } = await listAllObjects(prefix);
+        if (truncated) {
+            warnings.push(truncatedScanWarning(prefix, objects.length));
+        }
+        listings.set(prefix, objects);
+    }
+    return listings.get(prefix);
+}
+
+// Helper to find additional missing video events by checking UTC folders for JSON files without videos
+async function findAdditionalMissingVideoEvents(dateFolder, warnings, listings = new Map()) {
+    const additionalMissingEvents = [];
+    let prefix = null;
+    
+    try {
+        // Get all UTC folders that could contain files for this local date
+        const utcFolders = getUtcDateFolders(dateFolder, TIME_ZONE);
+        logger.info(`Checking UTC folders ${utcFolders.join(', ')} for JSON metadata files without videos for local date ${dateFolder} (${TIME_ZONE})`);
+        
+        // Check each UTC folder for JSON and video files
+        for (const utcFolder of utcFolders) {
+            logger.info(`Scanning UTC folder: ${utcFolder} for missing videos`);
+            prefix = `${utcFolder}/`;
+            
+            const objects = await listScanFolder(utcFolder, warnings, listings);
+            
+            logger.info(`Found ${objects.length} objects in UTC folder ${utcFolder}`);
+            
+            for (const group of groupEventObjects(objects).values()) {
+                // Only report events that belong to our target local date
+                if (!group.metadata || group.video || !isUtcTimestampInZonedDate(group.parsed.timestamp, dateFolder, TIME_ZONE)) {
+                    continue;
+                }
+                logger.info(`Found JSON metadata without video: ${group.metadata.Key}`);
+                additionalMissingEvents.push(toMissingVideoEvent(group, {
+                    utcFolder,
+                    note: 'JSON metadata exists but video file is missing'
+                }));
+            }
+        }
+        
+        logger.info(`Found ${additionalMissingEvents.length} JSON files without videos across UTC folders for local date ${dateFolder}`);
+        
+    } catch (error) {
+        logger.error(`Failed to find additional missing video events for local date ${dateFolder}:`, error);
+        warnings.push(listErrorWarning(prefix || `${dateFolder}/`, error));
+    }
+    
+    return additionalMissingEvents;
+}
+
+// Helper to find events with JSON metadata but missing video files.
+// The folder listing is also added to listedObjects, when given, for the storage usage figures.
+async function findMissingVideoFiles(folder, warnings, listedObjects = [], listings = new Map()) {
+    const missingVideoEvents = [];
+    
+    try {
+        // List all objects in the date folder
+        const objects = await listScanFolder(folder, warnings, listings);
+        listedObjects.push(...objects);
+        
+        // Find events with JSON but no video
+        for (const group of groupEventObjects(objects).values()) {
+            if (group.metadata && !group.video) {
+                missingVideoEvents.push(toMissingVideoEvent(group));
+            }
+        }
+        
+        logger.info(`Found ${missingVideoEvents.length} events with JSON metadata but missing video files in folder ${folder}`);
+        
+    } catch (error) {
+        logger.error(`Failed to check for missing video files in folder ${folder}:`, error);
+        warnings.push(listErrorWarning(`${folder}/`, error));
+    }
+    
+    return missingVideoEvents;
+}
+
+// Helper to gather missing video events for a date folder, plus warnings for any scan that hit the listing cap
+// or failed, the objects listed in the date folder itself and the listing of every UTC folder scanned, by prefix
+async function collectMissingVideoEvents(folder) {
+    const warnings = [];
+    const objects = [];
+    const listings = new Map();
+
+    // Check for missing video files in the date folder
+    const missingVideoEvents = await findMissingVideoFiles(folder, warnings, objects, listings);
+
+    // Check for additional missing video events from UTC folders, reusing the date folder's listing
+    const additionalMissingEvents = await findAdditionalMissingVideoEvents(folder, warnings, listings);
+
+    // Both scans parse keys the same way, so an event seen by both is merged into one entry
+    const merged = new Map();
+    for (const missing of [...missingVideoEvents, ...additionalMissingEvents]) {
+        const groupKey = parseEventObjectKey(missing.jsonFile).groupKey;
+        merged.set(groupKey, { ...merged.get(groupKey), ...missing });
+    }
+
+    return { events: [...merged.values()], warnings, objects, listings };
+}
+
+module.exports = {
+    findMissingVideoFiles,
+    findAdditionalMissingVideoEvents,
+    collectMissingVideoEvents
+};
@@ -0,0 +1,230 @@
+// Retention for the daily summaries: the bucket lifecycle deletes event objects SUMMARY_RETENTION_DAYS after
+// they are stored, but summaries written or rewritten later still list those events and their dead links.
+//
+// Pruning marks each event past the retention window with Expired/ExpiredAt and drops its video link; with
+// SUMMARY_RETENTION_MODE=strip its heavy metadata (Metadata, EventPath, EventLocalLink) goes too. Counters are
+// left alone so rollups and trends keep the day's activity. The expiry report lists the events whose footage
+// is deleted within the next SUMMARY_EXPIRY_WARNING_DAYS days, per camera, so important clips can be saved first.
+
+const { logger } = require('./logger');
+const { getJsonObject, updateJsonObject } = require('./summaryStore');
+const { getSummaryLocation, countSummaryEvents } = require('./dailySummary');
+const { migrateSummary } = require('./schemas');
+const { getSummaryKey, readDailySummary } = require('./summaryShards');
+const { shiftDate, getDatesInRange } = require('./rollups');
+
+const RETENTION_DAYS = parseInt(process.env.SUMMARY_RETENTION_DAYS || '0', 10);
+const RETENTION_MODE = (process.env.SUMMARY_RETENTION_MODE || 'mark').toLowerCase();
+const EXPIRY_WARNING_DAYS = parseInt(process.env.SUMMARY_EXPIRY_WARNING_DAYS || '3', 10);
+// Days before the retention cutoff that are checked again, so a missed run is caught up
+const RETENTION_SCAN_DAYS = parseInt(process.env.SUMMARY_RETENTION_SCAN_DAYS || '7', 10);
+const REPORT_PREFIX = 'reports';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STRIPPED_FIELDS = ['Metadata', 'EventPath', 'EventLocalLink'];
+
+// Helper to get when an event's stored objects are deleted by the bucket lifecycle
+function getEventExpiry(summaryEvent, retentionDays) {
+    return summaryEvent.Timestamp + retentionDays * DAY_MS;
+}
+
+// Helper to build the S3 key of the expiry report generated on a local date
+function getExpiryReportKey(date) {
+    return `${REPORT_PREFIX}/expiring_${date}.json`;
+}
+
+// Helper to mark one event as expired. Returns false when it already was.
+function expireSummaryEvent(summaryEvent, { now, mode }) {
+    if (summaryEvent.Expired && (mode !== 'strip' || STRIPPED_FIELDS.every(field => !(field in summaryEvent)))) {
+        return false;
+    }
+    summaryEvent.Expired = true;
+    summaryEvent.ExpiredAt = summaryEvent.ExpiredAt || new Date(now).toISOString();
+    summaryEvent.PresignedVideoUrl = null;
+    if (mode === 'strip') {
+        STRIPPED_FIELDS.forEach(field => delete summaryEvent[field]);
+    }
+    return true;
+}
+
+// Helper to expire every event in a list that is past the retention window. Returns how many changed.
+function expireEvents(events, { now, retentionDays, mode }) {
+    let changed = 0;
+    for (const summaryEvent of events || []) {
+        if (Number.isFinite(summaryEvent.Timestamp) && getEventExpiry(summaryEvent, retentionDays) <= now &&
+            expireSummaryEvent(summaryEvent, { now, mode })) {
+            changed++;
+        }
+    }
+    return changed;
+}
+
+// Helper to count the expired events in a list
+function countExpired(events) {
+    return (events || []).filter(summaryEvent => summaryEvent.Expired).length;
+}
+
+// Mark the expired events of one day's summary, shard by shard, then record the outcome in its index.
+// Returns null when the day has no summary.
+async function pruneExpiredDay(date, { now, retentionDays, mode, dryRun }) {
+    const index = await getJsonObject(getSummaryKey(date));
+    if (!index) {
+        return null;
+    }
+    if (index.data.retention?.complete && index.data.retention.mode === mode) {
+        return { date, expiredEvents: 0, expiredEventCount: index.data.retention.expiredEventCount, complete: true, skipped: true };
+    }
+
+    let expiredEvents = 0;
+    let expiredEventCount = 0;
+    for (const hour of Object.keys(index.data.shards || {}).sort()) {
+        const { key } = index.data.shards[hour];
+        const shard = await getJsonObject(key);
+        if (!shard) {
+            logger.warn(`Event shard ${key} referenced by the summary index was not found`);
+            continue;
+        }
+
+        // The shard is only rewritten when something in it expired
+        const changed = expireEvents(shard.data.events, { now, retentionDays, mode });
+        if (changed > 0 && !dryRun) {
+            const saved = await updateJsonObject(key, () => shard.data, (data) => {
+                expireEvents(data.events, { now, retentionDays, mode });
+                data.lastUpdated = new Date().toISOString();
+            });
+            shard.data = saved;
+        }
+        expiredEvents += changed;
+        expiredEventCount += countExpired(shard.data.events);
+    }
+
+    const [year, month, day] = date.split('-');
+    const totalEvents = countSummaryEvents(index.data);
+    let indexEvents = 0;
+    const mutate = (summaryData) => {
+        migrateSummary(summaryData, { year: Number(year), month, day });
+        // Files written before sharding still hold their events in the index
+        indexEvents = expireEvents(summaryData.events, { now, retentionDays, mode });
+        const indexExpired = expiredEventCount + countExpired(summaryData.events);
+        summaryData.metadata.expiredEventCount = indexExpired;
+        summaryData.retention = {
+            retentionDays,
+            mode,
+            expiredEventCount: indexExpired,
+            complete: indexExpired >= countSummaryEvents(summaryData),
+            prunedAt: new Date(now).toISOString()
+        };
+    };
+
+    let summaryData;
+    if (dryRun) {
+        summaryData = JSON.parse(JSON.stringify(index.data));
+        mutate(summaryData);
+    } else {
+        summaryData = await updateJsonObject(getSummaryKey(date), () => index.data, mutate);
+    }
+    expiredEvents += indexEvents;
+    logger.info(`${dryRun ? 'Would expire' : 'Expired'} ${expiredEvents} events in summary ${getSummaryKey(date)}`, {
+        totalEvents,
+        expiredEventCount: summaryData.retention.expiredEventCount
+    });
+    return { date, expiredEvents, expiredEventCount: summaryData.retention.expiredEventCount, complete: summaryData.retention.complete };
+}
+
+// Mark the events past the retention window in every summary from the retention cutoff back RETENTION_SCAN_DAYS days.
+// Does nothing unless a retention window is configured.
+async function pruneExpiredSummaries({
+    now = Date.now(),
+    retentionDays = RETENTION_DAYS,
+    mode = RETENTION_MODE,
+    lookbackDays = RETENTION_SCAN_DAYS,
+    dryRun = false
+} = {}) {
+    if (!(retentionDays > 0)) {
+        logger.info('Summary retention not configured (SUMMARY_RETENTION_DAYS), nothing to prune');
+        return { enabled: false, results: [] };
+    }
+    if (mode !== 'mark' && mode !== 'strip') {
+        throw new Error(`Invalid retention mode: ${mode} (expected mark or strip)`);
+    }
+
+    // Only part of the cutoff day has expired yet; it is pruned again on each run until all of it has
+    const cutoffDate = shiftDate(getSummaryLocation(now).folder, -retentionDays);
+    const results = [];
+    for (const date of getDatesInRange(shiftDate(cutoffDate, -lookbackDays), cutoffDate)) {
+        const result = await pruneExpiredDay(date, { now, retentionDays, mode, dryRun });
+        if (result) results.push(result);
+    }
+    return { enabled: true, retentionDays, mode, dryRun, results };
+}
+
+// Build (and unless dryRun, save) the report of events whose footage expires within the next warningDays days
+async function generateExpiryReport({
+    now = Date.now(),
+    retentionDays = RETENTION_DAYS,
+    warningDays = EXPIRY_WARNING_DAYS,
+    dryRun = false
+} = {}) {
+    if (!(retentionDays > 0)) {
+        logger.info('Summary retention not configured (SUMMARY_RETENTION_DAYS), no expiry report');
+        return null;
+    }
+
+    const today = getSummaryLocation(now).folder;
+    const windowEnd = now + warningDays * DAY_MS;
+    const report = {
+        date: today,
+        generatedAt: new Date(now).toISOString(),
+        retentionDays,
+        warningDays,
+        windowEnd: new Date(windowEnd).toISOString(),
+        totalEvents: 0,
+        cameras: {},
+        events: []
+    };
+
+    const firstDate = shiftDate(today, -retentionDays);
+    for (const date of getDatesInRange(firstDate, shiftDate(firstDate, warningDays))) {
+        const summaryData = await readDailySummary(date);
+        for (const summaryEvent of summaryData?.events || []) {
+            if (summaryEvent.Expired || !Number.isFinite(summaryEvent.Timestamp)) continue;
+            const expiresAt = getEventExpiry(summaryEvent, retentionDays);
+            if (expiresAt <= now || expiresAt > windowEnd) continue;
+
+            report.events.push({
+                EventId: summaryEvent.EventId,
+                DeviceName: summaryEvent.DeviceName || summaryEvent.Device || 'Unknown',
+                Timestamp: summaryEvent.Timestamp,
+                EventType: summaryEvent.EventType || null,
+                TriggerKeys: summaryEvent.TriggerKeys || [],
+                VideoS3Key: summaryEvent.VideoS3Key || null,
+                expiresAt: new Date(expiresAt).toISOString(),
+                daysLeft: Math.ceil((expiresAt - now) / DAY_MS)
+            });
+        }
+    }
+
+    // Soonest first, so each camera's first listed event is the next one it loses
+    report.events.sort((a, b) => a.Timestamp - b.Timestamp);
+    report.totalEvents = report.events.length;
+    for (const event of report.events) {
+        if (!report.cameras[event.DeviceName]) {
+            report.cameras[event.DeviceName] = { eventCount: 0, firstExpiresAt: event.expiresAt };
+        }
+        report.cameras[event.DeviceName].eventCount++;
+    }
+
+    if (!dryRun) {
+        const key = getExpiryReportKey(today);
+        await updateJsonObject(key, () => report, (existing) => Object.assign(existing, report));
+        logger.success(`Saved expiry report: ${key}`, { totalEvents: report.totalEvents, cameras: Object.keys(report.cameras).length });
+    }
+    return report;
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    getEventExpiry,
+    getExpiryReportKey,
+    pruneExpiredSummaries,
+    generateExpiryReport
+};
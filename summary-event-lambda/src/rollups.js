@@ -0,0 +1,256 @@
+// Weekly (ISO week) and monthly rollups of the daily summary files.
+//
+// Each rollup keeps a per-day snapshot of the daily counters and derives its totals from those
+// snapshots, so applying the same daily summary twice is harmless and any rollup can be rebuilt
+// by replaying the daily files for its period.
+
+const { logger } = require('./logger');
+const { getJsonObject, updateJsonObject } = require('./summaryStore');
+const { getSummaryKey } = require('./summaryShards');
+
+const ROLLUP_PREFIX = 'rollups';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper to format a UTC-midnight timestamp as YYYY-MM-DD
+function toDateString(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Helper to parse YYYY-MM-DD into a UTC-midnight timestamp
+function parseDateString(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+// Helper to get the ISO-8601 week (Monday to Sunday) that a date belongs to
+function getIsoWeek(dateString) {
+    const date = parseDateString(dateString);
+    const dayOfWeek = new Date(date).getUTCDay() || 7;
+    const monday = date - (dayOfWeek - 1) * DAY_MS;
+    // The week belongs to the year that contains its Thursday
+    const thursday = monday + 3 * DAY_MS;
+    const weekYear = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * DAY_MS)) + 1;
+    return {
+        period: 'week',
+        periodKey: `${weekYear}-W${String(week).padStart(2, '0')}`,
+        startDate: toDateString(monday),
+        endDate: toDateString(monday + 6 * DAY_MS)
+    };
+}
+
+// Helper to get the calendar month that a date belongs to
+function getMonth(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    return {
+        period: 'month',
+        periodKey: `${year}-${String(month).padStart(2, '0')}`,
+        startDate: toDateString(Date.UTC(year, month - 1, 1)),
+        endDate: toDateString(Date.UTC(year, month, 0))
+    };
+}
+
+// Helper to resolve a rollup period from its key (YYYY-Www or YYYY-MM)
+function getPeriodFromKey(period, periodKey) {
+    if (period === 'week') {
+        const match = /^(\d{4})-W(\d{2})$/.exec(periodKey);
+        if (!match) throw new Error(`Invalid week key: ${periodKey}`);
+        // ISO week 1 is the week containing January 4th
+        const jan4 = Date.UTC(Number(match[1]), 0, 4);
+        const firstMonday = jan4 - ((new Date(jan4).getUTCDay() || 7) - 1) * DAY_MS;
+        return getIsoWeek(toDateString(firstMonday + (Number(match[2]) - 1) * 7 * DAY_MS));
+    }
+    if (period === 'month') {
+        if (!/^\d{4}-\d{2}$/.test(periodKey)) throw new Error(`Invalid month key: ${periodKey}`);
+        return getMonth(`${periodKey}-01`);
+    }
+    throw new Error(`Unknown rollup period: ${period}`);
+}
+
+// Helper to build the S3 key for a rollup
+function getRollupKey({ period, periodKey }) {
+    return `${ROLLUP_PREFIX}/summary_${period}_${periodKey}.json`;
+}
+
+// Helper to list the rollups a daily summary contributes to
+function getRollupPeriods(dateString) {
+    return [getIsoWeek(dateString), getMonth(dateString)];
+}
+
+// Helper to move a YYYY-MM-DD date by a number of days
+function shiftDate(dateString, days) {
+    return toDateString(parseDateString(dateString) + days * DAY_MS);
+}
+
+// Helper to check an inclusive YYYY-MM-DD range given to a direct action, throwing a descriptive error if invalid
+function validateDateRange(startDate, endDate) {
+    for (const date of [startDate, endDate]) {
+        if (!DATE_PATTERN.test(date || '')) {
+            throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+        }
+    }
+    if (endDate < startDate) {
+        throw new Error(`End date ${endDate} is before start date ${startDate}`);
+    }
+}
+
+// Helper to list every date in an inclusive YYYY-MM-DD range
+function getDatesInRange(startDate, endDate) {
+    const dates = [];
+    for (let cursor = parseDateString(startDate); cursor <= parseDateString(endDate); cursor += DAY_MS) {
+        dates.push(toDateString(cursor));
+    }
+    return dates;
+}
+
+// Helper to build an empty rollup document
+function createEmptyRollup({ period, periodKey, startDate, endDate }, timeZone) {
+    return {
+        metadata: {
+            period,
+            periodKey,
+            startDate,
+            endDate,
+            timeZone,
+            lastUpdated: new Date().toISOString(),
+            daysIncluded: 0,
+            totalEvents: 0,
+            missingVideoCount: 0,
+            peakDlqMessageCount: 0,
+            peakDlqDate: null
+        },
+        eventCounts: {},
+        triggerCounts: {},
+        deviceCounts: {},
+        hourlyCounts: {},
+        days: {}
+    };
+}
+
+// Helper to keep only the counters a rollup needs from a daily summary
+function snapshotDailySummary(dailySummary) {
+    const metadata = dailySummary.metadata || {};
+    return {
+        totalEvents: metadata.totalEvents || 0,
+        missingVideoCount: metadata.missingVideoCount || 0,
+        dlqMessageCount: Math.max(metadata.peakDlqMessageCount || 0, metadata.dlqMessageCount || 0),
+        eventCounts: { ...dailySummary.eventCounts },
+        triggerCounts: { ...dailySummary.triggerCounts },
+        deviceCounts: { ...dailySummary.deviceCounts },
+        hourlyCounts: { ...dailySummary.hourlyCounts },
+        lastUpdated: metadata.lastUpdated || null
+    };
+}
+
+// Helper to add one counter map into another
+function addCounts(target, source) {
+    for (const [name, count] of Object.entries(source || {})) {
+        target[name] = (target[name] || 0) + count;
+    }
+}
+
+// Helper to recompute rollup totals from its per-day snapshots
+function recomputeRollupTotals(rollup) {
+    rollup.eventCounts = {};
+    rollup.triggerCounts = {};
+    rollup.deviceCounts = {};
+    rollup.hourlyCounts = {};
+    rollup.metadata.totalEvents = 0;
+    rollup.metadata.missingVideoCount = 0;
+    rollup.metadata.peakDlqMessageCount = 0;
+    rollup.metadata.peakDlqDate = null;
+
+    for (const date of Object.keys(rollup.days).sort()) {
+        const day = rollup.days[date];
+        addCounts(rollup.eventCounts, day.eventCounts);
+        addCounts(rollup.triggerCounts, day.triggerCounts);
+        addCounts(rollup.deviceCounts, day.deviceCounts);
+        addCounts(rollup.hourlyCounts, day.hourlyCounts);
+        rollup.metadata.totalEvents += day.totalEvents;
+        rollup.metadata.missingVideoCount += day.missingVideoCount;
+        if (day.dlqMessageCount > rollup.metadata.peakDlqMessageCount) {
+            rollup.metadata.peakDlqMessageCount = day.dlqMessageCount;
+            rollup.metadata.peakDlqDate = date;
+        }
+    }
+
+    rollup.metadata.daysIncluded = Object.keys(rollup.days).length;
+    rollup.metadata.lastUpdated = new Date().toISOString();
+    return rollup;
+}
+
+// Helper to replace one day's contribution to a rollup
+function applyDailySummaryToRollup(rollup, dailySummary) {
+    rollup.days[dailySummary.metadata.date] = snapshotDailySummary(dailySummary);
+    return recomputeRollupTotals(rollup);
+}
+
+// Update the weekly and monthly rollups after a daily summary has been saved
+async function updateRollupsForDay(dailySummary) {
+    const updated = [];
+    for (const period of getRollupPeriods(dailySummary.metadata.date)) {
+        const key = getRollupKey(period);
+        await updateJsonObject(key, () => createEmptyRollup(period, dailySummary.metadata.timeZone), (rollup) => {
+            applyDailySummaryToRollup(rollup, dailySummary);
+        });
+        logger.success(`Updated ${period.period} rollup: ${key}`);
+        updated.push(key);
+    }
+    return updated;
+}
+
+// Rebuild one rollup from scratch by replaying the daily summary files in its period
+async function rebuildRollup(period, periodKey) {
+    const resolved = getPeriodFromKey(period, periodKey);
+    const key = getRollupKey(resolved);
+
+    const dailySummaries = [];
+    for (const date of getDatesInRange(resolved.startDate, resolved.endDate)) {
+        const existing = await getJsonObject(getSummaryKey(date));
+        if (existing && existing.data.metadata) {
+            dailySummaries.push(existing.data);
+        }
+    }
+
+    const timeZone = dailySummaries.length ? dailySummaries[0].metadata.timeZone : undefined;
+    const rollup = await updateJsonObject(key, () => createEmptyRollup(resolved, timeZone), (rollup) => {
+        rollup.days = {};
+        dailySummaries.forEach(dailySummary => { rollup.days[dailySummary.metadata.date] = snapshotDailySummary(dailySummary); });
+        recomputeRollupTotals(rollup);
+    });
+    logger.success(`Rebuilt ${period} rollup ${key} from ${dailySummaries.length} daily summaries`);
+    return { key, rollup };
+}
+
+// Rebuild every weekly and monthly rollup that overlaps an inclusive date range
+async function rebuildRollupsForRange(startDate, endDate) {
+    const periods = new Map();
+    for (const date of getDatesInRange(startDate, endDate)) {
+        for (const period of getRollupPeriods(date)) {
+            periods.set(getRollupKey(period), period);
+        }
+    }
+
+    const rebuilt = [];
+    for (const period of periods.values()) {
+        rebuilt.push((await rebuildRollup(period.period, period.periodKey)).key);
+    }
+    return rebuilt;
+}
+
+module.exports = {
+    getIsoWeek,
+    getMonth,
+    getPeriodFromKey,
+    getRollupKey,
+    getRollupPeriods,
+    shiftDate,
+    validateDateRange,
+    getDatesInRange,
+    createEmptyRollup,
+    applyDailySummaryToRollup,
+    updateRollupsForDay,
+    rebuildRollup,
+    rebuildRollupsForRange
+};
@@ -0,0 +1,193 @@
+// Versioned schemas for the summary events the backend queues and the daily summary documents this lambda
+// writes, with the migration steps that bring older summary files up to the current version.
+//
+// Schemas are plain field maps checked by validateFields. Optional fields may be missing or null (the backend
+// serialises unset properties as null); unknown fields are allowed so newer writers do not break older readers.
+// Each change to the summary document shape bumps SUMMARY_SCHEMA_VERSION and adds a step to SUMMARY_MIGRATIONS
+// that upgrades a document from the previous version.
+
+const { logger } = require('./logger');
+const { TIME_ZONE, SUMMARY_SCHEMA_VERSION, createEmptySummary } = require('./dailySummary');
+
+const SUMMARY_EVENT_SCHEMA_VERSION = 1;
+// Anything earlier is a seconds timestamp or a default value, and would land in a 1970 folder
+const MIN_EVENT_TIMESTAMP = Date.UTC(2000, 0, 1);
+
+const SUMMARY_EVENT_SCHEMA = {
+    SchemaVersion: { type: 'integer' },
+    EventId: { type: 'string' },
+    Device: { type: 'string' },
+    DeviceName: { type: 'string' },
+    Timestamp: { type: 'timestamp', required: true },
+    AlarmS3Key: { type: 'string' },
+    VideoS3Key: { type: 'string' },
+    PresignedVideoUrl: { type: 'string' },
+    AlarmName: { type: 'string' },
+    EventType: { type: 'string' },
+    TriggerKeys: { type: 'stringArray' },
+    EventPath: { type: 'string' },
+    EventLocalLink: { type: 'string' },
+    Metadata: { type: 'object' }
+};
+
+const SUMMARY_SCHEMA = {
+    schemaVersion: { type: 'integer', required: true },
+    metadata: {
+        type: 'object',
+        required: true,
+        fields: {
+            date: { type: 'string', required: true },
+            timeZone: { type: 'string', required: true },
+            lastUpdated: { type: 'string', required: true },
+            totalEvents: { type: 'integer', required: true },
+            duplicateEventCount: { type: 'integer', required: true },
+            missingVideoCount: { type: 'integer', required: true },
+            corruptVideoCount: { type: 'integer', required: true },
+            dlqMessageCount: { type: 'integer', required: true },
+            peakDlqMessageCount: { type: 'integer', required: true },
+            expiredEventCount: { type: 'integer' }
+        }
+    },
+    eventCounts: { type: 'counts', required: true },
+    deviceCounts: { type: 'counts', required: true },
+    hourlyCounts: { type: 'counts', required: true },
+    triggerCounts: { type: 'counts', required: true },
+    deviceTriggerCounts: { type: 'nestedCounts', required: true },
+    hourlyTriggerCounts: { type: 'nestedCounts', required: true },
+    deviceHourlyCounts: { type: 'nestedCounts', required: true },
+    deviceNames: { type: 'object', required: true },
+    // Only events not yet moved to their hourly shards; a sharded index has none
+    events: { type: 'array' },
+    missingVideoEvents: { type: 'array', required: true },
+    corruptVideoEvents: { type: 'array', required: true },
+    dlqCounts: { type: 'counts', required: true },
+    shards: { type: 'object' },
+    eventIndex: { type: 'object' },
+    retention: { type: 'object' }
+};
+
+// Helper to tell a JSON object apart from arrays and null
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper to check that every value of an object is a number
+function isCounts(value) {
+    return isPlainObject(value) && Object.values(value).every(count => typeof count === 'number' && Number.isFinite(count));
+}
+
+// Helper to describe why a value does not have a field type, or return null when it does
+function checkType(name, value, type) {
+    switch (type) {
+    case 'string':
+        return typeof value === 'string' ? null : `${name} must be a string`;
+    case 'integer':
+        return Number.isInteger(value) ? null : `${name} must be an integer`;
+    case 'timestamp':
+        if (!Number.isInteger(value)) return `${name} must be epoch milliseconds, got ${JSON.stringify(value)}`;
+        return value >= MIN_EVENT_TIMESTAMP ? null : `${name} ${value} is before 2000-01-01; expected epoch milliseconds`;
+    case 'stringArray':
+        return Array.isArray(value) && value.every(item => typeof item === 'string') ? null : `${name} must be an array of strings`;
+    case 'array':
+        return Array.isArray(value) ? null : `${name} must be an array`;
+    case 'object':
+        return isPlainObject(value) ? null : `${name} must be an object`;
+    case 'counts':
+        return isCounts(value) ? null : `${name} must map names to numbers`;
+    case 'nestedCounts':
+        return isPlainObject(value) && Object.values(value).every(isCounts) ? null : `${name} must map names to counters`;
+    default:
+        return `${name} has unknown schema type ${type}`;
+    }
+}
+
+// Validate an object against a field map, returning every problem found (an empty list when it is valid)
+function validateFields(value, fields, path = '') {
+    if (!isPlainObject(value)) {
+        return [`${path || 'Document'} must be a JSON object`];
+    }
+    const errors = [];
+    for (const [name, field] of Object.entries(fields)) {
+        const fieldPath = `${path}${name}`;
+        if (value[name] === undefined || value[name] === null) {
+            if (field.required) errors.push(`${fieldPath} is required`);
+            continue;
+        }
+        const error = checkType(fieldPath, value[name], field.type);
+        if (error) {
+            errors.push(error);
+        } else if (field.fields) {
+            errors.push(...validateFields(value[name], field.fields, `${fieldPath}.`));
+        }
+    }
+    return errors;
+}
+
+// Validate an incoming summary event. Returns { valid, errors }; the errors are the rejection reasons.
+function validateSummaryEvent(summaryEvent) {
+    const errors = validateFields(summaryEvent, SUMMARY_EVENT_SCHEMA);
+    if (errors.length === 0 && summaryEvent.SchemaVersion > SUMMARY_EVENT_SCHEMA_VERSION) {
+        errors.push(`SchemaVersion ${summaryEvent.SchemaVersion} is newer than the supported version ${SUMMARY_EVENT_SCHEMA_VERSION}`);
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+// Validate a daily summary document against the current schema. Returns { valid, errors }.
+function validateSummary(summaryData) {
+    const errors = validateFields(summaryData, SUMMARY_SCHEMA);
+    return { valid: errors.length === 0, errors };
+}
+
+// Helper to set any fields a document is missing to their defaults
+function fillMissing(target, defaults) {
+    for (const [name, value] of Object.entries(defaults)) {
+        if (target[name] === undefined || target[name] === null) {
+            target[name] = JSON.parse(JSON.stringify(value));
+        }
+    }
+}
+
+// Upgrade steps, in order; each takes a document from the previous version to `version`
+const SUMMARY_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in the metadata, counters and lists that summary files written before versioning may lack',
+        migrate(summaryData, { year, month, day }) {
+            const { metadata, ...empty } = createEmptySummary(year, month, day);
+            if (!isPlainObject(summaryData.metadata)) {
+                summaryData.metadata = {};
+            }
+            fillMissing(summaryData.metadata, { ...metadata, timeZone: TIME_ZONE });
+            fillMissing(summaryData, empty);
+        }
+    }
+];
+
+// Bring a summary document read from storage up to the current schema version, stamping the version it now has.
+// Throws when the document still does not match the schema, rather than writing a broken summary back.
+function migrateSummary(summaryData, { year, month, day }) {
+    const fromVersion = Number.isInteger(summaryData.schemaVersion) ? summaryData.schemaVersion : 0;
+    if (fromVersion > SUMMARY_SCHEMA_VERSION) {
+        logger.warn(`Summary for ${year}-${month}-${day} has schema version ${fromVersion}, newer than ${SUMMARY_SCHEMA_VERSION}; leaving its version as is`);
+    }
+
+    for (const step of SUMMARY_MIGRATIONS.filter(migration => migration.version > fromVersion)) {
+        step.migrate(summaryData, { year, month, day });
+        summaryData.schemaVersion = step.version;
+        logger.info(`Migrated summary for ${year}-${month}-${day} to schema version ${step.version}: ${step.description}`);
+    }
+
+    const { valid, errors } = validateSummary(summaryData);
+    if (!valid) {
+        throw new Error(`Summary for ${year}-${month}-${day} does not match schema version ${SUMMARY_SCHEMA_VERSION}: ${errors.join('; ')}`);
+    }
+    return summaryData;
+}
+
+module.exports = {
+    SUMMARY_EVENT_SCHEMA_VERSION,
+    SUMMARY_MIGRATIONS,
+    validateSummaryEvent,
+    validateSummary,
+    migrateSummary
+};
@@ -0,0 +1,107 @@
+// Storage usage of a day's folder: bytes and object counts per camera and per file type, from the listing
+// the missing video scan already makes.
+//
+// Event objects are counted as `video` or `json` and attributed to their camera (the camera folder, or the
+// device in the key mapped to its name through the day's events); anything else in the folder, such as the
+// summary files themselves, is counted as `other`. Growth is measured against the previous day's summary,
+// read once per day and kept under `storageUsage.previousDay`. The projected monthly cost is what keeping
+// this day's volume would cost at SUMMARY_STORAGE_COST_PER_GB_MONTH (0.023, S3 Standard) once storage levels off:
+// the lifecycle rule deletes objects after SUMMARY_RETENTION_DAYS, so the bucket holds that many days of data.
+// Without a retention window storage never levels off, and the 30-day figure is only the first month's growth.
+
+const { parseEventObjectKey } = require('./eventKeys');
+const { getJsonObject } = require('./summaryStore');
+const { getSummaryKey } = require('./summaryShards');
+const { shiftDate } = require('./rollups');
+const { RETENTION_DAYS } = require('./retention');
+
+const COST_PER_GB_MONTH = parseFloat(process.env.SUMMARY_STORAGE_COST_PER_GB_MONTH || '0.023');
+const BYTES_PER_GB = 1024 ** 3;
+const DAYS_PER_MONTH = 30;
+
+// Helper to build an empty byte/object counter
+function emptyUsage() {
+    return { bytes: 0, objectCount: 0 };
+}
+
+// Helper to add one object's size to a counter
+function addObject(usage, size) {
+    usage.bytes += size;
+    usage.objectCount++;
+}
+
+// Total the listed objects per file type and per camera.
+// deviceNames maps the device IDs used in object keys to camera names.
+function summarizeStorageUsage(objects, deviceNames = {}) {
+    const usage = { ...emptyUsage(), byType: { video: emptyUsage(), json: emptyUsage(), other: emptyUsage() }, cameras: {} };
+
+    for (const object of objects) {
+        const size = Number(object.Size) || 0;
+        const parsed = parseEventObjectKey(object.Key);
+        addObject(usage, size);
+        if (!parsed) {
+            addObject(usage.byType.other, size);
+            continue;
+        }
+
+        const type = parsed.kind === 'video' ? 'video' : 'json';
+        const camera = parsed.camera || deviceNames[parsed.device] || parsed.device || 'Unknown';
+        if (!usage.cameras[camera]) {
+            usage.cameras[camera] = { ...emptyUsage(), video: emptyUsage(), json: emptyUsage() };
+        }
+        addObject(usage.byType[type], size);
+        addObject(usage.cameras[camera], size);
+        addObject(usage.cameras[camera][type], size);
+    }
+    return usage;
+}
+
+// Helper to round a cost to the cent
+function roundCost(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Refresh a summary's storage usage from the missing video scan of its date folder
+async function updateStorageUsage(summaryData, missingVideoScan, { date = summaryData.metadata.date, retentionDays = RETENTION_DAYS } = {}) {
+    const usage = summarizeStorageUsage(missingVideoScan.objects || [], summaryData.deviceNames);
+    const complete = !(missingVideoScan.warnings || []).some(warning => warning.prefix === `${date}/`);
+
+    // The previous day rarely changes once it is over, so its totals are read once per day
+    const previousDate = shiftDate(date, -1);
+    let previousDay = summaryData.storageUsage?.previousDay;
+    if (!previousDay || previousDay.date !== previousDate) {
+        const previous = await getJsonObject(getSummaryKey(previousDate));
+        const previousUsage = previous?.data.storageUsage;
+        previousDay = previousUsage
+            ? { date: previousDate, bytes: previousUsage.bytes, objectCount: previousUsage.objectCount }
+            : { date: previousDate, bytes: null, objectCount: null };
+    }
+
+    const growthBytes = previousDay.bytes === null ? null : usage.bytes - previousDay.bytes;
+    const steadyState = retentionDays > 0;
+    const retainedDays = steadyState ? retentionDays : DAYS_PER_MONTH;
+    summaryData.storageUsage = {
+        ...usage,
+        complete,
+        previousDay,
+        growth: {
+            bytes: growthBytes,
+            percent: growthBytes === null || previousDay.bytes === 0 ? null : Math.round(growthBytes / previousDay.bytes * 1000) / 10
+        },
+        projection: {
+            costPerGbMonth: COST_PER_GB_MONTH,
+            retainedDays,
+            steadyState,
+            monthlyBytes: usage.bytes * retainedDays,
+            monthlyCost: roundCost(usage.bytes * retainedDays / BYTES_PER_GB * COST_PER_GB_MONTH)
+        },
+        calculatedAt: new Date().toISOString()
+    };
+    summaryData.metadata.storageBytes = usage.bytes;
+    return summaryData;
+}
+
+module.exports = {
+    summarizeStorageUsage,
+    updateStorageUsage
+};
@@ -0,0 +1,129 @@
+// Hourly event shards for the daily summary.
+//
+// The daily summary file (summary_YYYY-MM-DD.json) is a small index of counters and metadata. The full
+// event records live in one shard per local hour next to it, summary_YYYY-MM-DD_events_HH.json (or
+// .json.gz when SUMMARY_SHARD_COMPRESSION=gzip), so adding an event only rewrites that hour's shard.
+// The index maps each EventId to its shard hour for duplicate detection.
+
+const { logger } = require('./logger');
+const { getZonedHour } = require('./timeZone');
+const { getJsonObject, updateJsonObject, listAllObjects } = require('./summaryStore');
+const { TIME_ZONE } = require('./dailySummary');
+
+const SHARD_COMPRESSION = (process.env.SUMMARY_SHARD_COMPRESSION || 'none').toLowerCase();
+const SHARD_KEY_PATTERN = /_events_(\d{2}|untimed)\.json(\.gz)?$/;
+// Shard for events whose timestamp cannot be placed in an hour
+const UNTIMED_SHARD = 'untimed';
+
+// Helper to build the S3 key of a daily summary index
+function getSummaryKey(date) {
+    return `${date}/summary_${date}.json`;
+}
+
+// Helper to build the S3 key of one hour's event shard
+function getShardKey(date, hour, compression = SHARD_COMPRESSION) {
+    return `${date}/summary_${date}_events_${hour}.json${compression === 'gzip' ? '.gz' : ''}`;
+}
+
+// Helper to get the two-digit local hour an event is sharded under
+function getShardHour(summaryEvent) {
+    if (!Number.isFinite(new Date(summaryEvent.Timestamp).getTime())) {
+        return UNTIMED_SHARD;
+    }
+    return String(getZonedHour(summaryEvent.Timestamp, TIME_ZONE)).padStart(2, '0');
+}
+
+// Helper to identify an event within a shard; events without an EventId fall back to device and time
+function getEventIdentity(summaryEvent) {
+    return summaryEvent.EventId || `${summaryEvent.DeviceName || summaryEvent.Device || ''}|${summaryEvent.Timestamp}`;
+}
+
+// Helper to build an empty shard document
+function createEmptyShard(date, hour) {
+    return { date, hour, lastUpdated: new Date().toISOString(), events: [] };
+}
+
+// Move the events held in summaryData.events out to their hourly shards and record them in the index.
+// Shard writes are idempotent, so this is safe to repeat when the index write has to be retried.
+// With replace, each touched shard is rewritten with exactly these events instead of appended to.
+// Returns a Map of each shard hour written to that shard's full event list.
+async function moveEventsToShards(summaryData, { date = summaryData.metadata.date, replace = false } = {}) {
+    const shardEvents = new Map();
+    if (replace || !summaryData.shards) summaryData.shards = {};
+    if (replace || !summaryData.eventIndex) summaryData.eventIndex = {};
+
+    const eventsByHour = new Map();
+    for (const summaryEvent of summaryData.events || []) {
+        const hour = getShardHour(summaryEvent);
+        if (!eventsByHour.has(hour)) eventsByHour.set(hour, []);
+        eventsByHour.get(hour).push(summaryEvent);
+    }
+
+    for (const [hour, events] of [...eventsByHour.entries()].sort()) {
+        const key = summaryData.shards[hour]?.key || getShardKey(date, hour);
+        const shard = await updateJsonObject(key, () => createEmptyShard(date, hour), (shard) => {
+            if (replace) shard.events = [];
+            const stored = new Set(shard.events.map(getEventIdentity));
+            for (const summaryEvent of events) {
+                if (!stored.has(getEventIdentity(summaryEvent))) {
+                    shard.events.push(summaryEvent);
+                    stored.add(getEventIdentity(summaryEvent));
+                }
+            }
+            shard.lastUpdated = new Date().toISOString();
+        });
+
+        summaryData.shards[hour] = { key, eventCount: shard.events.length, lastUpdated: shard.lastUpdated };
+        shardEvents.set(hour, shard.events);
+        events.forEach(summaryEvent => {
+            if (summaryEvent.EventId) summaryData.eventIndex[summaryEvent.EventId] = hour;
+        });
+    }
+
+    delete summaryData.events;
+    return shardEvents;
+}
+
+// Helper to list shard keys for a date straight from storage, for indexes that are missing or unreadable
+async function listShardKeys(date) {
+    const { objects } = await listAllObjects(`${date}/summary_${date}_events_`);
+    return objects.map(obj => obj.Key).filter(key => SHARD_KEY_PATTERN.test(key));
+}
+
+// Load every event for a day from the shards an index references, plus any not yet moved out of it.
+// Pass shardKeys to read shards that are not referenced by an index.
+async function loadDayEvents(summaryData, shardKeys) {
+    const events = [...(summaryData?.events || [])];
+    const keys = shardKeys || Object.keys(summaryData?.shards || {}).sort().map(hour => summaryData.shards[hour].key);
+
+    for (const key of keys) {
+        const shard = await getJsonObject(key);
+        if (shard) {
+            events.push(...shard.data.events);
+        } else {
+            logger.warn(`Event shard ${key} referenced by the summary index was not found`);
+        }
+    }
+    return events.sort((a, b) => (a.Timestamp || 0) - (b.Timestamp || 0));
+}
+
+// Reassemble a full day in the single-file shape (index fields plus every event) for consumers.
+// Returns null when no summary exists for the date.
+async function readDailySummary(date) {
+    const index = await getJsonObject(getSummaryKey(date));
+    if (!index) {
+        return null;
+    }
+    const { eventIndex, ...summaryData } = index.data;
+    summaryData.events = await loadDayEvents(index.data);
+    return summaryData;
+}
+
+module.exports = {
+    getSummaryKey,
+    getShardKey,
+    moveEventsToShards,
+    listShardKeys,
+    loadDayEvents,
+    readDailySummary
+};
@@ -0,0 +1,119 @@
+// Summary document access on top of the configured storage backend:
+// JSON reads, ETag-guarded writes and paginated listings.
+
+const { logger } = require('./logger');
+const zlib = require('zlib');
+const { getStorage } = require('./backends');
+
+const WRITE_MAX_ATTEMPTS = parseInt(process.env.SUMMARY_WRITE_MAX_ATTEMPTS || '5', 10);
+const WRITE_RETRY_BASE_MS = parseInt(process.env.SUMMARY_WRITE_RETRY_BASE_MS || '50', 10);
+const LIST_MAX_OBJECTS = parseInt(process.env.MISSING_VIDEO_SCAN_MAX_OBJECTS || '20000', 10);
+
+// Helper to wait between conditional write attempts
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Helper to tell whether a key holds gzip-compressed JSON
+function isGzipKey(key) {
+    return key.endsWith('.gz');
+}
+
+// Helper to read an object's text along with its ETag, decompressing .gz keys.
+// Returns null when the object does not exist.
+async function getObjectText(key) {
+    const existing = await getStorage().getObject(key);
+    if (!existing) {
+        logger.info(`No existing file found for ${key}, will create new.`);
+        return null;
+    }
+    logger.info(`Loaded existing file: ${key}`);
+    const body = isGzipKey(key) ? zlib.gunzipSync(existing.body) : existing.body;
+    return { body: body.toString('utf-8'), etag: existing.etag };
+}
+
+// Helper to read a JSON object along with the ETag needed for a conditional write.
+// Returns null when the object does not exist.
+async function getJsonObject(key) {
+    const existing = await getObjectText(key);
+    return existing ? { data: JSON.parse(existing.body), etag: existing.etag } : null;
+}
+
+// Helper to write a JSON object only if nobody else has written it since it was read.
+// Existing objects must still match the ETag we read; new objects must still not exist.
+// Keys ending in .gz are stored gzip-compressed.
+async function putJsonObject(key, data, etag) {
+    const compressed = isGzipKey(key);
+    const options = { contentType: compressed ? 'application/gzip' : 'application/json' };
+    if (etag) {
+        options.ifMatch = etag;
+    } else {
+        options.ifNoneMatch = '*';
+    }
+    const body = compressed ? zlib.gzipSync(JSON.stringify(data)) : JSON.stringify(data, null, 2);
+    await getStorage().putObject(key, body, options);
+}
+
+// Helper to recognise the store rejecting a conditional write because the object changed underneath us
+function isWriteConflict(err) {
+    const status = err.$metadata?.httpStatusCode;
+    return err.name === 'PreconditionFailed' || err.Code === 'PreconditionFailed' ||
+        err.name === 'ConditionalRequestConflict' || err.Code === 'ConditionalRequestConflict' ||
+        status === 412 || status === 409;
+}
+
+// Helper to run a read-modify-write cycle on a JSON object guarded by ETag preconditions.
+// `mutate` is re-applied to a fresh read whenever another writer updated the object first.
+async function updateJsonObject(key, createEmpty, mutate) {
+    for (let attempt = 1; ; attempt++) {
+        const existing = await getJsonObject(key);
+        const data = existing ? existing.data : createEmpty();
+        await mutate(data);
+
+        try {
+            await putJsonObject(key, data, existing ? existing.etag : null);
+            return data;
+        } catch (err) {
+            if (isWriteConflict(err) && attempt < WRITE_MAX_ATTEMPTS) {
+                const delay = WRITE_RETRY_BASE_MS * Math.pow(2, attempt - 1) * (1 + Math.random());
+                logger.warn(`${key} changed during update (attempt ${attempt}/${WRITE_MAX_ATTEMPTS}), retrying in ${Math.round(delay)}ms`);
+                await sleep(delay);
+                continue;
+            }
+            err.attempts = attempt;
+            throw err;
+        }
+    }
+}
+
+// Helper to list every object under a prefix, following continuation tokens until the safety cap.
+// Reports truncated: true when the cap stopped the listing before the store ran out of keys.
+async function listAllObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+    let pages = 0;
+
+    do {
+        const response = await getStorage().listObjects(prefix, { maxKeys: 1000, continuationToken });
+        objects.push(...response.objects);
+        pages++;
+        continuationToken = response.isTruncated ? response.nextContinuationToken : undefined;
+
+        if (continuationToken && objects.length >= LIST_MAX_OBJECTS) {
+            logger.warn(`Stopped listing ${prefix} after ${objects.length} objects (${pages} pages), cap is ${LIST_MAX_OBJECTS}`);
+            return { objects, truncated: true };
+        }
+    } while (continuationToken);
+
+    return { objects, truncated: false };
+}
+
+module.exports = {
+    LIST_MAX_OBJECTS,
+    getObjectText,
+    getJsonObject,
+    putJsonObject,
+    isWriteConflict,
+    updateJsonObject,
+    listAllObjects
+};
@@ -0,0 +1,131 @@
+// Time zone helpers used to bucket events into local calendar days.
+// All conversions go through Intl so DST transitions follow the IANA tz database.
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatterCache = {};
+
+// Helper to get a cached formatter that renders every calendar field for a zone
+function getFormatter(timeZone) {
+    if (!formatterCache[timeZone]) {
+        formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatterCache[timeZone];
+}
+
+// Helper to validate an IANA time zone name, throwing a descriptive error if unknown
+function resolveTimeZone(timeZone) {
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    try {
+        getFormatter(zone);
+    } catch (err) {
+        throw new Error(`Invalid time zone: ${zone}`);
+    }
+    return zone;
+}
+
+// Helper to split a timestamp into wall-clock fields for the given zone
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return parts;
+}
+
+// Helper to get the zone's UTC offset (in ms) at a given instant
+function getZoneOffsetMs(timestamp, timeZone) {
+    const p = getZonedParts(timestamp, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - (Math.floor(timestamp / 1000) * 1000);
+}
+
+// Helper to get the local calendar date for a timestamp in the given zone
+function getZonedDateString(timestamp, timeZone) {
+    const p = getZonedParts(timestamp, timeZone);
+    const year = p.year;
+    const month = String(p.month).padStart(2, '0');
+    const day = String(p.day).padStart(2, '0');
+    return { year, month, day, folder: `${year}-${month}-${day}` };
+}
+
+// Helper to get the local hour (0-23) for a timestamp in the given zone
+function getZonedHour(timestamp, timeZone) {
+    return getZonedParts(timestamp, timeZone).hour;
+}
+
+// Helper to format a timestamp as ISO-8601 local time with the zone's UTC offset (2025-09-09T10:00:00-04:00)
+function formatZonedTimestamp(timestamp, timeZone) {
+    const p = getZonedParts(timestamp, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    const offsetMinutes = Math.round(getZoneOffsetMs(timestamp, timeZone) / 60000);
+    const offset = `${offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`;
+}
+
+// Helper to find the first UTC instant of a local calendar day
+function getZonedMidnightUtc(year, month, day, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day);
+    const target = new Date(wallClock).toISOString().split('T')[0];
+
+    let utc = wallClock - getZoneOffsetMs(wallClock, timeZone);
+    utc = wallClock - getZoneOffsetMs(utc, timeZone);
+
+    // Zones whose DST gap swallows midnight start the day at the transition instead
+    if (getZonedDateString(utc, timeZone).folder !== target) {
+        utc = wallClock - getZoneOffsetMs(utc, timeZone);
+    }
+    return utc;
+}
+
+// Helper to get the [start, end) UTC range covered by a local date folder (YYYY-MM-DD)
+function getZonedDayBounds(dateFolder, timeZone) {
+    const [year, month, day] = dateFolder.split('-').map(Number);
+    const start = getZonedMidnightUtc(year, month, day, timeZone);
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    const end = getZonedMidnightUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), timeZone);
+    return { start, end };
+}
+
+// Helper to list the UTC date folders that can hold objects for a local date
+function getUtcDateFolders(dateFolder, timeZone) {
+    const { start, end } = getZonedDayBounds(dateFolder, timeZone);
+    const utcFolders = [];
+
+    let cursor = Date.UTC(new Date(start).getUTCFullYear(), new Date(start).getUTCMonth(), new Date(start).getUTCDate());
+    while (cursor < end) {
+        utcFolders.push(new Date(cursor).toISOString().split('T')[0]);
+        cursor += DAY_MS;
+    }
+
+    return utcFolders;
+}
+
+// Helper to check if a UTC timestamp falls within a local date
+function isUtcTimestampInZonedDate(utcTimestamp, dateFolder, timeZone) {
+    return getZonedDateString(utcTimestamp, timeZone).folder === dateFolder;
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    resolveTimeZone,
+    getZonedDateString,
+    getZonedHour,
+    getZoneOffsetMs,
+    formatZonedTimestamp,
+    getZonedDayBounds,
+    getUtcDateFolders,
+    isUtcTimestampInZonedDate
+};
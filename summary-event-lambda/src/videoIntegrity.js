@@ -0,0 +1,147 @@
+// Integrity check for stored videos: a video object can exist yet be empty or cut off when a download from
+// the Protect console was interrupted, and the missing video check counts it as present.
+//
+// Each .mp4/.mov object is flagged as
+//   zeroBytes:   the object is empty
+//   tooSmall:    smaller than SUMMARY_VIDEO_MIN_BYTES (1024)
+//   missingFtyp: the file does not start with an MP4 `ftyp` box
+//   truncated:   a top-level box runs past the end of the object (usually `mdat`, when the download stopped)
+//   missingMoov: the top-level boxes end without a `moov` box, so players cannot read the video
+// Only box headers are read, with ranged reads. Results are kept in the summary under `videoChecks`, keyed by
+// object key and size, so a video is only read again when it changes.
+
+const { logger } = require('./logger');
+const { getStorage } = require('./backends');
+const { groupEventObjects } = require('./eventKeys');
+const { isUtcTimestampInZonedDate } = require('./timeZone');
+const { TIME_ZONE } = require('./dailySummary');
+
+const MIN_VIDEO_BYTES = parseInt(process.env.SUMMARY_VIDEO_MIN_BYTES || '1024', 10);
+const HEADER_READ_BYTES = 64 * 1024;
+const MAX_TOP_LEVEL_BOXES = 32;
+
+// Walk the top-level MP4 boxes of a stored video. Returns { ok: true } when it looks whole, { ok: false, reason, detail }
+// when it does not, or null when the object is gone by the time it is read.
+async function inspectVideoObject(key, size) {
+    if (size === 0) {
+        return { ok: false, reason: 'zeroBytes', detail: 'Video object is empty' };
+    }
+    if (size < MIN_VIDEO_BYTES) {
+        return { ok: false, reason: 'tooSmall', detail: `Video object is ${size} bytes (minimum ${MIN_VIDEO_BYTES})` };
+    }
+
+    // Box headers are read from a buffered window, refilled from the next header when it runs out
+    let window = Buffer.alloc(0);
+    let windowStart = 0;
+    for (let offset = 0, boxes = 0; offset < size && boxes < MAX_TOP_LEVEL_BOXES; boxes++) {
+        const headerBytes = Math.min(16, size - offset);
+        if (offset < windowStart || offset + headerBytes > windowStart + window.length) {
+            const read = await getStorage().getObjectRange(key, offset, Math.min(offset + HEADER_READ_BYTES, size) - 1);
+            if (read === null) {
+                return null;
+            }
+            window = read;
+            windowStart = offset;
+        }
+        const header = window.subarray(offset - windowStart, offset - windowStart + headerBytes);
+        if (header.length < 8) {
+            return { ok: false, reason: 'truncated', detail: `Box header at byte ${offset} runs past the end of the object` };
+        }
+
+        const type = header.toString('latin1', 4, 8);
+        let boxSize = header.readUInt32BE(0);
+        if (boxSize === 1 && header.length >= 16) {
+            boxSize = Number(header.readBigUInt64BE(8));
+        } else if (boxSize === 0) {
+            boxSize = size - offset;
+        }
+
+        if (boxes === 0 && type !== 'ftyp') {
+            return { ok: false, reason: 'missingFtyp', detail: `Video starts with "${type}" instead of an ftyp box` };
+        }
+        if (boxSize < 8) {
+            return { ok: false, reason: 'truncated', detail: `Invalid ${type} box size ${boxSize} at byte ${offset}` };
+        }
+        if (offset + boxSize > size) {
+            return { ok: false, reason: 'truncated', detail: `${type} box at byte ${offset} needs ${boxSize} bytes but only ${size - offset} are stored` };
+        }
+        if (type === 'moov') {
+            return { ok: true };
+        }
+        offset += boxSize;
+    }
+    return { ok: false, reason: 'missingMoov', detail: 'No moov box found among the top-level boxes' };
+}
+
+// Helper to describe an event whose video failed the integrity check
+function toCorruptVideoEvent(group, problem) {
+    const { parsed, metadata, video } = group;
+    return {
+        eventId: parsed.eventId,
+        device: parsed.device,
+        timestamp: parsed.timestamp,
+        prefixKey: parsed.stem,
+        videoFile: video.Key,
+        jsonFile: metadata ? metadata.Key : null,
+        lastModified: video.LastModified,
+        size: Number(video.Size) || 0,
+        layout: parsed.layout,
+        ...problem
+    };
+}
+
+// Check every video of the summary's local date and refresh its corruptVideoEvents. `objects` are the listings of
+// the UTC date folders the day spans, so only events whose timestamp falls on `date` in the configured zone count.
+// `checked` carries results between attempts of the same invocation so a write conflict does not re-read videos.
+async function updateCorruptVideoEvents(summaryData, objects, { date = summaryData.metadata.date, checked = new Map() } = {}) {
+    const previousChecks = summaryData.videoChecks || {};
+    const videoChecks = {};
+    const corruptVideoEvents = [];
+    let inspected = 0;
+
+    for (const group of groupEventObjects(objects).values()) {
+        if (!group.video || !isUtcTimestampInZonedDate(group.parsed.timestamp, date, TIME_ZONE)) continue;
+        const key = group.video.Key;
+        const size = Number(group.video.Size) || 0;
+
+        let check = checked.get(key);
+        if (!check || check.size !== size) {
+            check = previousChecks[key];
+        }
+        if (!check || check.size !== size) {
+            let result;
+            try {
+                result = await inspectVideoObject(key, size);
+            } catch (error) {
+                logger.error(`Failed to check video integrity for ${key}:`, error);
+                continue;
+            }
+            if (!result) {
+                logger.warn(`Video ${key} was listed but no longer exists, skipping integrity check`);
+                continue;
+            }
+            const { ok, ...problem } = result;
+            check = { size, checkedAt: new Date().toISOString(), ...(ok ? {} : problem) };
+            checked.set(key, check);
+            inspected++;
+        }
+
+        videoChecks[key] = check;
+        if (check.reason) {
+            corruptVideoEvents.push(toCorruptVideoEvent(group, { reason: check.reason, detail: check.detail }));
+        }
+    }
+
+    logger.info(`Checked ${inspected} new or changed videos, ${corruptVideoEvents.length} corrupt`, {
+        reasons: corruptVideoEvents.reduce((counts, event) => ({ ...counts, [event.reason]: (counts[event.reason] || 0) + 1 }), {})
+    });
+    summaryData.videoChecks = videoChecks;
+    summaryData.corruptVideoEvents = corruptVideoEvents;
+    summaryData.metadata.corruptVideoCount = corruptVideoEvents.length;
+    return summaryData;
+}
+
+module.exports = {
+    inspectVideoObject,
+    updateCorruptVideoEvents
+};
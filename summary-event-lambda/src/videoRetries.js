@@ -0,0 +1,141 @@
+// Automatic re-submission of events whose video never arrived.
+//
+// Once an event's JSON has been without a video for the grace period it is sent back to the alarm processing
+// queue so the backend downloads the video again. Attempts back off exponentially (base delay doubled per
+// attempt) up to a maximum; an event still missing a video one backoff interval after its last attempt is
+// flagged as permanently missing and left alone. Retry state lives in the daily summary under videoRetries,
+// keyed by the event's JSON object key, and is copied onto the matching missingVideoEvents entries.
+
+const { logger } = require('./logger');
+const { getQueue } = require('./backends');
+const { getJsonObject } = require('./summaryStore');
+
+const ALARM_PROCESSING_QUEUE_URL = process.env.AlarmProcessingQueueUrl || '';
+const MINUTE_MS = 60 * 1000;
+const RETRY_GRACE_MS = parseFloat(process.env.MISSING_VIDEO_RETRY_GRACE_MINUTES || '30') * MINUTE_MS;
+const RETRY_BASE_DELAY_MS = parseFloat(process.env.MISSING_VIDEO_RETRY_BASE_MINUTES || '15') * MINUTE_MS;
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.MISSING_VIDEO_RETRY_MAX_ATTEMPTS || '3', 10);
+
+// Helper to get how long to wait after an attempt before the next one (or before giving up)
+function getRetryDelayMs(attempts) {
+    return RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+}
+
+// Helper to decide what to do with a missing video event: 'wait', 'retry' or 'exhausted'
+function planVideoRetry(missing, state, now) {
+    if (state?.permanentlyMissing) {
+        return 'exhausted';
+    }
+    const eventTime = Number(missing.timestamp);
+    if (!Number.isFinite(eventTime) || now - eventTime < RETRY_GRACE_MS) {
+        return 'wait';
+    }
+    const attempts = state?.attempts || 0;
+    if (attempts > 0 && now - Date.parse(state.lastAttemptAt) < getRetryDelayMs(attempts)) {
+        return 'wait';
+    }
+    return attempts >= RETRY_MAX_ATTEMPTS ? 'exhausted' : 'retry';
+}
+
+// Helper to send one event's stored alarm JSON back to the alarm processing queue.
+// The attempt number goes in MissingVideoRetryCount; RetryAttempt keeps the backend's meaning (the ISO time of the attempt).
+async function sendVideoRetry(missing, attempt, now) {
+    try {
+        const stored = await getJsonObject(missing.jsonFile);
+        if (!stored) {
+            return { outcome: 'failed', error: 'Event JSON not found' };
+        }
+        const messageId = await getQueue().sendMessage(ALARM_PROCESSING_QUEUE_URL, JSON.stringify(stored.data), {
+            EventId: String(missing.eventId),
+            Device: String(missing.device),
+            Timestamp: String(missing.timestamp),
+            RetryReason: 'MissingVideo',
+            RetryAttempt: new Date(now).toISOString(),
+            MissingVideoRetryCount: String(attempt)
+        });
+        logger.info(`Re-enqueued ${missing.jsonFile} for video download (attempt ${attempt}/${RETRY_MAX_ATTEMPTS})`);
+        return { outcome: 'queued', messageId };
+    } catch (err) {
+        logger.error(`Failed to re-enqueue ${missing.jsonFile} for video download:`, err);
+        return { outcome: 'failed', error: err.message };
+    }
+}
+
+// Re-enqueue the due missing video events of a summary and record each attempt in summaryData.videoRetries.
+// `sent` carries the attempts made by this invocation across summary write retries, so a conflict
+// re-applies them instead of sending the same events again.
+async function retryMissingVideos(summaryData, { now = Date.now(), sent = new Map() } = {}) {
+    if (!ALARM_PROCESSING_QUEUE_URL) {
+        return summaryData;
+    }
+    const retries = summaryData.videoRetries || {};
+    const missingFiles = new Set();
+
+    for (const missing of summaryData.missingVideoEvents) {
+        missingFiles.add(missing.jsonFile);
+        const state = retries[missing.jsonFile];
+        if (sent.has(missing.jsonFile)) {
+            retries[missing.jsonFile] = sent.get(missing.jsonFile);
+            continue;
+        }
+
+        const plan = planVideoRetry(missing, state, now);
+        if (plan === 'exhausted' && !state?.permanentlyMissing) {
+            logger.warn(`Video for ${missing.jsonFile} still missing after ${state?.attempts || 0} retries, flagging as permanently missing`);
+            retries[missing.jsonFile] = { attempts: 0, ...state, permanentlyMissing: true, nextAttemptAt: null };
+        } else if (plan === 'retry') {
+            const attempts = (state?.attempts || 0) + 1;
+            const { outcome, messageId, error } = await sendVideoRetry(missing, attempts, now);
+            const lastAttemptAt = new Date(now).toISOString();
+            retries[missing.jsonFile] = {
+                eventId: missing.eventId,
+                device: missing.device,
+                attempts,
+                lastAttemptAt,
+                lastOutcome: outcome,
+                ...(messageId ? { lastMessageId: messageId } : {}),
+                ...(error ? { lastError: error } : {}),
+                nextAttemptAt: new Date(now + getRetryDelayMs(attempts)).toISOString(),
+                permanentlyMissing: false
+            };
+            sent.set(missing.jsonFile, retries[missing.jsonFile]);
+        }
+    }
+
+    // A video that shows up after a retry is recorded as recovered; the entry stays as a history of the attempts
+    for (const [jsonFile, state] of Object.entries(retries)) {
+        if (!missingFiles.has(jsonFile) && !state.recoveredAt) {
+            retries[jsonFile] = { ...state, recoveredAt: new Date(now).toISOString(), nextAttemptAt: null, permanentlyMissing: false };
+        }
+    }
+
+    summaryData.videoRetries = retries;
+    annotateMissingVideoEvents(summaryData);
+    return summaryData;
+}
+
+// Helper to copy the retry state onto the summary's missing video events and count the permanent ones
+function annotateMissingVideoEvents(summaryData) {
+    const retries = summaryData.videoRetries || {};
+    for (const missing of summaryData.missingVideoEvents) {
+        const state = retries[missing.jsonFile];
+        if (state) {
+            missing.retry = {
+                attempts: state.attempts,
+                lastAttemptAt: state.lastAttemptAt,
+                lastOutcome: state.lastOutcome,
+                nextAttemptAt: state.nextAttemptAt
+            };
+            missing.permanentlyMissing = state.permanentlyMissing === true;
+        }
+    }
+    summaryData.metadata.permanentlyMissingVideoCount = summaryData.missingVideoEvents.filter(missing => missing.permanentlyMissing).length;
+    return summaryData;
+}
+
+module.exports = {
+    getRetryDelayMs,
+    planVideoRetry,
+    retryMissingVideos,
+    annotateMissingVideoEvents
+};
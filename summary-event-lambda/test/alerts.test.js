@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.AlarmProcessingDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing-dlq';
+process.env.SummaryEventDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event-dlq';
+process.env.SUMMARY_ALERT_RULES = JSON.stringify([
+    { type: 'missingVideos', threshold: 2 },
+    { type: 'dlqMessages' },
+    { id: 'quiet-camera', type: 'cameraSilent', hours: 6, cameras: ['Garage'] }
+]);
+
+const { setBackends, resetBackends } = require('../src/backends');
+const { createFileStorage } = require('../src/backends/fileStorage');
+const { createFileQueue } = require('../src/backends/fileQueue');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2025-09-09T18:00:00Z');
+
+// Summary for a day with the given number of missing videos
+function summaryWithMissing(count) {
+    return { metadata: { date: '2025-09-09', missingVideoCount: count } };
+}
+
+describe('alert webhooks', () => {
+    let server;
+    let received;
+    let responseStatus;
+    let root;
+    let processAlerts;
+    let parseAlertRules;
+
+    // A local stand-in for the webhook that records every payload it is sent
+    beforeAll(async() => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ method: req.method, contentType: req.headers['content-type'], payload: JSON.parse(body) });
+                res.writeHead(responseStatus);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.SUMMARY_ALERT_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/hooks/summary`;
+        ({ processAlerts, parseAlertRules } = require('../src/alerts'));
+    });
+
+    afterAll(async() => {
+        delete process.env.SUMMARY_ALERT_WEBHOOK_URL;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        responseStatus = 204;
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-lambda-'));
+        setBackends({ storage: createFileStorage({ root }), queue: createFileQueue({ root: path.join(root, '.queues') }) });
+    });
+
+    afterEach(() => {
+        resetBackends();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should validate the configured rules', () => {
+        expect(parseAlertRules().map(rule => rule.id)).toEqual(['missingVideos', 'dlqMessages', 'quiet-camera']);
+        expect(parseAlertRules('[{"type": "cameraSilent"}]')[0]).toMatchObject({ hours: 12, threshold: 0 });
+        expect(() => parseAlertRules('[{"type": "diskFull"}]')).toThrow('Unknown alert rule type: diskFull');
+    });
+
+    it('should post when a threshold is crossed and not again while it lasts', async() => {
+        await processAlerts({ summaryData: summaryWithMissing(2), now: NOW });
+        expect(received).toEqual([]);
+
+        await processAlerts({ summaryData: summaryWithMissing(3), now: NOW + HOUR });
+        await processAlerts({ summaryData: summaryWithMissing(4), now: NOW + 2 * HOUR });
+
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({ method: 'POST', contentType: 'application/json' });
+        expect(received[0].payload).toMatchObject({
+            status: 'firing',
+            rule: { id: 'missingVideos', type: 'missingVideos', threshold: 2 },
+            value: 3,
+            firstFiredAt: new Date(NOW + HOUR).toISOString()
+        });
+    });
+
+    it('should repeat after the repeat interval and resolve once the condition clears', async() => {
+        await processAlerts({ totalDlqCount: 1, now: NOW });
+        await processAlerts({ totalDlqCount: 2, now: NOW + 7 * HOUR });
+        await processAlerts({ totalDlqCount: 0, now: NOW + 8 * HOUR });
+        await processAlerts({ totalDlqCount: 0, now: NOW + 9 * HOUR });
+
+        const dlqAlerts = received.map(r => r.payload).filter(payload => payload.rule.id === 'dlqMessages');
+        expect(dlqAlerts.map(payload => [payload.status, payload.value])).toEqual([['firing', 1], ['firing', 2], ['resolved', 0]]);
+        expect(dlqAlerts[2].firstFiredAt).toBe(new Date(NOW).toISOString());
+    });
+
+    it('should leave rules alone when their input was not checked', async() => {
+        await processAlerts({ totalDlqCount: 1, now: NOW });
+        // A batch that never reached the DLQ check must not resolve the DLQ alert
+        await processAlerts({ now: NOW + HOUR });
+
+        expect(received.map(r => r.payload.status)).toEqual(['firing']);
+    });
+
+    it('should alert on cameras that have gone quiet', async() => {
+        const rules = process.env.SUMMARY_ALERT_RULES;
+        process.env.SUMMARY_ALERT_RULES = JSON.stringify([{ type: 'cameraSilent', hours: 6 }]);
+        try {
+            await processAlerts({ summaryEvents: [{ DeviceName: 'Driveway', Timestamp: NOW }, { DeviceName: 'Porch', Timestamp: NOW + 4 * HOUR }], now: NOW + 4 * HOUR });
+            await processAlerts({ now: NOW + 7 * HOUR });
+        } finally {
+            process.env.SUMMARY_ALERT_RULES = rules;
+        }
+
+        expect(received).toHaveLength(1);
+        expect(received[0].payload).toMatchObject({
+            status: 'firing',
+            camera: 'Driveway',
+            lastEventAt: new Date(NOW).toISOString(),
+            value: 7
+        });
+    });
+
+    it('should watch named cameras that have never had an event', async() => {
+        await processAlerts({ now: NOW });
+        await processAlerts({ now: NOW + 6 * HOUR });
+
+        expect(received.map(r => [r.payload.camera, r.payload.lastEventAt])).toEqual([['Garage', null]]);
+    });
+
+    it('should try again on the next evaluation when the webhook fails', async() => {
+        responseStatus = 500;
+        const sent = await processAlerts({ totalDlqCount: 1, now: NOW });
+        expect(sent).toEqual([]);
+        const state = JSON.parse(fs.readFileSync(path.join(root, 'alerts/alert_state.json'), 'utf-8'));
+        expect(state.rules.dlqMessages).toMatchObject({ active: false, lastError: 'Webhook responded with HTTP 500' });
+
+        responseStatus = 200;
+        await processAlerts({ totalDlqCount: 1, now: NOW + HOUR });
+        expect(received.map(r => r.payload.status)).toEqual(['firing', 'firing']);
+        expect(JSON.parse(fs.readFileSync(path.join(root, 'alerts/alert_state.json'), 'utf-8')).rules.dlqMessages.active).toBe(true);
+    });
+
+    it('should alert from the handler when a poison message reaches the DLQ', async() => {
+        const { handler } = require('../src/index');
+        await handler({ Records: [{ messageId: 'msg-bad', body: '{not json' }] });
+        expect(received).toEqual([]);
+
+        // The next batch sees the forwarded message on the DLQ
+        await handler({ Records: [{ messageId: 'msg-1', body: JSON.stringify({ EventId: 'evt1', Timestamp: Date.now(), DeviceName: 'Garage' }) }] });
+        expect(received.map(r => [r.payload.rule.id, r.payload.value])).toEqual([['dlqMessages', 1]]);
+    });
+});
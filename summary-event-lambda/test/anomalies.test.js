@@ -0,0 +1,111 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const { buildBaseline, detectAnomalies, updateAnomalies } = require('../src/anomalies');
+const { createEmptySummary } = require('../src/dailySummary');
+
+// Fourteen earlier days where the driveway sees 1-2 events at 19:00 and the porch 2 events an hour from 08:00 to 11:00
+function previousSummaries(extra = {}) {
+    const objects = {};
+    for (let day = 1; day <= 14; day++) {
+        const date = `2025-09-${String(day).padStart(2, '0')}`;
+        objects[`${date}/summary_${date}.json`] = {
+            metadata: { date },
+            deviceCounts: { Driveway: 1 + (day % 2), Porch: 8 },
+            deviceHourlyCounts: { Driveway: { 19: 1 + (day % 2) }, Porch: { 8: 2, 9: 2, 10: 2, 11: 2 } }
+        };
+    }
+    return { ...objects, ...extra };
+}
+
+// The day being summarised, with the given per-device hourly counts
+function summaryFor(deviceHourlyCounts) {
+    return { ...createEmptySummary(2025, '09', '15'), deviceHourlyCounts };
+}
+
+describe('activity anomalies', () => {
+    it('should build a per-camera, per-hour baseline from earlier summaries', async() => {
+        createConditionalS3({ objects: previousSummaries() });
+
+        const baseline = await buildBaseline('2025-09-15');
+
+        expect(baseline).toMatchObject({ date: '2025-09-15', windowDays: 14, daysUsed: 14 });
+        expect(baseline.cameras.Driveway).toEqual({ 19: { mean: 1.5, stdDev: 0.5 } });
+        expect(baseline.cameras.Porch[8]).toEqual({ mean: 2, stdDev: 0 });
+    });
+
+    it('should flag an hour far above its baseline', async() => {
+        createConditionalS3({ objects: previousSummaries() });
+        const baseline = await buildBaseline('2025-09-15');
+
+        // 2025-09-15 23:30 EDT, so every hour of the day is over
+        const anomalies = detectAnomalies(summaryFor({ Driveway: { 19: 8 }, Porch: { 8: 2, 9: 2, 10: 2, 11: 2 } }), baseline, {
+            now: Date.parse('2025-09-16T03:30:00Z')
+        });
+
+        expect(anomalies).toEqual([{
+            camera: 'Driveway',
+            direction: 'high',
+            window: { startHour: 19, endHour: 20 },
+            observed: 8,
+            expected: 1.5,
+            zScore: 13,
+            ratio: 5.33,
+            baselineDays: 14
+        }]);
+    });
+
+    it('should flag a camera that has gone silent over the completed hours', async() => {
+        createConditionalS3({ objects: previousSummaries() });
+        const baseline = await buildBaseline('2025-09-15');
+        const summaryData = summaryFor({ Driveway: { 9: 1 } });
+
+        // At 10:30 EDT only 08:00-10:00 is over, when the porch would normally have 4 events
+        expect(detectAnomalies(summaryData, baseline, { now: Date.parse('2025-09-15T14:30:00Z') })).toEqual([
+            expect.objectContaining({ camera: 'Porch', direction: 'low', window: { startHour: 0, endHour: 10 }, observed: 0, expected: 4, ratio: 0 })
+        ]);
+        // At 09:30 EDT only 2 events are expected so far, too few to call it silence
+        expect(detectAnomalies(summaryData, baseline, { now: Date.parse('2025-09-15T13:30:00Z') })).toEqual([]);
+    });
+
+    it('should not report anomalies without enough baseline days', async() => {
+        createConditionalS3({ objects: { '2025-09-14/summary_2025-09-14.json': previousSummaries()['2025-09-14/summary_2025-09-14.json'] } });
+
+        const summaryData = await updateAnomalies(summaryFor({ Driveway: { 19: 20 } }), { now: Date.parse('2025-09-16T03:30:00Z') });
+
+        expect(summaryData.baseline.daysUsed).toBe(1);
+        expect(summaryData.anomalies).toEqual([]);
+    });
+
+    it('should compute the baseline once per day', async() => {
+        const { log } = createConditionalS3({ objects: previousSummaries() });
+        const summaryData = summaryFor({ Driveway: { 19: 8 } });
+
+        await updateAnomalies(summaryData, { now: Date.parse('2025-09-16T03:30:00Z') });
+        const reads = log.filter(entry => entry.op === 'get').length;
+        await updateAnomalies(summaryData, { now: Date.parse('2025-09-16T03:30:00Z') });
+
+        expect(reads).toBe(14);
+        expect(log.filter(entry => entry.op === 'get')).toHaveLength(14);
+        // The driveway spike and the silent porch
+        expect(summaryData.metadata.anomalyCount).toBe(2);
+    });
+
+    it('should annotate the daily summary written by the handler', async() => {
+        const { objects } = createConditionalS3({ objects: previousSummaries() });
+        const record = (id, iso) => ({ messageId: id, body: JSON.stringify({ EventId: id, Timestamp: Date.parse(iso), DeviceName: 'Driveway' }) });
+
+        // Nine driveway events between 19:00 and 20:00 EDT
+        await handler({ Records: Array.from({ length: 9 }, (_, i) => record(`evt${i}`, `2025-09-15T23:0${i}:00Z`)) });
+
+        const summary = JSON.parse(objects['2025-09-15/summary_2025-09-15.json'].body);
+        expect(summary.deviceHourlyCounts).toEqual({ Driveway: { 19: 9 } });
+        expect(summary.anomalies).toEqual(expect.arrayContaining([
+            expect.objectContaining({ camera: 'Driveway', direction: 'high', observed: 9 }),
+            expect.objectContaining({ camera: 'Porch', direction: 'low', observed: 0 })
+        ]));
+    });
+});
@@ -0,0 +1,150 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const { backfillSummaries, formatSummaryDiff } = require('../src/backfill');
+const { readDailySummary } = require('../src/summaryShards');
+
+const SUMMARY_KEY = '2025-09-09/summary_2025-09-09.json';
+
+// Stored alarm JSON in the shape the backend writes it
+function storedAlarm(eventId, timestamp, keys, name = 'Driveway Alarm') {
+    return {
+        name,
+        timestamp,
+        triggers: keys.map(key => ({ key, device: 'F4E2C6A1B2C3', eventId, deviceName: 'Driveway', originalFileName: `${eventId}.mp4` }))
+    };
+}
+
+// 2025-09-09 10:00 EDT with video, 22:00 EDT without video (stored in the next UTC folder),
+// and 2025-09-10 01:00 EDT, which belongs to the next local day
+function bucketContents(extra = {}) {
+    const evt1 = Date.parse('2025-09-09T14:00:00Z');
+    const evt2 = Date.parse('2025-09-10T02:00:00Z');
+    const evt3 = Date.parse('2025-09-10T05:00:00Z');
+    return {
+        [`2025-09-09/evt1_F4E2C6A1B2C3_${evt1}.json`]: storedAlarm('evt1', evt1, ['person', 'vehicle']),
+        [`2025-09-09/evt1_F4E2C6A1B2C3_${evt1}.mp4`]: 'video-bytes',
+        [`2025-09-10/evt2_F4E2C6A1B2C3_${evt2}.json`]: storedAlarm('evt2', evt2, ['line_crossed'], 'Object Alarm'),
+        [`2025-09-10/evt3_F4E2C6A1B2C3_${evt3}.json`]: storedAlarm('evt3', evt3, ['motion']),
+        [`2025-09-10/evt3_F4E2C6A1B2C3_${evt3}.mp4`]: 'video-bytes',
+        ...extra
+    };
+}
+
+// A summary that lost evt2 and whose counters drifted
+function existingSummary() {
+    return {
+        metadata: { date: '2025-09-09', totalEvents: 1, missingVideoCount: 0, dlqMessageCount: 2, peakDlqMessageCount: 4, duplicateEventCount: 3 },
+        eventCounts: { person: 5 },
+        deviceCounts: { Driveway: 5 },
+        hourlyCounts: { 10: 5 },
+        events: [{ EventId: 'evt1', Timestamp: Date.parse('2025-09-09T14:00:00Z'), DeviceName: 'Driveway', EventType: 'person', PresignedVideoUrl: 'https://example.com/evt1.mp4' }],
+        missingVideoEvents: [],
+        dlqCounts: { AlarmProcessingDLQ: 2, SummaryEventDLQ: 0 }
+    };
+}
+
+describe('summary backfill', () => {
+    it('should report a diff without writing in dry-run mode', async() => {
+        const { objects, log } = createConditionalS3({ objects: bucketContents({ [SUMMARY_KEY]: existingSummary() }) });
+        const before = objects[SUMMARY_KEY].body;
+
+        const { results, rebuiltRollups } = await backfillSummaries({ startDate: '2025-09-09', dryRun: true });
+
+        expect(log.filter(entry => entry.op === 'put')).toEqual([]);
+        expect(objects[SUMMARY_KEY].body).toBe(before);
+        expect(rebuiltRollups).toEqual([]);
+
+        const { diff, written } = results[0];
+        expect(written).toBe(false);
+        expect(diff.events).toEqual({ added: ['evt2'], removed: [] });
+        expect(diff.counters.eventCounts).toEqual({
+            person: { before: 5, after: 1 },
+            line_crossed: { before: 0, after: 1 },
+            Object: { before: 0, after: 1 }
+        });
+        expect(diff.metadata.totalEvents).toEqual({ before: 1, after: 2 });
+
+        const text = formatSummaryDiff(SUMMARY_KEY, diff);
+        expect(text).toContain('  metadata.totalEvents: 1 -> 2');
+        expect(text).toContain('  + event evt2');
+        expect(text).toMatch(/\+ missing video 2025-09-10\/evt2_/);
+    });
+
+    it('should rewrite the summary from stored events and rebuild the rollups', async() => {
+        const { objects } = createConditionalS3({ objects: bucketContents({ [SUMMARY_KEY]: existingSummary() }) });
+
+        const { results, rebuiltRollups } = await backfillSummaries({ startDate: '2025-09-09', endDate: '2025-09-09' });
+
+        expect(results[0].written).toBe(true);
+        const summary = await readDailySummary('2025-09-09');
+        expect(JSON.parse(objects[SUMMARY_KEY].body).events).toBeUndefined();
+        expect(Object.keys(summary.shards)).toEqual(['10', '22']);
+        expect(summary.events.map(e => e.EventId)).toEqual(['evt1', 'evt2']);
+        // What the handler recorded is kept, the stored JSON fills in the rest
+        expect(summary.events[0]).toMatchObject({ PresignedVideoUrl: 'https://example.com/evt1.mp4', TriggerKeys: ['person', 'vehicle'] });
+        expect(summary.triggerCounts).toEqual({ person: 1, vehicle: 1, line_crossed: 1 });
+        expect(summary.hourlyCounts).toEqual({ 10: 1, 22: 1 });
+        expect(summary.missingVideoEvents.map(e => e.eventId)).toEqual(['evt2']);
+        // DLQ history cannot be recovered from the bucket, so it is carried over
+        expect(summary.metadata).toMatchObject({ totalEvents: 2, missingVideoCount: 1, peakDlqMessageCount: 4, duplicateEventCount: 3 });
+        expect(summary.metadata.rebuiltAt).toBeDefined();
+
+        expect(rebuiltRollups).toEqual(['rollups/summary_week_2025-W37.json', 'rollups/summary_month_2025-09.json']);
+        expect(JSON.parse(objects['rollups/summary_month_2025-09.json'].body).metadata.totalEvents).toBe(2);
+    });
+
+    it('should replace a summary file that is not valid JSON', async() => {
+        const { objects } = createConditionalS3({ objects: bucketContents({ [SUMMARY_KEY]: '{"metadata": {' }) });
+
+        const { results } = await backfillSummaries({ startDate: '2025-09-09' });
+
+        expect(results[0]).toMatchObject({ corrupt: true, written: true });
+        expect(JSON.parse(objects[SUMMARY_KEY].body).metadata.totalEvents).toBe(2);
+    });
+
+    it('should create summaries for days that have none', async() => {
+        createConditionalS3({ objects: bucketContents() });
+
+        await backfillSummaries({ startDate: '2025-09-09', endDate: '2025-09-10' });
+
+        expect((await readDailySummary('2025-09-09')).events.map(e => e.EventId)).toEqual(['evt1', 'evt2']);
+        expect((await readDailySummary('2025-09-10')).events.map(e => e.EventId)).toEqual(['evt3']);
+    });
+
+    it('should keep events from shards left behind by a corrupt index', async() => {
+        const orphan = { EventId: 'evt0', Timestamp: Date.parse('2025-09-09T13:00:00Z'), DeviceName: 'Driveway', EventType: 'person' };
+        createConditionalS3({
+            objects: bucketContents({
+                [SUMMARY_KEY]: '{"metadata": {',
+                '2025-09-09/summary_2025-09-09_events_09.json': { date: '2025-09-09', hour: '09', events: [orphan] }
+            })
+        });
+
+        const { results } = await backfillSummaries({ startDate: '2025-09-09' });
+
+        expect(results[0].retainedEvents).toBe(1);
+        const summary = await readDailySummary('2025-09-09');
+        expect(summary.events.map(e => e.EventId)).toEqual(['evt0', 'evt1', 'evt2']);
+        expect(summary.shards['09'].eventCount).toBe(1);
+    });
+
+    it('should reject invalid date ranges', async() => {
+        createConditionalS3();
+        await expect(backfillSummaries({ startDate: '09/09/2025' })).rejects.toThrow('Invalid date: 09/09/2025');
+        await expect(backfillSummaries({ startDate: '2025-09-10', endDate: '2025-09-09' })).rejects.toThrow('before start date');
+    });
+
+    it('should run as a direct invocation action', async() => {
+        createConditionalS3({ objects: bucketContents() });
+
+        const res = await handler({ action: 'backfillSummaries', startDate: '2025-09-09', dryRun: true });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.dryRun).toBe(true);
+        expect(res.results[0].diff.events.added).toEqual(['evt1', 'evt2']);
+    });
+});
@@ -0,0 +1,59 @@
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const { readDailySummary } = require('../src/summaryShards');
+
+function sqsEvent(eventId, timestamp) {
+    return {
+        Records: [{
+            body: JSON.stringify({ EventId: eventId, Timestamp: timestamp, DeviceName: 'Driveway', EventType: 'motion' })
+        }]
+    };
+}
+
+describe('summary-event-lambda concurrent writes', () => {
+    const timestamp = Date.parse('2025-09-09T15:00:00Z');
+    const key = '2025-09-09/summary_2025-09-09.json';
+
+    it('should not lose events when two writers update the same summary at once', async() => {
+        const { objects, log } = createConditionalS3({ holdReads: 2 });
+
+        await Promise.all([
+            handler(sqsEvent('evt-a', timestamp)),
+            handler(sqsEvent('evt-b', timestamp + 1000))
+        ]);
+
+        // Both writers read the missing file, one create won and the loser re-read and retried
+        const summaryLog = log.filter(entry => entry.key === key);
+        expect(summaryLog.filter(entry => entry.op === 'put' && entry.conflict)).toHaveLength(1);
+        expect(summaryLog.filter(entry => entry.op === 'get')).toHaveLength(3);
+
+        // The shared hourly shard is protected the same way
+        const shard = JSON.parse(objects['2025-09-09/summary_2025-09-09_events_11.json'].body);
+        expect(shard.events.map(e => e.EventId).sort()).toEqual(['evt-a', 'evt-b']);
+
+        const summary = await readDailySummary('2025-09-09');
+        expect(summary.events.map(e => e.EventId)).toEqual(['evt-a', 'evt-b']);
+        expect(summary.metadata.totalEvents).toBe(2);
+        expect(summary.deviceCounts).toEqual({ Driveway: 2 });
+        expect(summary.eventCounts).toEqual({ motion: 2 });
+    });
+
+    it('should write existing summaries with an IfMatch precondition', async() => {
+        const { objects } = createConditionalS3();
+        await handler(sqsEvent('evt-a', timestamp));
+        const firstEtag = objects[key].etag;
+        await handler(sqsEvent('evt-b', timestamp));
+
+        const puts = S3Client.prototype.send.mock.calls
+            .map(([cmd]) => cmd)
+            .filter(cmd => cmd instanceof PutObjectCommand && cmd.input.Key === key);
+        expect(puts[0].input.IfNoneMatch).toBe('*');
+        expect(puts[1].input.IfMatch).toBe(firstEtag);
+        expect(JSON.parse(objects[key].body).metadata.totalEvents).toBe(2);
+    });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AlarmProcessingDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing-dlq';
+process.env.SummaryEventDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event-dlq';
+process.env.AlarmProcessingQueueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing';
+process.env.SummaryEventQueueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event';
+
+const { handler } = require('../src/index');
+const { collectDlqDetails, redriveDlqMessages } = require('../src/dlqInspection');
+const { setBackends, resetBackends } = require('../src/backends');
+const { createFileStorage } = require('../src/backends/fileStorage');
+const { createFileQueue } = require('../src/backends/fileQueue');
+
+// An alarm the backend sent to its DLQ after no video could be downloaded
+function stuckAlarm(eventId, device, failedAt) {
+    return {
+        body: JSON.stringify({ name: 'Driveway Alarm', timestamp: 1757426400000, triggers: [{ key: 'person', device, eventId }] }),
+        attributes: {
+            FailureReason: 'No video files were downloaded - may require retry',
+            OriginalTimestamp: '1757426400000',
+            RetryAttempt: failedAt
+        }
+    };
+}
+
+describe('DLQ inspection', () => {
+    let root;
+    let queue;
+
+    beforeEach(async() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-lambda-'));
+        queue = createFileQueue({ root: path.join(root, '.queues') });
+        setBackends({ storage: createFileStorage({ root }), queue });
+
+        for (const { body, attributes } of [
+            stuckAlarm('evt-b', 'F4E2C6A1B2C4', '2025-09-09T15:05:00.000Z'),
+            stuckAlarm('evt-a', 'F4E2C6A1B2C3', '2025-09-09T14:05:00.000Z')
+        ]) {
+            await queue.sendMessage(process.env.AlarmProcessingDlqUrl, body, attributes);
+        }
+        await queue.sendMessage(process.env.SummaryEventDlqUrl, '{not json', {
+            FailureReason: 'InvalidJson',
+            ErrorMessage: 'Unexpected token n in JSON at position 1',
+            SourceMessageId: 'msg-bad'
+        });
+        await queue.sendMessage(process.env.SummaryEventDlqUrl, JSON.stringify({ EventId: 'evt-c', DeviceName: 'Porch', Timestamp: 1757469600000 }));
+    });
+
+    afterEach(() => {
+        resetBackends();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should group peeked messages by failure reason without consuming them', async() => {
+        const dlqDetails = await collectDlqDetails({ AlarmProcessingDLQ: 2, SummaryEventDLQ: 3 });
+
+        const alarmDlq = dlqDetails.queues.AlarmProcessingDLQ;
+        expect(alarmDlq).toMatchObject({ approximateCount: 2, inspectedCount: 2, complete: true });
+        const noVideo = alarmDlq.reasons['No video files were downloaded - may require retry'];
+        expect(noVideo).toMatchObject({ count: 2, firstFailureAt: '2025-09-09T14:05:00.000Z', lastFailureAt: '2025-09-09T15:05:00.000Z' });
+        expect(noVideo.messages.map(m => [m.eventId, m.device, m.eventTimestamp])).toEqual([
+            ['evt-a', 'F4E2C6A1B2C3', 1757426400000],
+            ['evt-b', 'F4E2C6A1B2C4', 1757426400000]
+        ]);
+        expect(noVideo.messages[0].errorAttributes).toEqual({
+            FailureReason: 'No video files were downloaded - may require retry',
+            RetryAttempt: '2025-09-09T14:05:00.000Z'
+        });
+
+        const summaryDlq = dlqDetails.queues.SummaryEventDLQ;
+        expect(summaryDlq.complete).toBe(false);
+        expect(summaryDlq.reasons.InvalidJson.messages[0]).toMatchObject({ eventId: null, validJson: false, errorAttributes: { SourceMessageId: 'msg-bad' } });
+        expect(summaryDlq.reasons.MaxReceiveCountExceeded.messages[0]).toMatchObject({ eventId: 'evt-c', device: 'Porch' });
+
+        expect(await queue.getMessageCount(process.env.AlarmProcessingDlqUrl)).toBe(2);
+    });
+
+    it('should only count DLQ messages per batch and peek at them on the scheduled check', async() => {
+        const summaryFile = path.join(root, '2025-09-09/summary_2025-09-09.json');
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify({ EventId: 'evt1', DeviceName: 'Driveway', Timestamp: 1757426400000 }) }] });
+
+        let summary = JSON.parse(fs.readFileSync(summaryFile, 'utf-8'));
+        expect(summary.dlqCounts).toEqual({ AlarmProcessingDLQ: 2, SummaryEventDLQ: 2 });
+        expect(summary.dlqDetails).toBeUndefined();
+
+        await handler({ action: 'retryMissingVideos', date: '2025-09-09' });
+
+        summary = JSON.parse(fs.readFileSync(summaryFile, 'utf-8'));
+        expect(Object.keys(summary.dlqDetails.queues)).toEqual(['AlarmProcessingDLQ', 'SummaryEventDLQ']);
+        expect(summary.dlqDetails.queues.AlarmProcessingDLQ.inspectedCount).toBe(2);
+    });
+
+    it('should skip DLQs that are empty', async() => {
+        const dlqDetails = await collectDlqDetails({ AlarmProcessingDLQ: 0, SummaryEventDLQ: 0 });
+        expect(dlqDetails.queues).toEqual({});
+    });
+
+    it('should only list the selected messages in a dry run', async() => {
+        const result = await redriveDlqMessages({ queue: 'AlarmProcessingDLQ', eventIds: ['evt-a'], dryRun: true });
+
+        expect(result.moved.map(m => m.eventId)).toEqual(['evt-a']);
+        expect(await queue.getMessageCount(process.env.AlarmProcessingDlqUrl)).toBe(2);
+        expect(await queue.getMessageCount(process.env.AlarmProcessingQueueUrl)).toBe(0);
+    });
+
+    it('should move selected messages back to their source queue', async() => {
+        const result = await redriveDlqMessages({ queue: 'AlarmProcessingDLQ', eventIds: ['evt-a'] });
+
+        expect(result.moved).toEqual([expect.objectContaining({ eventId: 'evt-a', newMessageId: expect.any(String) })]);
+        const remaining = await queue.listMessages(process.env.AlarmProcessingDlqUrl);
+        expect(remaining.map(m => JSON.parse(m.Body).triggers[0].eventId)).toEqual(['evt-b']);
+
+        const [redriven] = await queue.listMessages(process.env.AlarmProcessingQueueUrl);
+        expect(JSON.parse(redriven.Body).triggers[0].eventId).toBe('evt-a');
+        // The failure details stay behind, the event attributes travel with the message
+        expect(redriven.MessageAttributes).toEqual({ OriginalTimestamp: '1757426400000', RedrivenFrom: 'AlarmProcessingDLQ' });
+    });
+
+    it('should leave poison messages on the DLQ', async() => {
+        const res = await handler({ action: 'redriveDlq', queue: 'SummaryEventDLQ', all: true });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.moved.map(m => m.eventId)).toEqual(['evt-c']);
+        expect(res.skipped).toEqual([expect.objectContaining({ failureReason: 'InvalidJson', reason: 'Body is not valid JSON' })]);
+        expect((await queue.listMessages(process.env.SummaryEventDlqUrl)).map(m => m.Body)).toEqual(['{not json']);
+        expect(await queue.getMessageCount(process.env.SummaryEventQueueUrl)).toBe(1);
+    });
+
+    it('should refuse a redrive without a selection or for an unknown queue', async() => {
+        await expect(redriveDlqMessages({ queue: 'AlarmProcessingDLQ' })).rejects.toThrow('Select messages to redrive');
+        await expect(redriveDlqMessages({ queue: 'OtherDLQ', all: true })).rejects.toThrow('Unknown DLQ: OtherDLQ');
+    });
+});
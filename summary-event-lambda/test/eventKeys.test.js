@@ -0,0 +1,72 @@
+const { parseEventObjectKey, groupEventObjects } = require('../src/eventKeys');
+
+describe('eventKeys', () => {
+    it('should parse the standard eventId_device_timestamp layout', () => {
+        expect(parseEventObjectKey('2025-09-09/66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000.json')).toEqual({
+            key: '2025-09-09/66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000.json',
+            folder: '2025-09-09',
+            camera: null,
+            stem: '66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000',
+            extension: 'json',
+            kind: 'metadata',
+            layout: 'standard',
+            eventId: '66f0a1b2c3d4e5f601234567',
+            device: 'F4E2C6A1B2C3',
+            timestamp: 1757426400000,
+            groupKey: '66f0a1b2c3d4e5f601234567|F4E2C6A1B2C3|1757426400000'
+        });
+    });
+
+    it('should accept mp4 and mov videos and an events/ prefix', () => {
+        const mp4 = parseEventObjectKey('events/2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.mp4');
+        const mov = parseEventObjectKey('2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.MOV');
+        expect(mp4).toMatchObject({ kind: 'video', extension: 'mp4', folder: '2025-09-09', eventId: 'evt1' });
+        expect(mov).toMatchObject({ kind: 'video', extension: 'mov', eventId: 'evt1' });
+        expect(mp4.groupKey).toBe(mov.groupKey);
+    });
+
+    it('should parse per-camera subfolders with and without a device in the file name', () => {
+        expect(parseEventObjectKey('2025-09-09/Driveway/evt1_F4E2C6A1B2C3_1757426400000.mp4')).toMatchObject({
+            layout: 'camera-folder', camera: 'Driveway', eventId: 'evt1', device: 'F4E2C6A1B2C3', timestamp: 1757426400000
+        });
+        expect(parseEventObjectKey('2025-09-09/Driveway/evt1_1757426400000.json')).toMatchObject({
+            layout: 'camera-folder', camera: 'Driveway', eventId: 'evt1', device: 'Driveway', timestamp: 1757426400000
+        });
+    });
+
+    it('should parse legacy type_eventId_timestamp names', () => {
+        expect(parseEventObjectKey('2025-09-09/motion_evt1_1757426400000.json')).toMatchObject({
+            layout: 'legacy-typed', eventType: 'motion', eventId: 'evt1', device: null, timestamp: 1757426400000
+        });
+    });
+
+    it('should parse legacy eventId_timestamp names with second-precision timestamps', () => {
+        expect(parseEventObjectKey('2025-09-09/evt1_1757426400.mp4')).toMatchObject({
+            layout: 'legacy', eventId: 'evt1', device: null, timestamp: 1757426400000
+        });
+    });
+
+    it('should ignore summaries, screenshots, thumbnails and unrecognised keys', () => {
+        expect(parseEventObjectKey('2025-09-09/summary_2025-09-09.json')).toBeNull();
+        expect(parseEventObjectKey('screenshots/2025-09-09/evt1_F4E2C6A1B2C3_1757426400000_login-screenshot.png')).toBeNull();
+        expect(parseEventObjectKey('2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.jpg')).toBeNull();
+        expect(parseEventObjectKey('2025-09-09/readme.json')).toBeNull();
+        expect(parseEventObjectKey('not-a-date/evt1_F4E2C6A1B2C3_1757426400000.json')).toBeNull();
+        expect(parseEventObjectKey(undefined)).toBeNull();
+    });
+
+    it('should pair metadata and video objects for the same event', () => {
+        const groups = groupEventObjects([
+            { Key: '2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.json', Size: 100 },
+            { Key: '2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.mp4', Size: 200 },
+            { Key: '2025-09-09/evt2_F4E2C6A1B2C3_1757426500000.json', Size: 100 },
+            { Key: '2025-09-09/summary_2025-09-09.json', Size: 50 }
+        ]);
+        expect(groups.size).toBe(2);
+        const [first, second] = [...groups.values()];
+        expect(first.metadata.Size).toBe(100);
+        expect(first.video.Size).toBe(200);
+        expect(second.video).toBeNull();
+        expect(second.parsed.eventId).toBe('evt2');
+    });
+});
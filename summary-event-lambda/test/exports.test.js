@@ -0,0 +1,125 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+
+const { handler } = require('../src/index');
+const { toExportRows, toCsv, toNdjson, exportDateRange } = require('../src/exports');
+const { createEmptySummary } = require('../src/dailySummary');
+
+const VIDEO_KEY = '2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.mp4';
+
+// A day with a stored video, a missing one and an expired event
+function daySummary() {
+    return {
+        ...createEmptySummary(2025, '09', '09'),
+        events: [
+            {
+                EventId: 'evt1', Device: 'F4E2C6A1B2C3', DeviceName: 'Driveway', Timestamp: 1757426400000, EventType: 'person',
+                TriggerKeys: ['person', 'vehicle'], AlarmName: 'Driveway, "Smart" Detection', AlarmS3Key: '2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.json'
+            },
+            { EventId: 'evt2', Device: 'A1B2C3D4E5F6', DeviceName: 'Porch', Timestamp: 1757430000000, EventType: 'motion' },
+            { EventId: 'evt3', DeviceName: 'Porch', Timestamp: 1757433600000, EventType: 'motion', Expired: true }
+        ],
+        missingVideoEvents: [{ eventId: 'evt2' }],
+        videoChecks: { [VIDEO_KEY]: { size: 4000 } }
+    };
+}
+
+describe('exports', () => {
+    it('should flatten a day into one row per event with its local time and video status', () => {
+        const [evt1, evt2, evt3] = toExportRows(daySummary());
+
+        expect(evt1).toEqual({
+            date: '2025-09-09',
+            eventId: 'evt1',
+            localTime: '2025-09-09T10:00:00-04:00',
+            timestamp: 1757426400000,
+            camera: 'Driveway',
+            device: 'F4E2C6A1B2C3',
+            eventType: 'person',
+            triggers: ['person', 'vehicle'],
+            alarmName: 'Driveway, "Smart" Detection',
+            hasVideo: true,
+            videoStatus: 'stored',
+            videoKey: VIDEO_KEY,
+            alarmKey: '2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.json'
+        });
+        expect(evt2).toMatchObject({ hasVideo: false, videoStatus: 'missing', videoKey: null });
+        expect(evt3).toMatchObject({ hasVideo: false, videoStatus: 'expired', device: null });
+    });
+
+    it('should quote CSV fields and keep NDJSON one object per line', () => {
+        const rows = toExportRows(daySummary());
+
+        const csv = toCsv(rows).split('\r\n');
+        expect(csv[0]).toBe('date,eventId,localTime,timestamp,camera,device,eventType,triggers,alarmName,hasVideo,videoStatus,videoKey,alarmKey');
+        expect(csv[1]).toBe(`2025-09-09,evt1,2025-09-09T10:00:00-04:00,1757426400000,Driveway,F4E2C6A1B2C3,person,person;vehicle,"Driveway, ""Smart"" Detection",true,stored,${VIDEO_KEY},2025-09-09/evt1_F4E2C6A1B2C3_1757426400000.json`);
+        expect(csv[2]).toBe('2025-09-09,evt2,2025-09-09T11:00:00-04:00,1757430000000,Porch,A1B2C3D4E5F6,motion,,,false,missing,,');
+        expect(csv).toHaveLength(5);
+
+        const lines = toNdjson(rows).trimEnd().split('\n');
+        expect(lines.map(line => JSON.parse(line))).toEqual(rows);
+    });
+
+    it('should export a saved day next to its summary on direct invocation, not per batch', async() => {
+        const { objects } = createConditionalS3();
+
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify(daySummary().events[0]) }] });
+        expect(objects['2025-09-09/summary_2025-09-09.csv']).toBeUndefined();
+
+        const res = await handler({ action: 'exportDay', date: '2025-09-09' });
+
+        expect(res.exported).toEqual(['2025-09-09/summary_2025-09-09.csv', '2025-09-09/summary_2025-09-09.ndjson']);
+
+        const csv = objects['2025-09-09/summary_2025-09-09.csv'].body.toString().split('\r\n');
+        expect(csv[1]).toMatch(/^2025-09-09,evt1,2025-09-09T10:00:00-04:00,/);
+        const [row] = objects['2025-09-09/summary_2025-09-09.ndjson'].body.toString().trimEnd().split('\n').map(line => JSON.parse(line));
+        expect(row).toMatchObject({ eventId: 'evt1', triggers: ['person', 'vehicle'] });
+    });
+
+    it('should write the previous day\'s final exports on the daily retention run', async() => {
+        const { objects } = createConditionalS3();
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify(daySummary().events[0]) }] });
+        jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-09-10T14:00:00Z'));
+
+        try {
+            await handler({ action: 'applyRetention' });
+        } finally {
+            Date.now.mockRestore();
+        }
+
+        expect(objects['2025-09-09/summary_2025-09-09.csv'].body.toString()).toMatch(/\r\n2025-09-09,evt1,/);
+        expect(objects['2025-09-09/summary_2025-09-09.ndjson']).toBeDefined();
+    });
+
+    it('should export a date range into a single file on direct invocation', async() => {
+        const { objects } = createConditionalS3();
+        await handler({
+            Records: [
+                { messageId: 'm1', body: JSON.stringify({ EventId: 'evt1', DeviceName: 'Driveway', Timestamp: Date.parse('2025-09-09T14:00:00Z'), EventType: 'person' }) },
+                { messageId: 'm2', body: JSON.stringify({ EventId: 'evt2', DeviceName: 'Porch', Timestamp: Date.parse('2025-09-11T14:00:00Z'), EventType: 'motion' }) }
+            ]
+        });
+
+        const res = await handler({ action: 'exportEvents', startDate: '2025-09-08', endDate: '2025-09-11', format: 'ndjson' });
+
+        expect(res).toMatchObject({ key: 'exports/events_2025-09-08_2025-09-11.ndjson', days: ['2025-09-09', '2025-09-11'], rowCount: 2 });
+        const rows = objects[res.key].body.toString().trimEnd().split('\n').map(line => JSON.parse(line));
+        expect(rows.map(row => [row.date, row.eventId])).toEqual([['2025-09-09', 'evt1'], ['2025-09-11', 'evt2']]);
+    });
+
+    it('should reject unknown formats and dates', async() => {
+        createConditionalS3();
+        await expect(exportDateRange({ startDate: '2025-09-09', format: 'xlsx' })).rejects.toThrow('Invalid export format: xlsx (expected csv or ndjson)');
+        await expect(exportDateRange({ startDate: '09/09/2025' })).rejects.toThrow('Invalid date: 09/09/2025 (expected YYYY-MM-DD)');
+    });
+
+    it('should reject a reversed date range without writing an export', async() => {
+        const { objects } = createConditionalS3();
+
+        await expect(exportDateRange({ startDate: '2025-09-11', endDate: '2025-09-08' })).rejects.toThrow('End date 2025-09-08 is before start date 2025-09-11');
+        expect(Object.keys(objects).filter(key => key.startsWith('exports/'))).toEqual([]);
+    });
+});
@@ -0,0 +1,78 @@
+const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { SQSClient, GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+const { Readable } = require('stream');
+
+// In-memory S3 that honours IfMatch / IfNoneMatch the way S3 conditional writes do.
+// options.objects seeds the bucket by key: strings and Buffers are stored as-is, anything else as JSON.
+function createConditionalS3(options = {}) {
+    const objects = {};
+    let version = 0;
+    for (const [key, data] of Object.entries(options.objects || {})) {
+        version++;
+        objects[key] = { body: typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data), etag: `"v${version}"` };
+    }
+    let pendingReads = [];
+    const log = [];
+
+    S3Client.prototype.send = jest.fn(async(cmd) => {
+        const input = cmd.input;
+        if (cmd instanceof GetObjectCommand) {
+            // Hold the first reads until every writer has read, so they all start from the same version
+            if (options.holdReads && pendingReads !== null) {
+                await new Promise((resolve) => {
+                    pendingReads.push(resolve);
+                    if (pendingReads.length === options.holdReads) {
+                        pendingReads.forEach(release => release());
+                        pendingReads = null;
+                    }
+                });
+            }
+            const stored = objects[input.Key];
+            log.push({ op: 'get', key: input.Key, etag: stored ? stored.etag : null, ...(input.Range ? { range: input.Range } : {}) });
+            if (!stored) {
+                const err = new Error('NoSuchKey');
+                err.name = 'NoSuchKey';
+                throw err;
+            }
+            const range = /^bytes=(\d+)-(\d+)$/.exec(input.Range || '');
+            const body = Buffer.from(stored.body);
+            return {
+                Body: Readable.from([range ? body.subarray(Number(range[1]), Number(range[2]) + 1) : body]),
+                ETag: stored.etag
+            };
+        }
+        if (cmd instanceof PutObjectCommand) {
+            const stored = objects[input.Key];
+            const conflict = (input.IfNoneMatch === '*' && stored) ||
+                (input.IfMatch && (!stored || stored.etag !== input.IfMatch));
+            log.push({ op: 'put', key: input.Key, conflict: !!conflict });
+            if (conflict) {
+                const err = new Error('At least one of the pre-conditions you specified did not hold');
+                err.name = 'PreconditionFailed';
+                err.$metadata = { httpStatusCode: 412 };
+                throw err;
+            }
+            version++;
+            objects[input.Key] = { body: input.Body, etag: `"v${version}"` };
+            return { ETag: `"v${version}"` };
+        }
+        if (cmd instanceof ListObjectsV2Command) {
+            const contents = Object.keys(objects).sort()
+                .filter(key => key.startsWith(input.Prefix || ''))
+                .map(key => ({ Key: key, Size: Buffer.byteLength(objects[key].body), ETag: objects[key].etag }));
+            return { Contents: contents, IsTruncated: false };
+        }
+        throw new Error('Unknown command');
+    });
+
+    SQSClient.prototype.send = jest.fn(async(cmd) => {
+        if (cmd instanceof GetQueueAttributesCommand) {
+            return { Attributes: { ApproximateNumberOfMessages: '0' } };
+        }
+        throw new Error('Unknown SQS command');
+    });
+
+    return { objects, log };
+}
+
+module.exports = { createConditionalS3 };
@@ -0,0 +1,99 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+
+const { handler } = require('../src/index');
+const { correlateEvents, updateIncidents } = require('../src/incidents');
+const { createEmptySummary } = require('../src/dailySummary');
+
+// A summary event on a camera at a UTC time (2025-09-15 is EDT, so 23:00Z is 19:00 local)
+function summaryEvent(eventId, camera, iso) {
+    return { EventId: eventId, DeviceName: camera, Timestamp: Date.parse(iso), TriggerKeys: [camera === 'Doorbell' ? 'ring' : 'person'] };
+}
+
+describe('cross-camera incidents', () => {
+    it('should group events from several cameras within the window', () => {
+        const incidents = correlateEvents([
+            summaryEvent('evt3', 'Doorbell', '2025-09-15T23:01:30Z'),
+            summaryEvent('evt1', 'Driveway', '2025-09-15T23:00:00Z'),
+            summaryEvent('evt2', 'Porch', '2025-09-15T23:00:45Z'),
+            summaryEvent('evt4', 'Driveway', '2025-09-15T23:30:00Z')
+        ], 60000);
+
+        expect(incidents).toEqual([{
+            incidentId: 'incident_evt1',
+            startTimestamp: Date.parse('2025-09-15T23:00:00Z'),
+            endTimestamp: Date.parse('2025-09-15T23:01:30Z'),
+            startTime: '2025-09-15T23:00:00.000Z',
+            endTime: '2025-09-15T23:01:30.000Z',
+            durationSeconds: 90,
+            eventIds: ['evt1', 'evt2', 'evt3'],
+            cameras: ['Driveway', 'Porch', 'Doorbell'],
+            triggers: ['person', 'ring'],
+            eventCount: 3
+        }]);
+    });
+
+    it('should not treat repeated events on one camera as an incident', () => {
+        expect(correlateEvents([
+            summaryEvent('evt1', 'Driveway', '2025-09-15T23:00:00Z'),
+            summaryEvent('evt2', 'Driveway', '2025-09-15T23:00:30Z')
+        ], 60000)).toEqual([]);
+    });
+
+    it('should read the neighbouring hour shard for an incident crossing the hour', async() => {
+        const { log } = createConditionalS3({
+            objects: {
+                '2025-09-15/summary_2025-09-15_events_18.json': { events: [summaryEvent('evt1', 'Driveway', '2025-09-15T22:59:40Z')] },
+                '2025-09-15/summary_2025-09-15_events_12.json': { events: [summaryEvent('evt0', 'Porch', '2025-09-15T16:00:00Z')] }
+            }
+        });
+        const summaryData = createEmptySummary(2025, '09', '15');
+        summaryData.shards = {
+            12: { key: '2025-09-15/summary_2025-09-15_events_12.json', eventCount: 1 },
+            18: { key: '2025-09-15/summary_2025-09-15_events_18.json', eventCount: 1 }
+        };
+
+        await updateIncidents(summaryData, new Map([['19', [summaryEvent('evt2', 'Porch', '2025-09-15T23:00:20Z')]]]));
+
+        expect(summaryData.incidents.map(incident => incident.eventIds)).toEqual([['evt1', 'evt2']]);
+        expect(summaryData.metadata.incidentCount).toBe(1);
+        // Only the hour before was read; hour 12 is nowhere near the new event
+        expect(log.filter(entry => entry.op === 'get').map(entry => entry.key)).toEqual(['2025-09-15/summary_2025-09-15_events_18.json']);
+    });
+
+    it('should rebuild an existing incident that new events extend', async() => {
+        createConditionalS3({
+            objects: {
+                '2025-09-15/summary_2025-09-15_events_19.json': {
+                    events: [summaryEvent('evt1', 'Driveway', '2025-09-15T23:59:00Z'), summaryEvent('evt2', 'Porch', '2025-09-15T23:59:40Z')]
+                }
+            }
+        });
+        const summaryData = createEmptySummary(2025, '09', '15');
+        summaryData.shards = { 19: { key: '2025-09-15/summary_2025-09-15_events_19.json', eventCount: 2 } };
+        summaryData.incidents = correlateEvents([
+            summaryEvent('evt1', 'Driveway', '2025-09-15T23:59:00Z'),
+            summaryEvent('evt2', 'Porch', '2025-09-15T23:59:40Z')
+        ]);
+
+        await updateIncidents(summaryData, new Map([['20', [summaryEvent('evt3', 'Doorbell', '2025-09-16T00:00:10Z')]]]));
+
+        expect(summaryData.incidents).toHaveLength(1);
+        expect(summaryData.incidents[0]).toMatchObject({ incidentId: 'incident_evt1', eventIds: ['evt1', 'evt2', 'evt3'], durationSeconds: 70 });
+    });
+
+    it('should store incidents in the daily summary written by the handler', async() => {
+        const { objects } = createConditionalS3();
+        const record = (event) => ({ messageId: event.EventId, body: JSON.stringify(event) });
+
+        await handler({ Records: [record(summaryEvent('evt1', 'Driveway', '2025-09-15T23:00:00Z')), record(summaryEvent('evt2', 'Porch', '2025-09-15T23:00:50Z'))] });
+        await handler({ Records: [record(summaryEvent('evt3', 'Doorbell', '2025-09-15T23:01:20Z'))] });
+
+        const summary = JSON.parse(objects['2025-09-15/summary_2025-09-15.json'].body);
+        expect(summary.metadata.incidentCount).toBe(1);
+        expect(summary.incidents[0]).toMatchObject({ eventIds: ['evt1', 'evt2', 'evt3'], cameras: ['Driveway', 'Porch', 'Doorbell'] });
+    });
+});
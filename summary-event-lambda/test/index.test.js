@@ -1,5 +1,5 @@
 const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-const { SQSClient, GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+const { SQSClient, GetQueueAttributesCommand, SendMessageCommand } = require('@aws-sdk/client-sqs');
 
 jest.mock('@aws-sdk/client-s3');
 jest.mock('@aws-sdk/client-sqs');
@@ -8,12 +8,28 @@ jest.mock('@aws-sdk/client-sqs');
 process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
 process.env.AlarmProcessingDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing-dlq';
 process.env.SummaryEventDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event-dlq';
+// Baseline reads of earlier summaries are covered in anomalies.test.js; keeping them out keeps the call counts below readable
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
 
 const { handler } = require('../src/index');
 
+// Automocked commands do not keep their input, so look it up from the constructor call that built them
+function inputOf(Command, cmd) {
+    return Command.mock.calls[Command.mock.instances.indexOf(cmd)][0];
+}
+
+const SUMMARY_INDEX_KEY = /\/summary_\d{4}-\d{2}-\d{2}\.json$/;
+const SUMMARY_SHARD_KEY = /\/summary_\d{4}-\d{2}-\d{2}_events_\w+\.json$/;
+
+// Mock S3 serving `data` as the existing daily summary index; shards and rollups start out empty
 function mockS3GetObject(data) {
     S3Client.prototype.send = jest.fn(async(cmd) => {
         if (cmd instanceof GetObjectCommand) {
+            if (!SUMMARY_INDEX_KEY.test(inputOf(GetObjectCommand, cmd).Key)) {
+                const err = new Error('NoSuchKey');
+                err.name = 'NoSuchKey';
+                throw err;
+            }
             return { Body: toStream(JSON.stringify(data)) };
         }
         if (cmd instanceof PutObjectCommand) {
@@ -36,6 +52,20 @@ function mockS3GetObject(data) {
     });
 }
 
+// Helper to get the last daily summary index the handler wrote
+function writtenSummary() {
+    const writes = PutObjectCommand.mock.calls.map(([input]) => input).filter(input => SUMMARY_INDEX_KEY.test(input.Key));
+    return JSON.parse(writes[writes.length - 1].Body);
+}
+
+// Helper to get the events the handler wrote to hourly shards, in write order
+function writtenShardEvents() {
+    return PutObjectCommand.mock.calls
+        .map(([input]) => input)
+        .filter(input => SUMMARY_SHARD_KEY.test(input.Key))
+        .flatMap(input => JSON.parse(input.Body).events);
+}
+
 function toStream(str) {
     const { Readable } = require('stream');
     const s = new Readable();
@@ -174,9 +204,10 @@ describe('summary-event-lambda', () => {
         SQSClient.prototype.send = jest.fn(async(cmd) => {
             if (cmd instanceof GetQueueAttributesCommand) {
                 // Mock different counts for different queues
-                if (cmd.input.QueueUrl.includes('alarm-processing-dlq')) {
+                const queueUrl = inputOf(GetQueueAttributesCommand, cmd).QueueUrl;
+                if (queueUrl.includes('alarm-processing-dlq')) {
                     return { Attributes: { ApproximateNumberOfMessages: '2' } };
-                } else if (cmd.input.QueueUrl.includes('summary-event-dlq')) {
+                } else if (queueUrl.includes('summary-event-dlq')) {
                     return { Attributes: { ApproximateNumberOfMessages: '1' } };
                 }
                 return { Attributes: { ApproximateNumberOfMessages: '0' } };
@@ -204,17 +235,224 @@ describe('summary-event-lambda', () => {
         
         // Verify the S3 operations were called as expected
         const s3Calls = S3Client.prototype.send.mock.calls;
-        expect(s3Calls.length).toBe(5); // GetObject, ListObjects (missing videos), ListObjects (UTC folder 1), ListObjects (UTC folder 2), PutObject
+        // GetObject, ListObjects (the local folder, which is also UTC folder 1), ListObjects (UTC folder 2),
+        // GetObject for the previous day's storage usage, Get/Put for the event's hourly shard, PutObject for the index,
+        // then Get/Put for the weekly and monthly rollups. The listed video is from another day, so its header is not read.
+        expect(s3Calls.length).toBe(11);
         expect(s3Calls[0][0]).toBeInstanceOf(GetObjectCommand);
         expect(s3Calls[1][0]).toBeInstanceOf(ListObjectsV2Command);
         expect(s3Calls[2][0]).toBeInstanceOf(ListObjectsV2Command);
-        expect(s3Calls[3][0]).toBeInstanceOf(ListObjectsV2Command);
-        expect(s3Calls[4][0]).toBeInstanceOf(PutObjectCommand);
+        expect(s3Calls[3][0]).toBeInstanceOf(GetObjectCommand);
+        expect(s3Calls[4][0]).toBeInstanceOf(GetObjectCommand);
+        expect(s3Calls[5][0]).toBeInstanceOf(PutObjectCommand);
+        expect(s3Calls[6][0]).toBeInstanceOf(PutObjectCommand);
+        expect(s3Calls[7][0]).toBeInstanceOf(GetObjectCommand);
+        expect(s3Calls[8][0]).toBeInstanceOf(PutObjectCommand);
+        expect(s3Calls[9][0]).toBeInstanceOf(GetObjectCommand);
+        expect(s3Calls[10][0]).toBeInstanceOf(PutObjectCommand);
         
         // Verify the SQS operations were called as expected
+        // A depth check for each DLQ; the batch never peeks at the messages themselves
         const sqsCalls = SQSClient.prototype.send.mock.calls;
-        expect(sqsCalls.length).toBe(2); // One call for each DLQ
-        expect(sqsCalls[0][0]).toBeInstanceOf(GetQueueAttributesCommand);
-        expect(sqsCalls[1][0]).toBeInstanceOf(GetQueueAttributesCommand);
+        expect(sqsCalls.map(([cmd]) => cmd.constructor)).toEqual([
+            GetQueueAttributesCommand,
+            GetQueueAttributesCommand
+        ]);
+
+        const summary = writtenSummary();
+        expect(summary.dlqCounts).toEqual({ AlarmProcessingDLQ: 2, SummaryEventDLQ: 1 });
+        expect(summary.dlqDetails).toBeUndefined();
+    });
+
+    it('should bucket late-evening summer events into the local day and hour', async() => {
+        mockS3GetObject({});
+        const event = {
+            Records: [{
+                body: JSON.stringify({
+                    EventId: 'evt-dst',
+                    // 2025-07-15 23:30 EDT
+                    Timestamp: Date.parse('2025-07-16T03:30:00Z'),
+                    DeviceName: 'DeviceA',
+                    EventType: 'motion'
+                })
+            }]
+        };
+        await handler(event);
+
+        expect(GetObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: '2025-07-15/summary_2025-07-15.json' }));
+        const written = writtenSummary();
+        expect(written.hourlyCounts).toEqual({ 23: 1 });
+        expect(written.metadata.timeZone).toBe('America/New_York');
+    });
+
+    it('should skip redelivered events that are already recorded for the day', async() => {
+        const summaryData = {
+            metadata: {
+                date: '2025-09-07',
+                dateFormatted: '2025-09-07',
+                lastUpdated: '2025-09-07T12:00:00.000Z',
+                totalEvents: 1
+            },
+            eventCounts: { motion: 1 },
+            deviceCounts: { DeviceA: 1 },
+            hourlyCounts: { 12: 1 },
+            events: [{ EventId: 'evt1', DeviceName: 'DeviceA', EventType: 'motion' }]
+        };
+        mockS3GetObject(summaryData);
+        const event = {
+            Records: [{
+                body: JSON.stringify({
+                    EventId: 'evt1',
+                    Timestamp: Date.parse('2025-09-07T16:00:00Z'),
+                    DeviceName: 'DeviceA',
+                    EventType: 'motion'
+                })
+            }]
+        };
+        await handler(event);
+
+        const written = writtenSummary();
+        // The recorded event moves out to a shard and the redelivery is not appended
+        expect(written.events).toBeUndefined();
+        expect(Object.keys(written.eventIndex)).toEqual(['evt1']);
+        expect(writtenShardEvents().map(e => e.EventId)).toEqual(['evt1']);
+        expect(written.eventCounts).toEqual({ motion: 1 });
+        expect(written.deviceCounts).toEqual({ DeviceA: 1 });
+        expect(written.hourlyCounts).toEqual({ 12: 1 });
+        expect(written.metadata.totalEvents).toBe(1);
+        expect(written.metadata.duplicateEventCount).toBe(1);
+    });
+
+    it('should count detections per trigger key, device and hour', async() => {
+        mockS3GetObject({});
+        // 2025-09-09 10:00 and 10:30 EDT
+        const event = {
+            Records: [
+                { messageId: 'm1', body: JSON.stringify({ EventId: 'evt1', Timestamp: Date.parse('2025-09-09T14:00:00Z'), DeviceName: 'Driveway', EventType: 'person', AlarmName: 'Renamed Alarm', TriggerKeys: ['person', 'vehicle'] }) },
+                { messageId: 'm2', body: JSON.stringify({ EventId: 'evt2', Timestamp: Date.parse('2025-09-09T14:30:00Z'), DeviceName: 'Porch', EventType: 'line_crossed', AlarmName: 'Porch Object Alarm' }) }
+            ]
+        };
+        await handler(event);
+
+        const written = writtenSummary();
+        expect(written.triggerCounts).toEqual({ person: 1, vehicle: 1, line_crossed: 1 });
+        expect(written.deviceTriggerCounts).toEqual({ Driveway: { person: 1, vehicle: 1 }, Porch: { line_crossed: 1 } });
+        expect(written.hourlyTriggerCounts).toEqual({ 10: { person: 1, vehicle: 1, line_crossed: 1 } });
+        // The alarm-name counters are still maintained for existing consumers
+        expect(written.eventCounts).toEqual({ person: 1, line_crossed: 1, Object: 1 });
+    });
+
+    it('should add trigger counters to summaries written before they existed', async() => {
+        mockS3GetObject({
+            metadata: { date: '2025-09-07', dateFormatted: '2025-09-07', totalEvents: 1 },
+            eventCounts: { motion: 1 },
+            deviceCounts: { DeviceA: 1 },
+            hourlyCounts: { 12: 1 },
+            events: [{ EventId: 'evt1', DeviceName: 'DeviceA', EventType: 'motion' }]
+        });
+        const event = {
+            Records: [{ body: JSON.stringify({ EventId: 'evt2', Timestamp: Date.parse('2025-09-07T16:00:00Z'), DeviceName: 'DeviceA', EventType: 'motion' }) }]
+        };
+        await handler(event);
+
+        const written = writtenSummary();
+        expect(written.triggerCounts).toEqual({ motion: 1 });
+        expect(written.deviceTriggerCounts).toEqual({ DeviceA: { motion: 1 } });
+        expect(written.hourlyTriggerCounts).toEqual({ 12: { motion: 1 } });
+    });
+
+    it('should report records whose summary write failed as batch item failures', async() => {
+        mockS3GetObject({});
+        const send = S3Client.prototype.send;
+        S3Client.prototype.send = jest.fn(async(cmd) => {
+            if (cmd instanceof PutObjectCommand) {
+                throw new Error('S3 unavailable');
+            }
+            return send(cmd);
+        });
+        const event = {
+            Records: [
+                { messageId: 'msg-1', body: JSON.stringify({ EventId: 'evt1', Timestamp: Date.now(), DeviceName: 'DeviceA', EventType: 'motion' }) }
+            ]
+        };
+        const res = await handler(event);
+        expect(res.batchItemFailures).toEqual([{ itemIdentifier: 'msg-1' }]);
+    });
+
+    it('should forward invalid JSON bodies to the summary DLQ as poison messages', async() => {
+        mockS3GetObject({});
+        SQSClient.prototype.send = jest.fn(async() => ({}));
+        const event = {
+            Records: [
+                { messageId: 'msg-bad', body: '{invalid json}' },
+                { messageId: 'msg-good', body: JSON.stringify({ EventId: 'evt2', Timestamp: Date.now(), DeviceName: 'DeviceA', EventType: 'motion' }) }
+            ]
+        };
+        const res = await handler(event);
+
+        expect(res.batchItemFailures).toEqual([]);
+        expect(SendMessageCommand).toHaveBeenCalledWith(expect.objectContaining({
+            QueueUrl: process.env.SummaryEventDlqUrl,
+            MessageBody: '{invalid json}',
+            MessageAttributes: expect.objectContaining({
+                FailureReason: { DataType: 'String', StringValue: 'InvalidJson' }
+            })
+        }));
+    });
+
+    it('should leave poison messages to SQS redrive when forwarding fails', async() => {
+        mockS3GetObject({});
+        SQSClient.prototype.send = jest.fn(async(cmd) => {
+            if (cmd instanceof SendMessageCommand) {
+                throw new Error('SQS unavailable');
+            }
+            return { Attributes: { ApproximateNumberOfMessages: '0' } };
+        });
+        const res = await handler({ Records: [{ messageId: 'msg-bad', body: 'not json' }] });
+        expect(res.batchItemFailures).toEqual([{ itemIdentifier: 'msg-bad' }]);
+    });
+
+    it('should load and save each day once per batch and check the DLQs once', async() => {
+        mockS3GetObject({});
+        const record = (messageId, eventId, iso) => ({
+            messageId,
+            body: JSON.stringify({ EventId: eventId, Timestamp: Date.parse(iso), DeviceName: 'DeviceA', EventType: 'motion' })
+        });
+        const res = await handler({
+            Records: [
+                record('m1', 'evt1', '2025-09-07T14:00:00Z'),
+                record('m2', 'evt2', '2025-09-07T15:00:00Z'),
+                record('m3', 'evt3', '2025-09-07T16:00:00Z'),
+                record('m4', 'evt4', '2025-09-08T16:00:00Z')
+            ]
+        });
+        expect(res.batchItemFailures).toEqual([]);
+
+        const isIndex = ([input]) => SUMMARY_INDEX_KEY.test(input.Key);
+        const isShard = ([input]) => SUMMARY_SHARD_KEY.test(input.Key);
+        // Each day is read once, along with the day before it for the storage growth
+        expect(GetObjectCommand.mock.calls.filter(isIndex).map(([input]) => input.Key)).toEqual([
+            '2025-09-07/summary_2025-09-07.json',
+            '2025-09-06/summary_2025-09-06.json',
+            '2025-09-08/summary_2025-09-08.json',
+            '2025-09-07/summary_2025-09-07.json'
+        ]);
+        expect(PutObjectCommand.mock.calls.filter(isIndex)).toHaveLength(2);
+        // Each hour with new events is appended to once
+        expect(PutObjectCommand.mock.calls.filter(isShard).map(([input]) => input.Key)).toEqual([
+            '2025-09-07/summary_2025-09-07_events_10.json',
+            '2025-09-07/summary_2025-09-07_events_11.json',
+            '2025-09-07/summary_2025-09-07_events_12.json',
+            '2025-09-08/summary_2025-09-08_events_12.json'
+        ]);
+        // Two UTC folders per day, one of them the local folder
+        expect(ListObjectsV2Command).toHaveBeenCalledTimes(4);
+        expect(SQSClient.prototype.send).toHaveBeenCalledTimes(2);
+
+        const [firstDay, secondDay] = PutObjectCommand.mock.calls.filter(isIndex).map(([input]) => JSON.parse(input.Body));
+        expect(firstDay.eventIndex).toEqual({ evt1: '10', evt2: '11', evt3: '12' });
+        expect(firstDay.metadata.totalEvents).toBe(3);
+        expect(secondDay.metadata.date).toBe('2025-09-08');
+        expect(writtenShardEvents().map(e => e.EventId)).toEqual(['evt1', 'evt2', 'evt3', 'evt4']);
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AlarmProcessingDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing-dlq';
+process.env.SummaryEventDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event-dlq';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const { backfillSummaries } = require('../src/backfill');
+const { readDailySummary } = require('../src/summaryShards');
+const { setBackends, resetBackends } = require('../src/backends');
+const { createFileStorage } = require('../src/backends/fileStorage');
+const { createFileQueue } = require('../src/backends/fileQueue');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SUMMARY_KEY = '2025-09-09/summary_2025-09-09.json';
+
+// Copy the fixture bucket into a scratch directory and point the lambda at it
+function useFixtureBucket() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-lambda-'));
+    fs.cpSync(path.join(FIXTURES, 'bucket'), root, { recursive: true });
+    const storage = createFileStorage({ root });
+    const queue = createFileQueue({ root: path.join(root, '.queues') });
+    setBackends({ storage, queue });
+    return { root, storage, queue };
+}
+
+function readJson(root, key) {
+    return JSON.parse(fs.readFileSync(path.join(root, key), 'utf-8'));
+}
+
+describe('local file backends', () => {
+    let scratch;
+
+    beforeEach(() => {
+        scratch = useFixtureBucket();
+    });
+
+    afterEach(() => {
+        resetBackends();
+        fs.rmSync(scratch.root, { recursive: true, force: true });
+    });
+
+    it('should honour conditional writes like S3', async() => {
+        const { storage } = scratch;
+        const { etag } = await storage.putObject('2025-09-11/summary_2025-09-11.json', '{}', { ifNoneMatch: '*' });
+
+        await expect(storage.putObject('2025-09-11/summary_2025-09-11.json', '{"a":1}', { ifNoneMatch: '*' }))
+            .rejects.toMatchObject({ name: 'PreconditionFailed', $metadata: { httpStatusCode: 412 } });
+        await expect(storage.putObject('2025-09-11/summary_2025-09-11.json', '{"a":1}', { ifMatch: '"stale"' }))
+            .rejects.toMatchObject({ name: 'PreconditionFailed' });
+
+        await storage.putObject('2025-09-11/summary_2025-09-11.json', '{"a":2}', { ifMatch: etag });
+        const stored = await storage.getObject('2025-09-11/summary_2025-09-11.json');
+        expect(stored.body.toString()).toBe('{"a":2}');
+        expect(stored.etag).not.toBe(etag);
+        expect(await storage.getObject('2025-09-11/missing.json')).toBeNull();
+    });
+
+    it('should list objects in key order across pages', async() => {
+        const { storage } = scratch;
+        const first = await storage.listObjects('2025-09-', { maxKeys: 2 });
+        expect(first.objects.map(o => o.Key)).toEqual([
+            '2025-09-09/66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000.json',
+            '2025-09-09/66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000.mp4'
+        ]);
+        expect(first.isTruncated).toBe(true);
+        expect(first.objects[1].Size).toBeGreaterThan(0);
+
+        const second = await storage.listObjects('2025-09-', { maxKeys: 2, continuationToken: first.nextContinuationToken });
+        expect(second.objects.map(o => o.Key)).toEqual(['2025-09-10/66f0a1b2c3d4e5f601234568_F4E2C6A1B2C4_1757469600000.json']);
+        expect(second.isTruncated).toBe(false);
+    });
+
+    it('should refuse keys outside the data directory', async() => {
+        await expect(scratch.storage.getObject('../outside.json')).rejects.toThrow('Invalid object key');
+    });
+
+    it('should run the handler end-to-end against the fixture bucket', async() => {
+        const { root, queue } = scratch;
+        const event = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'events', 'sqs-batch.json'), 'utf-8'));
+
+        const res = await handler(event);
+
+        expect(res.batchItemFailures).toEqual([]);
+        expect(readJson(root, SUMMARY_KEY).events).toBeUndefined();
+        expect(fs.existsSync(path.join(root, '2025-09-09/summary_2025-09-09_events_10.json'))).toBe(true);
+        const summary = await readDailySummary('2025-09-09');
+        expect(summary.events.map(e => e.DeviceName)).toEqual(['Driveway', 'Porch']);
+        expect(summary.triggerCounts).toEqual({ person: 1, vehicle: 1, line_crossed: 1 });
+        expect(summary.hourlyCounts).toEqual({ 10: 1, 22: 1 });
+        expect(summary.missingVideoEvents.map(e => e.jsonFile)).toEqual(['2025-09-10/66f0a1b2c3d4e5f601234568_F4E2C6A1B2C4_1757469600000.json']);
+        // The fixture video has its ftyp and moov boxes, read with a ranged read of the local file
+        expect(summary.videoChecks['2025-09-09/66f0a1b2c3d4e5f601234567_F4E2C6A1B2C3_1757426400000.mp4']).toMatchObject({ size: 2204 });
+        expect(summary.corruptVideoEvents).toEqual([]);
+        // The poison message sits on the summary DLQ, so the DLQ check sees it
+        expect(summary.metadata.dlqMessageCount).toBe(1);
+        expect(readJson(root, 'rollups/summary_week_2025-W37.json').metadata.totalEvents).toBe(2);
+
+        const dlq = await queue.listMessages(process.env.SummaryEventDlqUrl);
+        expect(dlq).toHaveLength(1);
+        expect(dlq[0]).toMatchObject({
+            Body: '{not json',
+            MessageAttributes: { FailureReason: 'InvalidJson', SourceMessageId: '0b5a7c1e-6f1d-4c55-9a57-3c1d2b7a0003' }
+        });
+    });
+
+    it('should backfill a day from the fixture bucket to the same counters as the handler', async() => {
+        await backfillSummaries({ startDate: '2025-09-09' });
+
+        const summary = await readDailySummary('2025-09-09');
+        expect(summary.events.map(e => e.EventId)).toEqual(['66f0a1b2c3d4e5f601234567', '66f0a1b2c3d4e5f601234568']);
+        expect(summary.triggerCounts).toEqual({ person: 1, vehicle: 1, line_crossed: 1 });
+        expect(summary.eventCounts).toEqual({ person: 1, line_crossed: 1 });
+        expect(summary.metadata.missingVideoCount).toBe(1);
+    });
+});
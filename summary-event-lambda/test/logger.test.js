@@ -0,0 +1,62 @@
+describe('structured logging', () => {
+    let logSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        errorSpy.mockRestore();
+        delete process.env.SUMMARY_LOG_FORMAT;
+    });
+
+    // Helper to load the logger with a log format, since the format is read when the module loads
+    function loadLogger(format) {
+        process.env.SUMMARY_LOG_FORMAT = format;
+        let loaded;
+        jest.isolateModules(() => {
+            loaded = require('../src/logger');
+        });
+        return loaded;
+    }
+
+    it('should write JSON lines carrying the correlation ID and EventId', async() => {
+        const { logger, withLogContext } = loadLogger('json');
+
+        await withLogContext({ correlationId: 'req-123' }, async() => {
+            await withLogContext({ messageId: 'm1', eventId: 'evt1' }, async() => {
+                await Promise.resolve();
+                logger.info('Added event to summary:', { Device: 'Driveway' });
+            });
+            logger.error('Failed to update rollups:', new Error('boom'), { key: 'rollups/x.json' });
+        });
+
+        expect(JSON.parse(logSpy.mock.calls[0][0])).toEqual({
+            timestamp: expect.any(String),
+            level: 'INFO',
+            message: 'Added event to summary',
+            correlationId: 'req-123',
+            messageId: 'm1',
+            eventId: 'evt1',
+            details: { Device: 'Driveway' }
+        });
+        expect(JSON.parse(errorSpy.mock.calls[0][0])).toMatchObject({
+            level: 'ERROR',
+            correlationId: 'req-123',
+            error: { name: 'Error', message: 'boom' },
+            details: { key: 'rollups/x.json' }
+        });
+        expect(JSON.parse(errorSpy.mock.calls[0][0])).not.toHaveProperty('eventId');
+    });
+
+    it('should keep the prefixed text format outside Lambda', () => {
+        const { logger } = loadLogger('text');
+
+        logger.success('Updated summary file: a.json');
+
+        expect(logSpy).toHaveBeenCalledWith('[SUCCESS] Updated summary file: a.json');
+    });
+});
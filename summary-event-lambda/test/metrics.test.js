@@ -0,0 +1,101 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+process.env.AlarmProcessingDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing-dlq';
+
+const { handler } = require('../src/index');
+const { putMetric, flushMetrics } = require('../src/metrics');
+
+// Helper to pick the EMF documents out of everything written to console.log
+function emittedMetricDocuments(spy) {
+    return spy.mock.calls
+        .filter(([line]) => typeof line === 'string' && line.startsWith('{"_aws"'))
+        .map(([line]) => JSON.parse(line));
+}
+
+describe('embedded metrics', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    it('should emit one metric document per batch with the correlation ID', async() => {
+        createConditionalS3({
+            objects: { '2025-09-15/evt0_F4E2C6A1B2C3_1757977100000.json': '{"name":"Driveway Alarm"}' }
+        });
+        const record = (messageId, eventId) => ({
+            messageId,
+            body: JSON.stringify({ EventId: eventId, DeviceName: 'Driveway', Timestamp: 1757977200000 })
+        });
+
+        await handler({ Records: [record('m1', 'evt1'), record('m2', 'evt2'), record('m3', 'evt1'), { messageId: 'm4', body: '{not json' }] },
+            { awsRequestId: 'req-123' });
+
+        const documents = emittedMetricDocuments(logSpy);
+        expect(documents).toHaveLength(1);
+        const [document] = documents;
+        expect(document._aws.CloudWatchMetrics).toEqual([{
+            Namespace: 'UnifiProtect/SummaryLambda',
+            Dimensions: [['FunctionName']],
+            Metrics: [
+                { Name: 'S3Latency', Unit: 'Milliseconds' },
+                { Name: 'EventsProcessed', Unit: 'Count' },
+                { Name: 'DuplicateEvents', Unit: 'Count' },
+                { Name: 'MissingVideos', Unit: 'Count' },
+                { Name: 'DlqDepth', Unit: 'Count' },
+                { Name: 'RecordsFailed', Unit: 'Count' },
+                { Name: 'PoisonMessages', Unit: 'Count' },
+                { Name: 'InvalidEvents', Unit: 'Count' }
+            ]
+        }]);
+        expect(document).toMatchObject({
+            FunctionName: 'summary-event-lambda',
+            correlationId: 'req-123',
+            EventsProcessed: 2,
+            DuplicateEvents: 1,
+            MissingVideos: 1,
+            DlqDepth: 0,
+            RecordsFailed: 0,
+            PoisonMessages: 1,
+            InvalidEvents: 0
+        });
+        expect(document.S3Latency).toEqual(expect.arrayContaining([expect.any(Number)]));
+        expect(document.S3Latency.length).toBeGreaterThan(1);
+    });
+
+    it('should split metrics with more than 100 values across documents', () => {
+        for (let i = 0; i < 150; i++) putMetric('S3Latency', i, 'Milliseconds');
+        putMetric('DlqDepth', 3);
+
+        const documents = flushMetrics();
+
+        expect(documents).toHaveLength(2);
+        expect(documents[0].S3Latency).toHaveLength(100);
+        expect(documents[0].DlqDepth).toBe(3);
+        expect(documents[1].S3Latency).toHaveLength(50);
+        expect(documents[1]._aws.CloudWatchMetrics[0].Metrics).toEqual([{ Name: 'S3Latency', Unit: 'Milliseconds' }]);
+        expect(flushMetrics()).toEqual([]);
+    });
+
+    it('should flush the metrics of direct actions, including ones that fail', async() => {
+        createConditionalS3({
+            objects: { '2025-09-15/summary_2025-09-15.json': { metadata: { date: '2025-09-15', totalEvents: 1 } } }
+        });
+
+        await handler({ action: 'rebuildRollups', startDate: '2025-09-15' }, { awsRequestId: 'req-rollups' });
+        await expect(handler({ action: 'exportEvents', startDate: '2025-09-15', format: 'xlsx' }, { awsRequestId: 'req-export' }))
+            .rejects.toThrow('Invalid export format');
+
+        const documents = emittedMetricDocuments(logSpy);
+        expect(documents.map(document => document.correlationId)).toEqual(['req-rollups']);
+        expect(documents[0].S3Latency.length).toBeGreaterThan(1);
+        expect(flushMetrics()).toEqual([]);
+    });
+});
@@ -0,0 +1,124 @@
+const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { SQSClient } = require('@aws-sdk/client-sqs');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.MISSING_VIDEO_SCAN_MAX_OBJECTS = '3000';
+
+const { handler } = require('../src/index');
+
+// Build paired JSON/MP4 objects for a UTC folder, leaving the last event without its video
+function eventObjects(folder, count, baseTimestamp) {
+    const objects = [];
+    for (let i = 0; i < count; i++) {
+        const prefix = `${folder}/evt${String(i).padStart(5, '0')}_cam_${baseTimestamp + i * 1000}`;
+        objects.push({ Key: `${prefix}.json`, Size: 512 });
+        if (i < count - 1) {
+            objects.push({ Key: `${prefix}.mp4`, Size: 1048576 });
+        }
+    }
+    return objects;
+}
+
+// Mock S3 that serves ListObjectsV2 in 1000-key pages per prefix; a prefix mapped to an error fails its listing
+function mockPagedBucket(objectsByPrefix) {
+    const written = [];
+    S3Client.prototype.send = jest.fn(async(cmd) => {
+        if (cmd instanceof GetObjectCommand) {
+            const err = new Error('NoSuchKey');
+            err.name = 'NoSuchKey';
+            throw err;
+        }
+        if (cmd instanceof PutObjectCommand) {
+            // Only the daily index is of interest here, not event shards or rollups
+            if (/\/summary_\d{4}-\d{2}-\d{2}\.json$/.test(cmd.input.Key)) {
+                written.push(JSON.parse(cmd.input.Body));
+            }
+            return {};
+        }
+        if (cmd instanceof ListObjectsV2Command) {
+            if (objectsByPrefix[cmd.input.Prefix] instanceof Error) {
+                throw objectsByPrefix[cmd.input.Prefix];
+            }
+            const all = objectsByPrefix[cmd.input.Prefix] || [];
+            const start = cmd.input.ContinuationToken ? parseInt(cmd.input.ContinuationToken, 10) : 0;
+            const end = start + cmd.input.MaxKeys;
+            return {
+                Contents: all.slice(start, end),
+                IsTruncated: end < all.length,
+                NextContinuationToken: end < all.length ? String(end) : undefined
+            };
+        }
+        throw new Error('Unknown command');
+    });
+    SQSClient.prototype.send = jest.fn(async() => ({ Attributes: { ApproximateNumberOfMessages: '0' } }));
+    return written;
+}
+
+function listCallsFor(prefix) {
+    return S3Client.prototype.send.mock.calls
+        .map(([cmd]) => cmd)
+        .filter(cmd => cmd instanceof ListObjectsV2Command && cmd.input.Prefix === prefix);
+}
+
+describe('summary-event-lambda missing video pagination', () => {
+    // 2025-09-09 10:00 EDT
+    const timestamp = Date.parse('2025-09-09T14:00:00Z');
+    const record = { messageId: 'm1', body: JSON.stringify({ EventId: 'evt-new', Timestamp: timestamp, DeviceName: 'Driveway', EventType: 'motion' }) };
+
+    it('should follow continuation tokens past the first 1000 keys', async() => {
+        // 1200 events = 2399 keys, so the missing video sits on the third page
+        const written = mockPagedBucket({
+            '2025-09-09/': eventObjects('2025-09-09', 1200, timestamp)
+        });
+
+        await handler({ Records: [record] });
+
+        // The local folder is also one of the day's UTC folders, so its three pages are listed once
+        expect(listCallsFor('2025-09-09/')).toHaveLength(3);
+        const summary = written[0];
+        expect(summary.metadata.missingVideoScanComplete).toBe(true);
+        expect(summary.metadata.warnings).toEqual([]);
+        // The local folder and matching UTC folder scans report the same event once
+        expect(summary.missingVideoEvents.map(e => e.jsonFile)).toEqual([`2025-09-09/evt01199_cam_${timestamp + 1199 * 1000}.json`]);
+    });
+
+    it('should stop at the safety cap and flag the scan as incomplete', async() => {
+        const written = mockPagedBucket({
+            '2025-09-09/': eventObjects('2025-09-09', 2500, timestamp)
+        });
+
+        await handler({ Records: [record] });
+
+        // The single scan of the local folder stops after three pages, with one warning
+        expect(listCallsFor('2025-09-09/')).toHaveLength(3);
+        const summary = written[0];
+        expect(summary.metadata.missingVideoScanComplete).toBe(false);
+        expect(summary.metadata.warnings.filter(warning => warning.prefix === '2025-09-09/')).toEqual([expect.objectContaining({
+            type: 'missingVideoScanTruncated',
+            prefix: '2025-09-09/',
+            scannedObjects: 3000,
+            maxObjects: 3000
+        })]);
+    });
+
+    it('should flag the scan as incomplete when a listing fails', async() => {
+        const throttled = new Error('Rate exceeded');
+        throttled.name = 'SlowDown';
+        const written = mockPagedBucket({
+            '2025-09-09/': eventObjects('2025-09-09', 2, timestamp),
+            // The evening of 2025-09-09 EDT is stored under the next UTC date
+            '2025-09-10/': throttled
+        });
+
+        await handler({ Records: [record] });
+
+        const summary = written[0];
+        expect(summary.metadata.missingVideoScanComplete).toBe(false);
+        expect(summary.metadata.warnings).toEqual([{
+            type: 'missingVideoScanFailed',
+            prefix: '2025-09-10/',
+            reason: 'listError',
+            message: 'Listing 2025-09-10/ failed: Rate exceeded'
+        }]);
+    });
+});
@@ -0,0 +1,132 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+process.env.SUMMARY_RETENTION_DAYS = '21';
+
+const { handler } = require('../src/index');
+const { pruneExpiredSummaries, generateExpiryReport } = require('../src/retention');
+
+// 11:00 in New York, 21 days after the first recorded day
+const NOW = Date.parse('2025-09-22T15:00:00Z');
+
+// Helper to record summary events through the handler, as the queue would deliver them
+async function recordEvents(...summaryEvents) {
+    await handler({ Records: summaryEvents.map((summaryEvent, i) => ({ messageId: `m${i}`, body: JSON.stringify(summaryEvent) })) });
+}
+
+// Helper to read every event stored in a day's hourly shards
+function shardEvents(objects, date) {
+    return Object.keys(objects)
+        .filter(key => key.startsWith(`${date}/summary_${date}_events_`))
+        .sort()
+        .flatMap(key => JSON.parse(objects[key].body).events);
+}
+
+const EVENTS = [
+    {
+        EventId: 'evt1', DeviceName: 'Driveway', Timestamp: Date.parse('2025-09-01T14:00:00Z'), EventType: 'person',
+        PresignedVideoUrl: 'https://example.com/evt1.mp4', EventLocalLink: 'https://unifi/evt1', Metadata: { thumbnail: 'data:image/jpeg;base64,AAAA' }
+    },
+    { EventId: 'evt2', DeviceName: 'Porch', Timestamp: Date.parse('2025-09-01T20:00:00Z'), EventType: 'motion', VideoS3Key: '2025-09-01/evt2.mp4' },
+    { EventId: 'evt3', DeviceName: 'Driveway', Timestamp: Date.parse('2025-09-03T14:00:00Z'), EventType: 'vehicle', TriggerKeys: ['vehicle'] },
+    { EventId: 'evt4', DeviceName: 'Porch', Timestamp: Date.parse('2025-09-10T14:00:00Z'), EventType: 'motion' }
+];
+
+describe('retention', () => {
+    it('should mark events past the retention window as expired and keep the counters', async() => {
+        const { objects } = createConditionalS3();
+        await recordEvents(...EVENTS);
+
+        const retention = await pruneExpiredSummaries({ now: NOW });
+
+        expect(retention.results).toEqual([
+            { date: '2025-09-01', expiredEvents: 1, expiredEventCount: 1, complete: false }
+        ]);
+        const [evt1, evt2] = shardEvents(objects, '2025-09-01');
+        expect(evt1).toMatchObject({ EventId: 'evt1', Expired: true, ExpiredAt: '2025-09-22T15:00:00.000Z', PresignedVideoUrl: null });
+        expect(evt1.Metadata).toEqual({ thumbnail: 'data:image/jpeg;base64,AAAA' });
+        expect(evt2.Expired).toBeUndefined();
+
+        const summary = JSON.parse(objects['2025-09-01/summary_2025-09-01.json'].body);
+        expect(summary.metadata).toMatchObject({ totalEvents: 2, expiredEventCount: 1 });
+        expect(summary.retention).toMatchObject({ retentionDays: 21, mode: 'mark', expiredEventCount: 1, complete: false });
+        expect(summary.eventCounts).toEqual({ person: 1, motion: 1 });
+    });
+
+    it('should strip heavy metadata and leave fully expired days alone afterwards', async() => {
+        const { objects, log } = createConditionalS3();
+        await recordEvents(...EVENTS);
+        const later = Date.parse('2025-09-23T15:00:00Z');
+
+        const retention = await pruneExpiredSummaries({ now: later, mode: 'strip' });
+
+        expect(retention.results.find(result => result.date === '2025-09-01')).toEqual({ date: '2025-09-01', expiredEvents: 2, expiredEventCount: 2, complete: true });
+        const [evt1] = shardEvents(objects, '2025-09-01');
+        expect(evt1).toEqual({
+            EventId: 'evt1', DeviceName: 'Driveway', Timestamp: EVENTS[0].Timestamp, EventType: 'person',
+            PresignedVideoUrl: null, Expired: true, ExpiredAt: '2025-09-23T15:00:00.000Z'
+        });
+
+        // A complete day is skipped with a single read of its index
+        const writes = log.filter(entry => entry.op === 'put').length;
+        const again = await pruneExpiredSummaries({ now: later, mode: 'strip' });
+        expect(again.results.find(result => result.date === '2025-09-01')).toMatchObject({ expiredEvents: 0, skipped: true });
+        expect(log.filter(entry => entry.op === 'put')).toHaveLength(writes);
+    });
+
+    it('should not write anything on a dry run', async() => {
+        const { objects } = createConditionalS3();
+        await recordEvents(...EVENTS);
+        const before = JSON.stringify(objects);
+
+        const retention = await pruneExpiredSummaries({ now: NOW, dryRun: true });
+        const report = await generateExpiryReport({ now: NOW, dryRun: true });
+
+        expect(retention.results[0]).toMatchObject({ date: '2025-09-01', expiredEvents: 1 });
+        expect(report.totalEvents).toBe(2);
+        expect(JSON.stringify(objects)).toBe(before);
+    });
+
+    it('should report the events and cameras that lose footage in the next days, soonest first', async() => {
+        const { objects } = createConditionalS3();
+        await recordEvents(...EVENTS);
+        await pruneExpiredSummaries({ now: NOW });
+
+        const report = await generateExpiryReport({ now: NOW, warningDays: 3 });
+
+        expect(report.events).toEqual([
+            expect.objectContaining({ EventId: 'evt2', DeviceName: 'Porch', VideoS3Key: '2025-09-01/evt2.mp4', expiresAt: '2025-09-22T20:00:00.000Z', daysLeft: 1 }),
+            expect.objectContaining({ EventId: 'evt3', DeviceName: 'Driveway', TriggerKeys: ['vehicle'], expiresAt: '2025-09-24T14:00:00.000Z', daysLeft: 2 })
+        ]);
+        expect(report.cameras).toEqual({
+            Porch: { eventCount: 1, firstExpiresAt: '2025-09-22T20:00:00.000Z' },
+            Driveway: { eventCount: 1, firstExpiresAt: '2025-09-24T14:00:00.000Z' }
+        });
+        expect(JSON.parse(objects['reports/expiring_2025-09-22.json'].body)).toEqual(report);
+    });
+
+    it('should prune and report on direct invocation', async() => {
+        const { objects } = createConditionalS3();
+        await recordEvents(...EVENTS);
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+
+        try {
+            const res = await handler({ action: 'applyRetention' });
+
+            expect(res.retention.results.map(result => result.expiredEvents)).toEqual([1]);
+            expect(res.expiryReport.totalEvents).toBe(2);
+            expect(objects['reports/expiring_2025-09-22.json']).toBeDefined();
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    it('should do nothing without a retention window', async() => {
+        createConditionalS3();
+        expect(await pruneExpiredSummaries({ now: NOW, retentionDays: 0 })).toEqual({ enabled: false, results: [] });
+        expect(await generateExpiryReport({ now: NOW, retentionDays: 0 })).toBeNull();
+        await expect(pruneExpiredSummaries({ now: NOW, mode: 'delete' })).rejects.toThrow('Invalid retention mode: delete');
+    });
+});
@@ -0,0 +1,104 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const {
+    getIsoWeek,
+    getMonth,
+    getPeriodFromKey,
+    createEmptyRollup,
+    applyDailySummaryToRollup
+} = require('../src/rollups');
+
+function dailySummary(date, overrides = {}) {
+    return {
+        metadata: { date, timeZone: 'America/New_York', totalEvents: 2, missingVideoCount: 1, dlqMessageCount: 0, peakDlqMessageCount: 3, ...overrides },
+        eventCounts: { motion: 2 },
+        triggerCounts: { person: 1, vehicle: 1 },
+        deviceCounts: { Driveway: 1, Porch: 1 },
+        hourlyCounts: { 8: 1, 21: 1 },
+        events: []
+    };
+}
+
+describe('rollups', () => {
+    it('should compute ISO weeks including year boundaries', () => {
+        expect(getIsoWeek('2025-09-09')).toEqual({ period: 'week', periodKey: '2025-W37', startDate: '2025-09-08', endDate: '2025-09-14' });
+        expect(getIsoWeek('2024-12-30').periodKey).toBe('2025-W01');
+        expect(getIsoWeek('2021-01-03').periodKey).toBe('2020-W53');
+        expect(getIsoWeek('2026-12-31').periodKey).toBe('2026-W53');
+    });
+
+    it('should compute calendar months', () => {
+        expect(getMonth('2024-02-10')).toEqual({ period: 'month', periodKey: '2024-02', startDate: '2024-02-01', endDate: '2024-02-29' });
+    });
+
+    it('should resolve periods from their keys', () => {
+        expect(getPeriodFromKey('week', '2025-W01')).toMatchObject({ startDate: '2024-12-30', endDate: '2025-01-05' });
+        expect(getPeriodFromKey('week', '2020-W53')).toMatchObject({ startDate: '2020-12-28', endDate: '2021-01-03' });
+        expect(getPeriodFromKey('month', '2025-09')).toMatchObject({ startDate: '2025-09-01', endDate: '2025-09-30' });
+        expect(() => getPeriodFromKey('year', '2025')).toThrow('Unknown rollup period: year');
+    });
+
+    it('should sum day snapshots and keep the peak DLQ depth', () => {
+        const rollup = createEmptyRollup(getIsoWeek('2025-09-09'), 'America/New_York');
+        applyDailySummaryToRollup(rollup, dailySummary('2025-09-08'));
+        applyDailySummaryToRollup(rollup, dailySummary('2025-09-09', { peakDlqMessageCount: 7 }));
+        // Re-applying a day replaces its contribution instead of double counting
+        applyDailySummaryToRollup(rollup, dailySummary('2025-09-09', { peakDlqMessageCount: 7 }));
+
+        expect(rollup.metadata).toMatchObject({ daysIncluded: 2, totalEvents: 4, missingVideoCount: 2, peakDlqMessageCount: 7, peakDlqDate: '2025-09-09' });
+        expect(rollup.eventCounts).toEqual({ motion: 4 });
+        expect(rollup.triggerCounts).toEqual({ person: 2, vehicle: 2 });
+        expect(rollup.deviceCounts).toEqual({ Driveway: 2, Porch: 2 });
+        expect(rollup.hourlyCounts).toEqual({ 8: 2, 21: 2 });
+    });
+
+    it('should update weekly and monthly rollups as events arrive', async() => {
+        const { objects } = createConditionalS3();
+        await handler({
+            Records: [
+                { messageId: 'm1', body: JSON.stringify({ EventId: 'evt1', Timestamp: Date.parse('2025-09-09T14:00:00Z'), DeviceName: 'Driveway', EventType: 'motion' }) },
+                { messageId: 'm2', body: JSON.stringify({ EventId: 'evt2', Timestamp: Date.parse('2025-09-10T14:00:00Z'), DeviceName: 'Porch', EventType: 'person' }) }
+            ]
+        });
+
+        const week = JSON.parse(objects['rollups/summary_week_2025-W37.json'].body);
+        expect(week.metadata).toMatchObject({ periodKey: '2025-W37', daysIncluded: 2, totalEvents: 2 });
+        expect(week.eventCounts).toEqual({ motion: 1, person: 1 });
+        expect(week.hourlyCounts).toEqual({ 10: 2 });
+
+        const month = JSON.parse(objects['rollups/summary_month_2025-09.json'].body);
+        expect(month.deviceCounts).toEqual({ Driveway: 1, Porch: 1 });
+    });
+
+    it('should rebuild rollups from the daily files on direct invocation', async() => {
+        const { objects } = createConditionalS3({
+            objects: {
+                '2025-09-01/summary_2025-09-01.json': dailySummary('2025-09-01'),
+                '2025-09-30/summary_2025-09-30.json': dailySummary('2025-09-30', { totalEvents: 5 }),
+                'rollups/summary_month_2025-09.json': { metadata: { totalEvents: 999 }, days: { '2025-09-15': { totalEvents: 999 } } }
+            }
+        });
+
+        const res = await handler({ action: 'rebuildRollups', startDate: '2025-09-01', endDate: '2025-09-30' });
+
+        expect(res.rebuilt).toContain('rollups/summary_month_2025-09.json');
+        expect(res.rebuilt).toContain('rollups/summary_week_2025-W36.json');
+        const month = JSON.parse(objects['rollups/summary_month_2025-09.json'].body);
+        expect(Object.keys(month.days)).toEqual(['2025-09-01', '2025-09-30']);
+        expect(month.metadata.totalEvents).toBe(7);
+    });
+
+    it('should reject a missing or malformed date range with a 400', async() => {
+        const { log } = createConditionalS3();
+
+        expect(await handler({ action: 'rebuildRollups' })).toEqual({ statusCode: 400, error: 'Invalid date: undefined (expected YYYY-MM-DD)' });
+        expect(await handler({ action: 'rebuildRollups', startDate: '09/01/2025' })).toEqual({ statusCode: 400, error: 'Invalid date: 09/01/2025 (expected YYYY-MM-DD)' });
+        expect(await handler({ action: 'rebuildRollups', startDate: '2025-09-30', endDate: '2025-09-01' }))
+            .toEqual({ statusCode: 400, error: 'End date 2025-09-01 is before start date 2025-09-30' });
+        expect(log).toEqual([]);
+    });
+});
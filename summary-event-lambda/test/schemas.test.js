@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SummaryEventDlqUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/summary-event-dlq';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+
+const { handler } = require('../src/index');
+const { validateSummaryEvent, validateSummary, migrateSummary } = require('../src/schemas');
+const { SUMMARY_SCHEMA_VERSION, createEmptySummary } = require('../src/dailySummary');
+const { setBackends, resetBackends } = require('../src/backends');
+const { createFileStorage } = require('../src/backends/fileStorage');
+const { createFileQueue } = require('../src/backends/fileQueue');
+
+const VALID_EVENT = {
+    EventId: 'evt1',
+    Device: 'F4E2C6A1B2C3',
+    DeviceName: 'Driveway',
+    Timestamp: 1757426400000,
+    AlarmName: 'Driveway Smart Detection',
+    EventType: 'person',
+    TriggerKeys: ['person'],
+    PresignedVideoUrl: null,
+    Metadata: { originalFileName: 'Driveway_2025-09-09_10-00-00.mp4' }
+};
+
+describe('schemas', () => {
+    describe('summary events', () => {
+        it('should accept an event from the backend, including unset fields sent as null', () => {
+            expect(validateSummaryEvent(VALID_EVENT)).toEqual({ valid: true, errors: [] });
+        });
+
+        it('should give a reason for each problem with an event', () => {
+            expect(validateSummaryEvent({ EventId: 'evt1' }).errors).toEqual(['Timestamp is required']);
+            expect(validateSummaryEvent({ ...VALID_EVENT, Timestamp: 1757426400 }).errors).toEqual([
+                'Timestamp 1757426400 is before 2000-01-01; expected epoch milliseconds'
+            ]);
+            expect(validateSummaryEvent({ ...VALID_EVENT, Timestamp: '1757426400000', TriggerKeys: 'person' }).errors).toEqual([
+                'Timestamp must be epoch milliseconds, got "1757426400000"',
+                'TriggerKeys must be an array of strings'
+            ]);
+            expect(validateSummaryEvent([VALID_EVENT]).errors).toEqual(['Document must be a JSON object']);
+            expect(validateSummaryEvent({ ...VALID_EVENT, SchemaVersion: 2 }).errors).toEqual([
+                'SchemaVersion 2 is newer than the supported version 1'
+            ]);
+        });
+    });
+
+    describe('summary documents', () => {
+        it('should stamp the schema version on new summaries', () => {
+            const summaryData = createEmptySummary(2025, '09', '09');
+            expect(summaryData.schemaVersion).toBe(SUMMARY_SCHEMA_VERSION);
+            expect(validateSummary(summaryData)).toEqual({ valid: true, errors: [] });
+        });
+
+        it('should migrate an unversioned summary, keeping what it already has', () => {
+            const summaryData = migrateSummary({
+                metadata: { date: '2025-09-09', totalEvents: 1, missingVideoCount: 2 },
+                eventCounts: { motion: 1 },
+                events: [{ EventId: 'evt1' }]
+            }, { year: 2025, month: '09', day: '09' });
+
+            expect(summaryData.schemaVersion).toBe(1);
+            expect(summaryData.metadata).toMatchObject({ date: '2025-09-09', totalEvents: 1, missingVideoCount: 2, duplicateEventCount: 0, corruptVideoCount: 0 });
+            expect(summaryData.eventCounts).toEqual({ motion: 1 });
+            expect(summaryData.triggerCounts).toEqual({});
+            expect(summaryData.events).toEqual([{ EventId: 'evt1' }]);
+        });
+
+        it('should refuse a summary that still does not match the schema', () => {
+            const summaryData = { ...createEmptySummary(2025, '09', '09'), deviceCounts: { Driveway: 'two' } };
+
+            expect(() => migrateSummary(summaryData, { year: 2025, month: '09', day: '09' }))
+                .toThrow('Summary for 2025-09-09 does not match schema version 1: deviceCounts must map names to numbers');
+        });
+    });
+
+    describe('handler', () => {
+        let root;
+        let queue;
+
+        beforeEach(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-lambda-'));
+            queue = createFileQueue({ root: path.join(root, '.queues') });
+            setBackends({ storage: createFileStorage({ root }), queue });
+        });
+
+        afterEach(() => {
+            resetBackends();
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('should reject an event without a Timestamp to the DLQ instead of a 1970 summary', async() => {
+            const res = await handler({
+                Records: [
+                    { messageId: 'm1', body: JSON.stringify({ ...VALID_EVENT, Timestamp: undefined }) },
+                    { messageId: 'm2', body: JSON.stringify(VALID_EVENT) }
+                ]
+            });
+
+            expect(res.batchItemFailures).toEqual([]);
+            expect(fs.existsSync(path.join(root, '1970-01-01'))).toBe(false);
+            const [rejected] = await queue.listMessages(process.env.SummaryEventDlqUrl);
+            expect(rejected.MessageAttributes).toEqual({ FailureReason: 'InvalidEvent', ErrorMessage: 'Timestamp is required', SourceMessageId: 'm1' });
+
+            const summary = JSON.parse(fs.readFileSync(path.join(root, '2025-09-09/summary_2025-09-09.json'), 'utf-8'));
+            expect(summary.schemaVersion).toBe(SUMMARY_SCHEMA_VERSION);
+            expect(summary.metadata.totalEvents).toBe(1);
+        });
+    });
+});
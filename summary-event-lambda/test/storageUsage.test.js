@@ -0,0 +1,106 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+
+const { handler } = require('../src/index');
+const { summarizeStorageUsage, updateStorageUsage } = require('../src/storageUsage');
+const { createEmptySummary } = require('../src/dailySummary');
+
+const GB = 1024 ** 3;
+
+describe('storage usage', () => {
+    it('should total bytes and objects per camera and file type', () => {
+        const usage = summarizeStorageUsage([
+            { Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4', Size: 4000 },
+            { Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.json', Size: 100 },
+            { Key: '2025-09-15/evt2_F4E2C6A1B2C4_1757977260000.json', Size: 120 },
+            { Key: '2025-09-15/Garage/evt3_1757977320000.mp4', Size: 3000 },
+            { Key: '2025-09-15/summary_2025-09-15.json', Size: 50 }
+        ], { F4E2C6A1B2C3: 'Driveway' });
+
+        expect(usage).toMatchObject({ bytes: 7270, objectCount: 5 });
+        expect(usage.byType).toEqual({
+            video: { bytes: 7000, objectCount: 2 },
+            json: { bytes: 220, objectCount: 2 },
+            other: { bytes: 50, objectCount: 1 }
+        });
+        expect(usage.cameras).toEqual({
+            Driveway: { bytes: 4100, objectCount: 2, video: { bytes: 4000, objectCount: 1 }, json: { bytes: 100, objectCount: 1 } },
+            F4E2C6A1B2C4: { bytes: 120, objectCount: 1, video: { bytes: 0, objectCount: 0 }, json: { bytes: 120, objectCount: 1 } },
+            Garage: { bytes: 3000, objectCount: 1, video: { bytes: 3000, objectCount: 1 }, json: { bytes: 0, objectCount: 0 } }
+        });
+    });
+
+    it('should report growth over the previous day and project the monthly cost', async() => {
+        const { log } = createConditionalS3({
+            objects: { '2025-09-14/summary_2025-09-14.json': { metadata: { date: '2025-09-14' }, storageUsage: { bytes: GB, objectCount: 10 } } }
+        });
+        const summaryData = createEmptySummary(2025, '09', '15');
+        const scan = { objects: [{ Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4', Size: 2 * GB }], warnings: [] };
+
+        await updateStorageUsage(summaryData, scan);
+        await updateStorageUsage(summaryData, scan);
+
+        expect(summaryData.storageUsage).toMatchObject({
+            bytes: 2 * GB,
+            complete: true,
+            previousDay: { date: '2025-09-14', bytes: GB, objectCount: 10 },
+            growth: { bytes: GB, percent: 100 },
+            // Without a retention window: the first 30 days of 2 GB at $0.023 per GB-month
+            projection: { costPerGbMonth: 0.023, retainedDays: 30, steadyState: false, monthlyBytes: 60 * GB, monthlyCost: 1.38 }
+        });
+        expect(summaryData.metadata.storageBytes).toBe(2 * GB);
+        // The previous day is only read the first time
+        expect(log.filter(entry => entry.op === 'get')).toHaveLength(1);
+    });
+
+    it('should project only the days the retention window keeps', async() => {
+        createConditionalS3();
+        const summaryData = createEmptySummary(2025, '09', '15');
+        const scan = { objects: [{ Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4', Size: 2 * GB }], warnings: [] };
+
+        await updateStorageUsage(summaryData, scan, { retentionDays: 7 });
+        // 7 days of 2 GB at $0.023 per GB-month
+        expect(summaryData.storageUsage.projection).toEqual({ costPerGbMonth: 0.023, retainedDays: 7, steadyState: true, monthlyBytes: 14 * GB, monthlyCost: 0.32 });
+    });
+
+    it('should project every retained day when the retention window is longer than a month', async() => {
+        createConditionalS3();
+        const summaryData = createEmptySummary(2025, '09', '15');
+        const scan = { objects: [{ Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4', Size: 2 * GB }], warnings: [] };
+
+        await updateStorageUsage(summaryData, scan, { retentionDays: 90 });
+        // The bucket levels off at 90 days of 2 GB, billed every month
+        expect(summaryData.storageUsage.projection).toEqual({ costPerGbMonth: 0.023, retainedDays: 90, steadyState: true, monthlyBytes: 180 * GB, monthlyCost: 4.14 });
+    });
+
+    it('should leave growth empty without a previous day and flag a truncated listing', async() => {
+        createConditionalS3();
+        const summaryData = createEmptySummary(2025, '09', '15');
+
+        await updateStorageUsage(summaryData, { objects: [], warnings: [{ type: 'missingVideoScanTruncated', prefix: '2025-09-15/' }] });
+
+        expect(summaryData.storageUsage).toMatchObject({ bytes: 0, complete: false, growth: { bytes: null, percent: null } });
+    });
+
+    it('should record the storage usage in the daily summary written by the handler', async() => {
+        const { objects } = createConditionalS3({
+            objects: {
+                '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.json': '{"name":"Driveway Alarm"}',
+                '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4': 'x'.repeat(2048)
+            }
+        });
+        const summaryEvent = { EventId: 'evt1', Device: 'F4E2C6A1B2C3', DeviceName: 'Driveway', Timestamp: 1757977200000 };
+
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify(summaryEvent) }] });
+
+        const summary = JSON.parse(objects['2025-09-15/summary_2025-09-15.json'].body);
+        expect(summary.deviceNames).toEqual({ F4E2C6A1B2C3: 'Driveway' });
+        expect(summary.storageUsage.cameras.Driveway).toEqual({
+            bytes: 2073, objectCount: 2, video: { bytes: 2048, objectCount: 1 }, json: { bytes: 25, objectCount: 1 }
+        });
+        expect(summary.metadata.storageBytes).toBe(2073);
+    });
+});
@@ -0,0 +1,118 @@
+const zlib = require('zlib');
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { moveEventsToShards, readDailySummary, listShardKeys, loadDayEvents } = require('../src/summaryShards');
+const { createEmptySummary } = require('../src/dailySummary');
+
+const SUMMARY_KEY = '2025-09-09/summary_2025-09-09.json';
+
+// 10:15 and 10:45 EDT land in the same shard, 22:00 EDT in another
+function summaryEvents() {
+    return [
+        { EventId: 'evt1', Timestamp: Date.parse('2025-09-09T14:15:00Z'), DeviceName: 'Driveway' },
+        { EventId: 'evt2', Timestamp: Date.parse('2025-09-09T14:45:00Z'), DeviceName: 'Porch' },
+        { EventId: 'evt3', Timestamp: Date.parse('2025-09-10T02:00:00Z'), DeviceName: 'Driveway' }
+    ];
+}
+
+function readShard(objects, key) {
+    return JSON.parse(objects[key].body).events.map(e => e.EventId);
+}
+
+describe('summary shards', () => {
+    afterEach(() => {
+        delete process.env.SUMMARY_SHARD_COMPRESSION;
+    });
+
+    it('should move events into hourly shards and index them', async() => {
+        const { objects } = createConditionalS3();
+        const summaryData = { ...createEmptySummary(2025, '09', '09'), events: summaryEvents() };
+
+        await moveEventsToShards(summaryData, { date: '2025-09-09' });
+
+        expect(summaryData.events).toBeUndefined();
+        expect(summaryData.shards).toMatchObject({
+            10: { key: '2025-09-09/summary_2025-09-09_events_10.json', eventCount: 2 },
+            22: { key: '2025-09-09/summary_2025-09-09_events_22.json', eventCount: 1 }
+        });
+        expect(summaryData.eventIndex).toEqual({ evt1: '10', evt2: '10', evt3: '22' });
+        expect(readShard(objects, '2025-09-09/summary_2025-09-09_events_10.json')).toEqual(['evt1', 'evt2']);
+    });
+
+    it('should not append an event to a shard twice', async() => {
+        const { objects } = createConditionalS3();
+        const summaryData = { ...createEmptySummary(2025, '09', '09'), events: summaryEvents() };
+        await moveEventsToShards(summaryData, { date: '2025-09-09' });
+
+        // A retried index write moves the same events again
+        summaryData.events = summaryEvents().slice(0, 1);
+        await moveEventsToShards(summaryData, { date: '2025-09-09' });
+
+        expect(readShard(objects, '2025-09-09/summary_2025-09-09_events_10.json')).toEqual(['evt1', 'evt2']);
+        expect(summaryData.shards['10'].eventCount).toBe(2);
+    });
+
+    it('should reassemble a day from its index and shards', async() => {
+        const { objects } = createConditionalS3();
+        const summaryData = { ...createEmptySummary(2025, '09', '09'), events: summaryEvents().reverse() };
+        await moveEventsToShards(summaryData, { date: '2025-09-09' });
+        objects[SUMMARY_KEY] = { body: JSON.stringify(summaryData), etag: '"index"' };
+
+        const summary = await readDailySummary('2025-09-09');
+
+        expect(summary.events.map(e => e.EventId)).toEqual(['evt1', 'evt2', 'evt3']);
+        expect(summary.eventIndex).toBeUndefined();
+        expect(summary.shards).toEqual(summaryData.shards);
+        expect(await readDailySummary('2025-09-08')).toBeNull();
+    });
+
+    it('should read events still held in a legacy single-file summary', async() => {
+        createConditionalS3({
+            objects: { [SUMMARY_KEY]: { metadata: { date: '2025-09-09' }, events: summaryEvents() } }
+        });
+
+        const summary = await readDailySummary('2025-09-09');
+
+        expect(summary.events.map(e => e.EventId)).toEqual(['evt1', 'evt2', 'evt3']);
+    });
+
+    it('should find shards by listing when there is no usable index', async() => {
+        createConditionalS3({
+            objects: {
+                [SUMMARY_KEY]: '{"metadata": {',
+                '2025-09-09/summary_2025-09-09_events_22.json': { events: [summaryEvents()[2]] },
+                '2025-09-09/evt3_F4E2C6A1B2C3_1757469600000.json': {}
+            }
+        });
+
+        const keys = await listShardKeys('2025-09-09');
+
+        expect(keys).toEqual(['2025-09-09/summary_2025-09-09_events_22.json']);
+        expect((await loadDayEvents(null, keys)).map(e => e.EventId)).toEqual(['evt3']);
+    });
+
+    it('should gzip shards when compression is enabled', async() => {
+        process.env.SUMMARY_SHARD_COMPRESSION = 'gzip';
+        // Load fresh copies so the module-level setting is re-read, along with the SDK they talk to
+        let shards;
+        let isolatedS3;
+        jest.isolateModules(() => {
+            shards = require('../src/summaryShards');
+            isolatedS3 = require('./helpers/memoryS3').createConditionalS3;
+        });
+        const { objects } = isolatedS3();
+        const summaryData = { ...createEmptySummary(2025, '09', '09'), events: summaryEvents() };
+
+        await shards.moveEventsToShards(summaryData, { date: '2025-09-09' });
+
+        const key = '2025-09-09/summary_2025-09-09_events_10.json.gz';
+        expect(summaryData.shards['10'].key).toBe(key);
+        expect(JSON.parse(zlib.gunzipSync(objects[key].body)).events.map(e => e.EventId)).toEqual(['evt1', 'evt2']);
+
+        objects[SUMMARY_KEY] = { body: JSON.stringify(summaryData), etag: '"index"' };
+        expect((await shards.readDailySummary('2025-09-09')).events).toHaveLength(3);
+    });
+});
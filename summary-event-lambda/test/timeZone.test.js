@@ -0,0 +1,84 @@
+const {
+    resolveTimeZone,
+    getZonedDateString,
+    getZonedHour,
+    formatZonedTimestamp,
+    getZonedDayBounds,
+    getUtcDateFolders,
+    isUtcTimestampInZonedDate
+} = require('../src/timeZone');
+
+describe('timeZone', () => {
+    it('should default to America/New_York and reject unknown zones', () => {
+        expect(resolveTimeZone(undefined)).toBe('America/New_York');
+        expect(resolveTimeZone('America/Chicago')).toBe('America/Chicago');
+        expect(() => resolveTimeZone('Mars/Olympus_Mons')).toThrow('Invalid time zone: Mars/Olympus_Mons');
+    });
+
+    it('should bucket summer late-evening events into the local day using EDT', () => {
+        // 2025-07-15 23:30 EDT = 2025-07-16 03:30 UTC
+        const ts = Date.parse('2025-07-16T03:30:00Z');
+        expect(getZonedDateString(ts, 'America/New_York').folder).toBe('2025-07-15');
+        expect(getZonedHour(ts, 'America/New_York')).toBe(23);
+    });
+
+    it('should format local times with the offset in effect at that instant', () => {
+        expect(formatZonedTimestamp(Date.parse('2025-07-16T03:30:00Z'), 'America/New_York')).toBe('2025-07-15T23:30:00-04:00');
+        expect(formatZonedTimestamp(Date.parse('2025-01-16T04:30:00Z'), 'America/New_York')).toBe('2025-01-15T23:30:00-05:00');
+        expect(formatZonedTimestamp(Date.parse('2025-01-16T04:30:00Z'), 'Asia/Kolkata')).toBe('2025-01-16T10:00:00+05:30');
+        expect(formatZonedTimestamp(Date.parse('2025-01-16T04:30:00Z'), 'UTC')).toBe('2025-01-16T04:30:00+00:00');
+    });
+
+    it('should bucket winter late-evening events into the local day using EST', () => {
+        // 2025-01-15 23:30 EST = 2025-01-16 04:30 UTC
+        const ts = Date.parse('2025-01-16T04:30:00Z');
+        expect(getZonedDateString(ts, 'America/New_York')).toEqual({ year: 2025, month: '01', day: '15', folder: '2025-01-15' });
+        expect(getZonedHour(ts, 'America/New_York')).toBe(23);
+    });
+
+    it('should honour other zones', () => {
+        const ts = Date.parse('2025-07-16T04:30:00Z');
+        expect(getZonedDateString(ts, 'America/Chicago').folder).toBe('2025-07-15');
+        expect(getZonedHour(ts, 'America/Chicago')).toBe(23);
+        expect(getZonedDateString(ts, 'Asia/Tokyo').folder).toBe('2025-07-16');
+        expect(getZonedHour(ts, 'Asia/Tokyo')).toBe(13);
+    });
+
+    it('should produce a 23 hour day on spring-forward', () => {
+        const { start, end } = getZonedDayBounds('2025-03-09', 'America/New_York');
+        expect(new Date(start).toISOString()).toBe('2025-03-09T05:00:00.000Z');
+        expect(new Date(end).toISOString()).toBe('2025-03-10T04:00:00.000Z');
+        expect((end - start) / 3600000).toBe(23);
+    });
+
+    it('should produce a 25 hour day on fall-back', () => {
+        const { start, end } = getZonedDayBounds('2025-11-02', 'America/New_York');
+        expect(new Date(start).toISOString()).toBe('2025-11-02T04:00:00.000Z');
+        expect(new Date(end).toISOString()).toBe('2025-11-03T05:00:00.000Z');
+        expect((end - start) / 3600000).toBe(25);
+        // Both 01:30 occurrences belong to the same local day and hour
+        expect(getZonedHour(Date.parse('2025-11-02T05:30:00Z'), 'America/New_York')).toBe(1);
+        expect(getZonedHour(Date.parse('2025-11-02T06:30:00Z'), 'America/New_York')).toBe(1);
+    });
+
+    it('should start the day at the transition when DST skips midnight', () => {
+        // Chile moved clocks from 00:00 to 01:00 on 2022-09-11
+        const { start } = getZonedDayBounds('2022-09-11', 'America/Santiago');
+        expect(new Date(start).toISOString()).toBe('2022-09-11T04:00:00.000Z');
+        expect(getZonedDateString(start, 'America/Santiago').folder).toBe('2022-09-11');
+        expect(getZonedDateString(start - 1, 'America/Santiago').folder).toBe('2022-09-10');
+    });
+
+    it('should list the UTC folders overlapping a local day', () => {
+        expect(getUtcDateFolders('2025-09-09', 'America/New_York')).toEqual(['2025-09-09', '2025-09-10']);
+        expect(getUtcDateFolders('2025-12-31', 'America/Chicago')).toEqual(['2025-12-31', '2026-01-01']);
+        expect(getUtcDateFolders('2025-09-09', 'Asia/Tokyo')).toEqual(['2025-09-08', '2025-09-09']);
+        expect(getUtcDateFolders('2025-09-09', 'UTC')).toEqual(['2025-09-09']);
+    });
+
+    it('should match UTC timestamps against local day boundaries', () => {
+        expect(isUtcTimestampInZonedDate(Date.parse('2025-07-16T03:59:59Z'), '2025-07-15', 'America/New_York')).toBe(true);
+        expect(isUtcTimestampInZonedDate(Date.parse('2025-07-16T04:00:00Z'), '2025-07-15', 'America/New_York')).toBe(false);
+        expect(isUtcTimestampInZonedDate(Date.parse('2025-07-15T04:00:00Z'), '2025-07-15', 'America/New_York')).toBe(true);
+    });
+});
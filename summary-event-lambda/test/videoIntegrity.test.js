@@ -0,0 +1,121 @@
+const { createConditionalS3 } = require('./helpers/memoryS3');
+
+process.env.SUMMARY_BUCKET_NAME = 'test-bucket';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+process.env.SUMMARY_ANOMALY_BASELINE_DAYS = '0';
+
+const { handler } = require('../src/index');
+const { inspectVideoObject, updateCorruptVideoEvents } = require('../src/videoIntegrity');
+const { createEmptySummary } = require('../src/dailySummary');
+
+// An MP4 box of the given type and total size; `declaredSize` overrides the size written in its header
+function box(type, size, declaredSize = size) {
+    const buffer = Buffer.alloc(size);
+    buffer.writeUInt32BE(declaredSize, 0);
+    buffer.write(type, 4, 'latin1');
+    return buffer;
+}
+
+// A video made of the given boxes, with the listing entry the missing video scan would see for it
+function video(key, ...boxes) {
+    const body = Buffer.concat(boxes);
+    return { body, listing: { Key: key, Size: body.length } };
+}
+
+const KEY = '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4';
+
+describe('video integrity', () => {
+    it('should accept a video with its moov box before or after the media data', async() => {
+        const faststart = video('2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4', box('ftyp', 32), box('moov', 500), box('mdat', 4000));
+        const moovLast = video('2025-09-15/evt2_F4E2C6A1B2C3_1757977260000.mp4', box('ftyp', 32), box('mdat', 100000), box('moov', 500));
+        const { log } = createConditionalS3({ objects: { [faststart.listing.Key]: faststart.body, [moovLast.listing.Key]: moovLast.body } });
+
+        expect(await inspectVideoObject(faststart.listing.Key, faststart.listing.Size)).toEqual({ ok: true });
+        expect(await inspectVideoObject(moovLast.listing.Key, moovLast.listing.Size)).toEqual({ ok: true });
+        // The moov box after a large mdat takes a second ranged read from its header
+        expect(log.map(entry => entry.range)).toEqual(['bytes=0-4531', 'bytes=0-65535', 'bytes=100032-100531']);
+    });
+
+    it('should flag empty, small, truncated and malformed videos', async() => {
+        const truncated = video('a.mp4', box('ftyp', 32), box('mdat', 4000, 900000));
+        const noFtyp = video('b.mp4', box('mdat', 4000));
+        const noMoov = video('c.mp4', box('ftyp', 32), box('mdat', 4000));
+        createConditionalS3({ objects: { 'a.mp4': truncated.body, 'b.mp4': noFtyp.body, 'c.mp4': noMoov.body } });
+
+        expect(await inspectVideoObject('empty.mp4', 0)).toMatchObject({ ok: false, reason: 'zeroBytes' });
+        expect(await inspectVideoObject('small.mp4', 200)).toMatchObject({ ok: false, reason: 'tooSmall' });
+        expect(await inspectVideoObject(truncated.listing.Key, truncated.listing.Size)).toEqual({
+            ok: false, reason: 'truncated', detail: 'mdat box at byte 32 needs 900000 bytes but only 4000 are stored'
+        });
+        expect(await inspectVideoObject(noFtyp.listing.Key, noFtyp.listing.Size)).toMatchObject({ ok: false, reason: 'missingFtyp' });
+        expect(await inspectVideoObject(noMoov.listing.Key, noMoov.listing.Size)).toMatchObject({ ok: false, reason: 'missingMoov' });
+    });
+
+    it('should list corrupt videos and only re-read videos that changed', async() => {
+        const partial = video(KEY, box('ftyp', 32), box('mdat', 4000, 900000));
+        const listing = [
+            partial.listing,
+            { Key: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.json', Size: 300 },
+            { Key: '2025-09-15/evt2_F4E2C6A1B2C3_1757977260000.mp4', Size: 0 }
+        ];
+        const { objects, log } = createConditionalS3({ objects: { [KEY]: partial.body } });
+        const summaryData = createEmptySummary(2025, '09', '15');
+
+        await updateCorruptVideoEvents(summaryData, listing);
+        await updateCorruptVideoEvents(summaryData, listing);
+
+        expect(summaryData.corruptVideoEvents).toEqual([
+            expect.objectContaining({ eventId: 'evt1', videoFile: KEY, jsonFile: '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.json', reason: 'truncated' }),
+            expect.objectContaining({ eventId: 'evt2', jsonFile: null, size: 0, reason: 'zeroBytes' })
+        ]);
+        expect(summaryData.metadata.corruptVideoCount).toBe(2);
+        expect(log).toHaveLength(1);
+
+        // The download was finished, so the video is checked again
+        const finished = video(KEY, box('ftyp', 32), box('mdat', 4000), box('moov', 500));
+        objects[KEY] = { body: finished.body, etag: '"v2"' };
+        listing[0] = finished.listing;
+        await updateCorruptVideoEvents(summaryData, listing);
+        expect(summaryData.corruptVideoEvents.map(event => event.eventId)).toEqual(['evt2']);
+        expect(log).toHaveLength(2);
+    });
+
+    it('should report corrupt videos in the daily summary written by the handler', async() => {
+        const { objects } = createConditionalS3({
+            objects: {
+                '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.json': '{"name":"Driveway Alarm"}',
+                '2025-09-15/evt1_F4E2C6A1B2C3_1757977200000.mp4': ''
+            }
+        });
+        const summaryEvent = { EventId: 'evt1', Device: 'F4E2C6A1B2C3', DeviceName: 'Driveway', Timestamp: 1757977200000 };
+
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify(summaryEvent) }] });
+
+        const summary = JSON.parse(objects['2025-09-15/summary_2025-09-15.json'].body);
+        expect(summary.missingVideoEvents).toEqual([]);
+        expect(summary.corruptVideoEvents).toEqual([expect.objectContaining({ eventId: 'evt1', reason: 'zeroBytes' })]);
+        expect(summary.metadata.corruptVideoCount).toBe(1);
+    });
+
+    it('should check the videos of the local day in every UTC folder it spans', async() => {
+        const { objects } = createConditionalS3({
+            objects: {
+                // 2025-09-15 21:00 EDT, stored under the next UTC date
+                '2025-09-16/evt2_F4E2C6A1B2C3_1757984400000.json': '{}',
+                '2025-09-16/evt2_F4E2C6A1B2C3_1757984400000.mp4': '',
+                // 2025-09-14 22:00 EDT, stored under this UTC date but part of the previous local day
+                '2025-09-15/evt0_F4E2C6A1B2C3_1757901600000.json': '{}',
+                '2025-09-15/evt0_F4E2C6A1B2C3_1757901600000.mp4': ''
+            }
+        });
+        const summaryEvent = { EventId: 'evt1', Device: 'F4E2C6A1B2C3', DeviceName: 'Driveway', Timestamp: 1757977200000 };
+
+        await handler({ Records: [{ messageId: 'm1', body: JSON.stringify(summaryEvent) }] });
+
+        const summary = JSON.parse(objects['2025-09-15/summary_2025-09-15.json'].body);
+        expect(summary.corruptVideoEvents).toEqual([
+            expect.objectContaining({ eventId: 'evt2', videoFile: '2025-09-16/evt2_F4E2C6A1B2C3_1757984400000.mp4', reason: 'zeroBytes' })
+        ]);
+        expect(Object.keys(summary.videoChecks)).toEqual(['2025-09-16/evt2_F4E2C6A1B2C3_1757984400000.mp4']);
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.AlarmProcessingQueueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789/alarm-processing';
+process.env.SUMMARY_WRITE_RETRY_BASE_MS = '0';
+
+const { handler } = require('../src/index');
+const { planVideoRetry, retryMissingVideos } = require('../src/videoRetries');
+const { createEmptySummary } = require('../src/dailySummary');
+const { setBackends, resetBackends } = require('../src/backends');
+const { createFileStorage } = require('../src/backends/fileStorage');
+const { createFileQueue } = require('../src/backends/fileQueue');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MISSING_JSON = '2025-09-10/66f0a1b2c3d4e5f601234568_F4E2C6A1B2C4_1757469600000.json';
+const EVENT_TIME = 1757469600000;
+const MINUTE = 60 * 1000;
+
+// The fixture event that has JSON but no video, as the missing-video scan reports it
+function missingEvent() {
+    return { eventId: '66f0a1b2c3d4e5f601234568', device: 'F4E2C6A1B2C4', timestamp: EVENT_TIME, jsonFile: MISSING_JSON };
+}
+
+function summaryWithMissing(videoRetries) {
+    return { ...createEmptySummary(2025, '09', '09'), missingVideoEvents: [missingEvent()], videoRetries };
+}
+
+describe('missing video retries', () => {
+    let root;
+    let queue;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-lambda-'));
+        fs.cpSync(path.join(FIXTURES, 'bucket'), root, { recursive: true });
+        queue = createFileQueue({ root: path.join(root, '.queues') });
+        setBackends({ storage: createFileStorage({ root }), queue });
+    });
+
+    afterEach(() => {
+        resetBackends();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should wait out the grace period and the backoff between attempts', () => {
+        expect(planVideoRetry(missingEvent(), undefined, EVENT_TIME + 10 * MINUTE)).toBe('wait');
+        expect(planVideoRetry(missingEvent(), undefined, EVENT_TIME + 30 * MINUTE)).toBe('retry');
+
+        // Attempt 2 waits 30 minutes (15 doubled) before the next one
+        const state = { attempts: 2, lastAttemptAt: new Date(EVENT_TIME + 60 * MINUTE).toISOString() };
+        expect(planVideoRetry(missingEvent(), state, EVENT_TIME + 80 * MINUTE)).toBe('wait');
+        expect(planVideoRetry(missingEvent(), state, EVENT_TIME + 90 * MINUTE)).toBe('retry');
+        expect(planVideoRetry(missingEvent(), { ...state, attempts: 3 }, EVENT_TIME + 200 * MINUTE)).toBe('exhausted');
+    });
+
+    it('should re-enqueue the stored alarm and record the attempt', async() => {
+        const now = EVENT_TIME + 45 * MINUTE;
+        const summaryData = summaryWithMissing();
+
+        await retryMissingVideos(summaryData, { now });
+
+        const messages = await queue.listMessages(process.env.AlarmProcessingQueueUrl);
+        expect(messages).toHaveLength(1);
+        expect(JSON.parse(messages[0].Body).name).toBe('Porch Line Crossing');
+        expect(messages[0].MessageAttributes).toMatchObject({
+            EventId: '66f0a1b2c3d4e5f601234568',
+            RetryReason: 'MissingVideo',
+            RetryAttempt: new Date(now).toISOString(),
+            MissingVideoRetryCount: '1'
+        });
+
+        expect(summaryData.videoRetries[MISSING_JSON]).toMatchObject({
+            attempts: 1,
+            lastAttemptAt: new Date(now).toISOString(),
+            lastOutcome: 'queued',
+            lastMessageId: messages[0].MessageId,
+            nextAttemptAt: new Date(now + 15 * MINUTE).toISOString(),
+            permanentlyMissing: false
+        });
+        expect(summaryData.missingVideoEvents[0].retry).toMatchObject({ attempts: 1, lastOutcome: 'queued' });
+    });
+
+    it('should not send again when a summary write is retried', async() => {
+        const sent = new Map();
+        await retryMissingVideos(summaryWithMissing(), { now: EVENT_TIME + 45 * MINUTE, sent });
+        const retried = await retryMissingVideos(summaryWithMissing(), { now: EVENT_TIME + 45 * MINUTE, sent });
+
+        expect(await queue.listMessages(process.env.AlarmProcessingQueueUrl)).toHaveLength(1);
+        expect(retried.videoRetries[MISSING_JSON].attempts).toBe(1);
+    });
+
+    it('should record a failed attempt when the event JSON is gone', async() => {
+        fs.rmSync(path.join(root, MISSING_JSON));
+
+        const summaryData = await retryMissingVideos(summaryWithMissing(), { now: EVENT_TIME + 45 * MINUTE });
+
+        expect(summaryData.videoRetries[MISSING_JSON]).toMatchObject({ attempts: 1, lastOutcome: 'failed', lastError: 'Event JSON not found' });
+        expect(await queue.listMessages(process.env.AlarmProcessingQueueUrl)).toHaveLength(0);
+    });
+
+    it('should flag events that exhaust their retries as permanently missing', async() => {
+        const lastAttemptAt = new Date(EVENT_TIME + 3 * 60 * MINUTE).toISOString();
+        const summaryData = summaryWithMissing({ [MISSING_JSON]: { attempts: 3, lastAttemptAt, lastOutcome: 'queued' } });
+
+        await retryMissingVideos(summaryData, { now: EVENT_TIME + 5 * 60 * MINUTE });
+
+        expect(await queue.listMessages(process.env.AlarmProcessingQueueUrl)).toHaveLength(0);
+        expect(summaryData.videoRetries[MISSING_JSON]).toMatchObject({ attempts: 3, permanentlyMissing: true, nextAttemptAt: null });
+        expect(summaryData.missingVideoEvents[0].permanentlyMissing).toBe(true);
+        expect(summaryData.metadata.permanentlyMissingVideoCount).toBe(1);
+    });
+
+    it('should mark an event recovered once its video arrives', async() => {
+        const summaryData = {
+            ...createEmptySummary(2025, '09', '09'),
+            videoRetries: { [MISSING_JSON]: { attempts: 1, lastAttemptAt: new Date(EVENT_TIME).toISOString(), lastOutcome: 'queued' } }
+        };
+
+        await retryMissingVideos(summaryData, { now: EVENT_TIME + 60 * MINUTE });
+
+        expect(summaryData.videoRetries[MISSING_JSON]).toMatchObject({ attempts: 1, recoveredAt: new Date(EVENT_TIME + 60 * MINUTE).toISOString() });
+    });
+
+    it('should retry a day on a direct invocation', async() => {
+        const res = await handler({ action: 'retryMissingVideos', date: '2025-09-09' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.missingVideoEvents.map(e => e.retry.attempts)).toEqual([1]);
+        const summary = JSON.parse(fs.readFileSync(path.join(root, '2025-09-09/summary_2025-09-09.json'), 'utf-8'));
+        expect(summary.videoRetries[MISSING_JSON].lastOutcome).toBe('queued');
+        expect(await queue.listMessages(process.env.AlarmProcessingQueueUrl)).toHaveLength(1);
+
+        // The next check within the backoff window leaves the queue alone
+        await handler({ action: 'retryMissingVideos', date: '2025-09-09' });
+        expect(await queue.listMessages(process.env.AlarmProcessingQueueUrl)).toHaveLength(1);
+    });
+});
@@ -983,6 +983,64 @@ namespace UnifiWebhookEventReceiverTests
                 Times.Once);
         }
 
+        [Fact]
+        public async Task ProcessAlarmForSqsAsync_WithMultipleTriggers_IncludesAllTriggerKeys()
+        {
+            // Arrange
+            Environment.SetEnvironmentVariable("StorageBucket", "test-bucket");
+            
+            var mockUnifiCredentials = new UnifiCredentials
+            {
+                hostname = "https://test.unifi.com",
+                username = "testuser",
+                password = "testpass"
+            };
+
+            var alarm = new UnifiWebhookEventReceiver.Alarm
+            {
+                timestamp = 1672531200000,
+                name = "Renamed Alarm",
+                triggers = new List<UnifiWebhookEventReceiver.Trigger>
+                {
+                    new UnifiWebhookEventReceiver.Trigger
+                    {
+                        key = "person",
+                        device = "AA:BB:CC:DD:EE:FF",
+                        eventId = "test-event-123",
+                        deviceName = "Test Camera"
+                    },
+                    new UnifiWebhookEventReceiver.Trigger
+                    {
+                        key = "line_crossed",
+                        device = "AA:BB:CC:DD:EE:FF",
+                        eventId = "test-event-123",
+                        deviceName = "Test Camera"
+                    }
+                }
+            };
+
+            _mockCredentialsService.Setup(x => x.GetUnifiCredentialsAsync())
+                .ReturnsAsync(mockUnifiCredentials);
+
+            _mockS3StorageService.Setup(x => x.StoreAlarmEventAsync(It.IsAny<UnifiWebhookEventReceiver.Alarm>(), It.IsAny<UnifiWebhookEventReceiver.Trigger>()))
+                .ReturnsAsync("test-event-key");
+                
+            _mockSummaryEventQueueService.Setup(x => x.SendSummaryEventAsync(It.IsAny<UnifiWebhookEventReceiver.Models.SummaryEvent>()))
+                .ReturnsAsync("test-message-id");
+
+            // Act
+            await _alarmProcessingService.ProcessAlarmForSqsAsync(alarm);
+
+            // Assert            
+            // Verify that the summary event carries every trigger key, not just the first
+            _mockSummaryEventQueueService.Verify(x => x.SendSummaryEventAsync(
+                It.Is<UnifiWebhookEventReceiver.Models.SummaryEvent>(se => 
+                    se.EventType == "person" &&
+                    se.TriggerKeys != null &&
+                    se.TriggerKeys.SequenceEqual(new[] { "person", "line_crossed" }))), 
+                Times.Once);
+        }
+
         [Fact]
         public async Task ProcessAlarmForSqsAsync_WithObjectAlarmName_IncludesObjectInName()
         {
@@ -555,6 +555,72 @@ namespace UnifiWebhookEventReceiverTests
             }
         }
 
+        [Fact]
+        public void SummaryTimeZone_WithoutEnvironmentVariable_ReturnsNewYork()
+        {
+            // Arrange
+            var originalValue = Environment.GetEnvironmentVariable("SummaryTimeZone");
+            Environment.SetEnvironmentVariable("SummaryTimeZone", null);
+
+            try
+            {
+                // Act
+                var result = AppConfiguration.SummaryTimeZone;
+
+                // Assert
+                Assert.Equal("America/New_York", result.Id);
+            }
+            finally
+            {
+                // Cleanup
+                Environment.SetEnvironmentVariable("SummaryTimeZone", originalValue);
+            }
+        }
+
+        [Fact]
+        public void SummaryTimeZone_WithEnvironmentVariable_FollowsDaylightSavingTime()
+        {
+            // Arrange
+            var originalValue = Environment.GetEnvironmentVariable("SummaryTimeZone");
+            Environment.SetEnvironmentVariable("SummaryTimeZone", "America/Chicago");
+
+            try
+            {
+                // Act
+                var summer = TimeZoneInfo.ConvertTimeFromUtc(new DateTime(2025, 7, 1, 4, 30, 0, DateTimeKind.Utc), AppConfiguration.SummaryTimeZone);
+                var winter = TimeZoneInfo.ConvertTimeFromUtc(new DateTime(2025, 1, 1, 4, 30, 0, DateTimeKind.Utc), AppConfiguration.SummaryTimeZone);
+
+                // Assert
+                Assert.Equal(new DateTime(2025, 6, 30, 23, 30, 0), summer);
+                Assert.Equal(new DateTime(2024, 12, 31, 22, 30, 0), winter);
+            }
+            finally
+            {
+                // Cleanup
+                Environment.SetEnvironmentVariable("SummaryTimeZone", originalValue);
+            }
+        }
+
+        [Fact]
+        public void SummaryTimeZone_WithUnknownZone_ThrowsInvalidOperationException()
+        {
+            // Arrange
+            var originalValue = Environment.GetEnvironmentVariable("SummaryTimeZone");
+            Environment.SetEnvironmentVariable("SummaryTimeZone", "Mars/Olympus_Mons");
+
+            try
+            {
+                // Act & Assert
+                var exception = Assert.Throws<InvalidOperationException>(() => AppConfiguration.SummaryTimeZone);
+                Assert.Contains("Mars/Olympus_Mons", exception.Message);
+            }
+            finally
+            {
+                // Cleanup
+                Environment.SetEnvironmentVariable("SummaryTimeZone", originalValue);
+            }
+        }
+
         [Fact]
         public void DefaultArchiveButtonCoordinates_HaveExpectedValues()
         {
@@ -2,6 +2,5 @@
 // Centralized config for UI deployment variables
 window.__CONFIG__ = {
     API_URL: '%%API_URL%%', // PATCHED BY WORKFLOW
-    API_KEY: '%%API_KEY%%', // PATCHED BY WORKFLOW
-    LOGIN_URL: '%%COGNITO_REPLACEMENT%%' // PATCHED BY WORKFLOW
+    API_KEY: '%%API_KEY%%' // PATCHED BY WORKFLOW
 };
\ No newline at end of file
@@ -9,33 +9,6 @@
  * Created: 08-28-2025
  ***********************/
 
-/************************
- * Cognito token check: redirect to login if missing or expired
- */
-(function() {
-    function getCookie(name) {
-        const value = `; ${document.cookie}`;
-        const parts = value.split(`; ${name}=`);
-        if (parts.length === 2) return parts.pop().split(';').shift();
-    }
-
-    function isJwtExpired(token) {
-        try {
-            const payload = JSON.parse(atob(token.split('.')[1]));
-            if (!payload.exp) return true;
-            // exp is in seconds since epoch
-            return (Date.now() / 1000) > payload.exp;
-        } catch (e) {
-            return true;
-        }
-    }
-    var token = getCookie('CognitoAccessToken');
-    var loginUrl = window.__CONFIG__.LOGIN_URL;
-    if (!token || isJwtExpired(token)) {
-        window.location.replace(loginUrl);
-    }
-})();
-
 // Fetch summary data from the API
 async function fetchSummary() {
     const { API_URL, API_KEY } = window.__CONFIG__;
@@ -62,7 +35,7 @@ function renderDashboard(data) {
     const now = new Date();
     const timeStr = now.toLocaleString(undefined, { hour12: false });
     const summaryDate = data.summaryDate || 'current day';
-    document.getElementById("summaryTile").innerText = `Total Events today (as of ${timeStr} EDT): ${data.totalCount}`;
+    document.getElementById("summaryTile").innerText = `Total Events today (as of ${timeStr}): ${data.totalCount}`;
 
     // Show summary message if present
     const summaryMsgDiv = document.getElementById('summaryMessage');